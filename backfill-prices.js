@@ -0,0 +1,58 @@
+// Fill the prices table for a date range.
+// Usage: node backfill-prices.js <from YYYY-MM-DD> [to YYYY-MM-DD] [ASSET/QUOTE]
+// `to` defaults to yesterday and the market to BTC/USD; days already stored
+// are skipped.
+const { openDatabase, close } = require('./lib/db');
+const { assertSchemaCurrent } = require('./lib/migrator');
+const { createPriceService } = require('./lib/price-providers');
+const { createPriceStore, todayUTC, addDays } = require('./lib/price-store');
+const { parseMarket, marketOf, marketKey } = require('./lib/assets');
+require('dotenv').config();
+
+const USAGE = 'Usage: node backfill-prices.js <from YYYY-MM-DD> [to YYYY-MM-DD] [ASSET/QUOTE]';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const args = process.argv.slice(2);
+const pair = args.find(arg => arg.includes('/'));
+const [from, to = addDays(todayUTC(), -1)] = args.filter(arg => arg !== pair);
+
+if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to) || from > to) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+let market;
+try {
+  const [asset, quote] = pair ? pair.split('/') : [];
+  market = marketOf(parseMarket({ asset, quote_currency: quote }));
+} catch (error) {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Pause between provider calls so free API tiers don't rate-limit us
+const delay = parseInt(process.env.BACKFILL_DELAY_MS) || 1500;
+
+async function main() {
+  const db = openDatabase();
+  const priceStore = createPriceStore(db, createPriceService());
+
+  try {
+    await assertSchemaCurrent(db);
+    console.log(`Backfilling ${marketKey(market)} prices from ${from} to ${to}...`);
+    const result = await priceStore.backfill(from, to, { delay, market });
+    console.log(`Stored ${result.stored}, already present ${result.skipped}, failed ${result.failed.length}`);
+    if (result.failed.length) {
+      console.log('Failed dates:', result.failed.join(', '));
+      process.exitCode = 1;
+    }
+  } finally {
+    await close(db);
+  }
+}
+
+main().catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,183 @@
+// Admin-only API mounted at /api/admin: prediction search, moderation,
+// re-scoring, the resolution job queue and the audit log. Every change is written to audit_log.
+// Merging duplicate predictors lives in lib/predictors.js.
+const express = require('express');
+const { run, get, all } = require('./db');
+const { recordAudit, listAudit } = require('./audit');
+
+const MAX_PAGE_SIZE = 200;
+
+function parsePage(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+}
+
+// Build a WHERE clause from the search filters of GET /predictions
+function predictionFilters(query) {
+  const clauses = [];
+  const params = [];
+
+  if (query.q) {
+    clauses.push('(predictions.name LIKE ? OR predictors.display_name LIKE ? OR predictions.source LIKE ?)');
+    params.push(`%${query.q}%`, `%${query.q}%`, `%${query.q}%`);
+  }
+  if (query.status) {
+    clauses.push('predictions.status = ?');
+    params.push(query.status);
+  }
+  if (query.hidden === 'true') {
+    clauses.push('predictions.hidden_at IS NOT NULL');
+  } else if (query.hidden === 'false') {
+    clauses.push('predictions.hidden_at IS NULL');
+  }
+  if (query.owner) {
+    clauses.push('users.username = ? COLLATE NOCASE');
+    params.push(query.owner);
+  }
+  if (query.anonymous === 'true') {
+    clauses.push('predictions.owner_id IS NULL');
+  }
+  if (query.from) {
+    clauses.push('predictions.date >= ?');
+    params.push(query.from);
+  }
+  if (query.to) {
+    clauses.push('predictions.date <= ?');
+    params.push(query.to);
+  }
+
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+// `rescorePrediction(row)` re-scores and saves a prediction, resolving with
+// its new { status, score, score_model }; it is supplied by server.js so the admin API
+// scores exactly like the scheduled updates do. `jobs` is the job queue from
+// lib/jobs.js.
+function createAdminRouter({ db, auth, rescorePrediction, jobs }) {
+  const router = express.Router();
+  router.use(auth.requireRole('admin'));
+
+  async function loadPrediction(id) {
+    return get(db, 'SELECT * FROM predictions WHERE id = ?', [id]);
+  }
+
+  // Wrap async handlers so every failure becomes a JSON error
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error(`Admin error (${label}):`, error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+
+  function notFound() {
+    return Object.assign(new Error('Prediction not found'), { status: 404 });
+  }
+
+  router.get('/predictions', handle('search predictions', async (req, res) => {
+    const { where, params } = predictionFilters(req.query);
+    const { limit, offset } = parsePage(req.query);
+    const from = `FROM predictions
+      LEFT JOIN users ON users.id = predictions.owner_id
+      LEFT JOIN predictors ON predictors.id = predictions.predictor_id`;
+    const rows = await all(db,
+      `SELECT predictions.*, users.username AS owner, predictors.slug AS predictor_slug,
+       predictors.display_name AS predictor_name ${from} ${where}
+       ORDER BY predictions.created_at DESC, predictions.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]);
+    const { total } = await get(db, `SELECT COUNT(*) AS total ${from} ${where}`, params);
+    res.json({ total, limit, offset, predictions: rows });
+  }));
+
+  router.post('/predictions/:id/hide', handle('hide prediction', async (req, res) => {
+    const prediction = await loadPrediction(req.params.id);
+    if (!prediction) {
+      throw notFound();
+    }
+    const reason = req.body.reason || null;
+    await run(db, 'UPDATE predictions SET hidden_at = CURRENT_TIMESTAMP, hidden_reason = ? WHERE id = ?', [reason, prediction.id]);
+    await recordAudit(db, req.user, 'hide', 'prediction', prediction.id, { reason });
+    res.json(await loadPrediction(prediction.id));
+  }));
+
+  router.post('/predictions/:id/restore', handle('restore prediction', async (req, res) => {
+    const prediction = await loadPrediction(req.params.id);
+    if (!prediction) {
+      throw notFound();
+    }
+    // Held submissions are published through the moderation queue instead
+    if (prediction.review_status === 'pending') {
+      throw Object.assign(new Error('This prediction is awaiting review, approve it in the moderation queue'), { status: 409 });
+    }
+    await run(db, 'UPDATE predictions SET hidden_at = NULL, hidden_reason = NULL WHERE id = ?', [prediction.id]);
+    await recordAudit(db, req.user, 'restore', 'prediction', prediction.id, { hidden_reason: prediction.hidden_reason });
+    res.json(await loadPrediction(prediction.id));
+  }));
+
+  router.post('/predictions/:id/rescore', handle('rescore prediction', async (req, res) => {
+    const prediction = await loadPrediction(req.params.id);
+    if (!prediction) {
+      throw notFound();
+    }
+    const { status, score, score_model } = await rescorePrediction(prediction);
+    await recordAudit(db, req.user, 'rescore', 'prediction', prediction.id, {
+      previous: { status: prediction.status, score: prediction.score, score_model: prediction.score_model },
+      current: { status, score, score_model: score_model || null }
+    });
+    res.json(await loadPrediction(prediction.id));
+  }));
+
+  // Resolution jobs, by default the ones needing attention (failed, stuck or
+  // retrying), each with the prediction it resolves
+  router.get('/jobs', handle('list jobs', async (req, res) => {
+    const { limit, offset } = parsePage(req.query);
+    const status = req.query.status || 'attention';
+    const { total, jobs: rows } = await jobs.list({ status, type: req.query.type, limit, offset });
+    const ids = rows.map(job => job.payload && job.payload.prediction_id).filter(Boolean);
+    const predictions = ids.length
+      ? await all(db,
+        `SELECT id, name, asset, quote_currency, type, price, matures_at, status, resolve_attempts, last_error
+         FROM predictions WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids)
+      : [];
+    const byId = new Map(predictions.map(row => [row.id, row]));
+    res.json({
+      status,
+      total,
+      limit,
+      offset,
+      jobs: rows.map(job => ({
+        ...job,
+        prediction: job.payload && job.payload.prediction_id ? byId.get(job.payload.prediction_id) || null : null
+      }))
+    });
+  }));
+
+  router.post('/jobs/:id/retry', handle('retry job', async (req, res) => {
+    const previous = await jobs.find(req.params.id);
+    if (!previous) {
+      throw Object.assign(new Error('Job not found'), { status: 404 });
+    }
+    const job = await jobs.retry(previous.id);
+    await recordAudit(db, req.user, 'retry_job', 'job', job.id, {
+      type: job.type, key: job.key, previous_status: previous.status, last_error: previous.last_error
+    });
+    res.json(job);
+  }));
+
+  router.get('/audit-log', handle('audit log', async (req, res) => {
+    const { limit, offset } = parsePage(req.query);
+    res.json({ limit, offset, ...(await listAudit(db, { limit, offset, action: req.query.action })) });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
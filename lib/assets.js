@@ -0,0 +1,68 @@
+// Assets and quote currencies predictions can be made in.
+//
+// A market is an { asset, quote } pair such as BTC/USD or ETH/EUR. Each asset
+// lists the quote currencies it can be priced in; BTC.D is an index rather
+// than a traded coin, bitcoin's share of the total crypto market cap, quoted
+// in percent (PCT). Predictions
+// made before markets existed are BTC/USD.
+const FIAT = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'CHF'];
+
+const ASSETS = {
+  BTC: { name: 'Bitcoin', coingeckoId: 'bitcoin', quotes: FIAT },
+  ETH: { name: 'Ether', coingeckoId: 'ethereum', quotes: FIAT },
+  'BTC.D': { name: 'Bitcoin dominance', index: true, quotes: ['PCT'] }
+};
+
+const DEFAULT_MARKET = { asset: 'BTC', quote: 'USD' };
+
+function marketKey({ asset, quote }) {
+  return `${asset}/${quote}`;
+}
+
+// The market a prediction row is priced in
+function marketOf(prediction) {
+  return {
+    asset: prediction.asset || DEFAULT_MARKET.asset,
+    quote: prediction.quote_currency || DEFAULT_MARKET.quote
+  };
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// { asset, quote_currency } for a submission, upper-cased and checked.
+// An asset without a quote currency keeps the existing one on edits, or else
+// gets its first (USD, or PCT).
+function parseMarket(body, existing = {}) {
+  const asset = String(body.asset || existing.asset || DEFAULT_MARKET.asset).trim().toUpperCase();
+  if (!ASSETS[asset]) {
+    throw badRequest(`Unknown asset '${asset}', use one of: ${Object.keys(ASSETS).join(', ')}`);
+  }
+  const fallback = asset === existing.asset && existing.quote_currency ? existing.quote_currency : ASSETS[asset].quotes[0];
+  const quote = String(body.quote_currency || fallback).trim().toUpperCase();
+  if (!ASSETS[asset].quotes.includes(quote)) {
+    throw badRequest(`${asset} can't be quoted in '${quote}', use one of: ${ASSETS[asset].quotes.join(', ')}`);
+  }
+  return { asset, quote_currency: quote };
+}
+
+// A price with its unit for plain text, e.g. '95,000 USD' or '54.2%'
+function formatPrice(value, quote = DEFAULT_MARKET.quote) {
+  const amount = Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  return quote === 'PCT' ? `${amount}%` : `${amount} ${quote}`;
+}
+
+function listAssets() {
+  return Object.entries(ASSETS).map(([symbol, asset]) => ({ symbol, name: asset.name, quotes: asset.quotes }));
+}
+
+module.exports = {
+  ASSETS,
+  DEFAULT_MARKET,
+  marketKey,
+  marketOf,
+  parseMarket,
+  formatPrice,
+  listAssets
+};
@@ -0,0 +1,30 @@
+// Audit trail of admin actions, stored in the audit_log table
+const { run, all, get } = require('./db');
+
+// `details` is any JSON-serialisable object describing the change
+async function recordAudit(db, user, action, targetType, targetId, details = null) {
+  await run(db,
+    'INSERT INTO audit_log (user_id, username, action, target_type, target_id, details) VALUES (?, ?, ?, ?, ?, ?)',
+    [user ? user.id : null, user ? user.username : null, action, targetType,
+      targetId === null || targetId === undefined ? null : String(targetId),
+      details ? JSON.stringify(details) : null]);
+  console.log(`Audit: ${user ? user.username : 'system'} ${action} ${targetType} ${targetId || ''}`);
+}
+
+async function listAudit(db, { limit = 50, offset = 0, action } = {}) {
+  const where = action ? 'WHERE action = ?' : '';
+  const params = action ? [action] : [];
+  const rows = await all(db,
+    `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]);
+  const { total } = await get(db, `SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+  return {
+    total,
+    entries: rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }))
+  };
+}
+
+module.exports = {
+  recordAudit,
+  listAudit
+};
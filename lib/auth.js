@@ -0,0 +1,203 @@
+// User accounts and API tokens.
+//
+// Passwords are hashed with scrypt. Logging in issues a random bearer token;
+// only its SHA-256 hash is stored in api_tokens, so a leaked database can't
+// be used to impersonate anyone. Clients send `Authorization: Bearer <token>`.
+const crypto = require('crypto');
+const express = require('express');
+const { run, get } = require('./db');
+
+const ROLES = ['user', 'admin'];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role };
+}
+
+function isAdmin(user) {
+  return Boolean(user && user.role === 'admin');
+}
+
+// Owners may change their own predictions, admins may change any of them.
+// Anonymous predictions (no owner) can only be changed by an admin.
+function canModify(user, prediction) {
+  if (!user) {
+    return false;
+  }
+  return isAdmin(user) || (prediction.owner_id !== null && prediction.owner_id === user.id);
+}
+
+function createAuth(db) {
+  async function createUser(username, password, role = 'user') {
+    if (!USERNAME_PATTERN.test(username || '')) {
+      throw Object.assign(new Error('Username must be 3-32 letters, digits, dots, dashes or underscores'), { status: 400 });
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw Object.assign(new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`), { status: 400 });
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role '${role}'`);
+    }
+    const existing = await get(db, 'SELECT id FROM users WHERE username = ? COLLATE NOCASE', [username]);
+    if (existing) {
+      throw Object.assign(new Error('Username is already taken'), { status: 409 });
+    }
+    const { lastID } = await run(db,
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+      [username, hashPassword(password), role]);
+    return { id: lastID, username, role };
+  }
+
+  async function issueToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await run(db, 'INSERT INTO api_tokens (user_id, token_hash) VALUES (?, ?)', [userId, hashToken(token)]);
+    return token;
+  }
+
+  async function login(username, password) {
+    const user = await get(db, 'SELECT * FROM users WHERE username = ? COLLATE NOCASE', [username || '']);
+    if (!user || !verifyPassword(password || '', user.password_hash)) {
+      return null;
+    }
+    return { user: publicUser(user), token: await issueToken(user.id) };
+  }
+
+  async function findUserByToken(token) {
+    const user = await get(db,
+      `SELECT users.* FROM api_tokens
+       JOIN users ON users.id = api_tokens.user_id
+       WHERE api_tokens.token_hash = ?`,
+      [hashToken(token)]);
+    if (user) {
+      await run(db, 'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE token_hash = ?', [hashToken(token)]);
+    }
+    return user ? publicUser(user) : null;
+  }
+
+  // Sets req.user when a valid bearer token is present. Requests without a
+  // token continue anonymously; a token that doesn't match is rejected.
+  async function authenticate(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    req.user = null;
+    if (!match) {
+      next();
+      return;
+    }
+    try {
+      req.user = await findUserByToken(match[1]);
+      if (!req.user) {
+        res.status(401).json({ error: 'Invalid or expired token' });
+        return;
+      }
+      next();
+    } catch (error) {
+      console.error('Error checking token:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  function requireUser(req, res, next) {
+    if (!req.user) {
+      res.status(401).json({ error: 'Login required' });
+      return;
+    }
+    next();
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        res.status(401).json({ error: 'Login required' });
+      } else if (req.user.role !== role) {
+        res.status(403).json({ error: `${role} role required` });
+      } else {
+        next();
+      }
+    };
+  }
+
+  const router = express.Router();
+
+  router.post('/register', async (req, res) => {
+    const { username, password } = req.body;
+    try {
+      const user = await createUser(username, password);
+      console.log('Registered user:', user.username);
+      res.status(201).json({ user, token: await issueToken(user.id) });
+    } catch (error) {
+      console.error('Error registering user:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.post('/login', async (req, res) => {
+    const { username, password } = req.body;
+    try {
+      const session = await login(username, password);
+      if (!session) {
+        res.status(401).json({ error: 'Invalid username or password' });
+        return;
+      }
+      console.log('User logged in:', session.user.username);
+      res.json(session);
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/logout', requireUser, async (req, res) => {
+    const token = req.get('Authorization').replace(/^Bearer\s+/i, '');
+    try {
+      await run(db, 'DELETE FROM api_tokens WHERE token_hash = ?', [hashToken(token)]);
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/me', requireUser, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return {
+    createUser,
+    login,
+    authenticate,
+    requireUser,
+    requireRole,
+    router
+  };
+}
+
+module.exports = {
+  ROLES,
+  createAuth,
+  canModify,
+  isAdmin,
+  hashPassword,
+  verifyPassword
+};
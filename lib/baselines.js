@@ -0,0 +1,272 @@
+// Built-in baseline predictors, scored next to the humans so a score has a
+// reference point. For every point prediction each baseline makes its own
+// forecast, as of the same announcement for the same maturity:
+//
+//   unchanged      - the price when the prediction was announced
+//   trend          - the trend of the TREND_DAYS days before the announcement
+//                    carried on (compounded) until maturity
+//   stock-to-flow  - the stock-to-flow model's price for the maturity date,
+//                    BTC/USD only
+//
+// When the prediction is scored its baselines are scored with the same model
+// against the same price. They are kept in baseline_predictions rather than
+// predictions so they never count as anyone's predictions; the scoreboard
+// lists them unranked next to the predictors. Range and directional
+// predictions are scored hit or miss and have no baselines.
+//
+// A point prediction's skill score compares its percentage error with the
+// naive 'unchanged' baseline's: 1 - error / baseline error. 1 means it hit
+// the price exactly, 0 no better than assuming nothing changes, and below 0
+// worse than that. Errors rather than scores, since scores are capped at 100
+// and a close call and a perfect one would otherwise look the same.
+//
+// Forecasts for new and changed predictions are made by a
+// 'forecast-baselines' job (lib/jobs.js), as they may need prices fetched.
+const { run, get, all } = require('./db');
+const { marketOf } = require('./assets');
+const { maturityTime } = require('./maturity');
+const { addDays } = require('./price-store');
+const { getModel } = require('./scoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREND_DAYS = 30;
+const NAIVE_BASELINE = 'unchanged';
+// Baselines filled in per catch-up run, each may need a price fetched
+const CATCH_UP_BATCH = 50;
+
+// Bitcoin issuance: 210,000 blocks per subsidy era, about 144 a day
+const BLOCKS_PER_ERA = 210000;
+const BLOCKS_PER_DAY = 144;
+const GENESIS = '2009-01-03';
+const HALVINGS = ['2012-11-28', '2016-07-09', '2020-05-11', '2024-04-20'];
+// PlanB's 2019 fit: price = e^-1.84 * SF^3.36
+const S2F_INTERCEPT = -1.84;
+const S2F_EXPONENT = 3.36;
+
+// Coins mined by `date` and the block subsidy then. Blocks are spread
+// evenly over each era; eras after the last known halving last the nominal
+// 210,000 / 144 days.
+function bitcoinSupply(date) {
+  const time = Date.parse(date);
+  const starts = [GENESIS, ...HALVINGS].map(day => Date.parse(day));
+  let supply = 0;
+  let subsidy = 50;
+  let start = starts[0];
+  for (let era = 0; ; era++) {
+    const end = era + 1 < starts.length ? starts[era + 1] : start + BLOCKS_PER_ERA / BLOCKS_PER_DAY * DAY_MS;
+    if (time < end) {
+      return { supply: supply + BLOCKS_PER_ERA * subsidy * Math.max(0, time - start) / (end - start), subsidy };
+    }
+    supply += BLOCKS_PER_ERA * subsidy;
+    subsidy /= 2;
+    start = end;
+  }
+}
+
+function stockToFlowPrice(date) {
+  const { supply, subsidy } = bitcoinSupply(date);
+  const yearlyFlow = subsidy * BLOCKS_PER_DAY * 365;
+  return Math.exp(S2F_INTERCEPT) * Math.pow(supply / yearlyFlow, S2F_EXPONENT);
+}
+
+// forecast() resolves with a price, or null when the baseline has nothing to
+// say about the prediction's market
+const BASELINES = {
+  unchanged: {
+    name: 'Baseline: price unchanged',
+    async forecast({ prediction }) {
+      return prediction.current_price;
+    }
+  },
+  trend: {
+    name: `Baseline: ${TREND_DAYS}-day trend`,
+    async forecast({ prediction, priceStore }) {
+      if (!prediction.current_price) {
+        return null;
+      }
+      const announcedOn = prediction.announced_at.slice(0, 10);
+      const before = await priceStore.getDailyPrice(addDays(announcedOn, -TREND_DAYS), marketOf(prediction));
+      const horizonDays = Math.max(0, (maturityTime(prediction) - Date.parse(prediction.announced_at)) / DAY_MS);
+      return prediction.current_price * Math.pow(prediction.current_price / before, horizonDays / TREND_DAYS);
+    }
+  },
+  'stock-to-flow': {
+    name: 'Baseline: stock-to-flow',
+    async forecast({ prediction }) {
+      if (prediction.asset !== 'BTC' || prediction.quote_currency !== 'USD') {
+        return null;
+      }
+      return stockToFlowPrice(prediction.matures_at.slice(0, 10));
+    }
+  }
+};
+
+function skillScore(error, baselineError) {
+  if (error === null || error === undefined || !baselineError) {
+    return null;
+  }
+  return 1 - error / baselineError;
+}
+
+function createBaselines({ db, priceStore, scorer, jobs = null }) {
+  // Make the forecasts a point prediction is missing, trying failed ones again
+  async function create(predictionId) {
+    const prediction = await get(db, 'SELECT * FROM predictions WHERE id = ?', [predictionId]);
+    if (!prediction || prediction.type !== 'point') {
+      return;
+    }
+    const rows = await all(db, 'SELECT baseline FROM baseline_predictions WHERE prediction_id = ? AND last_error IS NULL', [predictionId]);
+    const made = new Set(rows.map(row => row.baseline));
+    for (const [key, baseline] of Object.entries(BASELINES)) {
+      if (made.has(key)) {
+        continue;
+      }
+      let price = null;
+      let lastError = null;
+      try {
+        price = await baseline.forecast({ prediction, priceStore });
+      } catch (error) {
+        console.error(`No ${key} baseline for prediction ${predictionId} yet:`, error.message);
+        lastError = error.message;
+      }
+      await run(db,
+        `INSERT INTO baseline_predictions (prediction_id, baseline, price, last_error) VALUES (?, ?, ?, ?)
+         ON CONFLICT (prediction_id, baseline) DO UPDATE SET price = excluded.price, last_error = excluded.last_error`,
+        [predictionId, key, price, lastError]);
+    }
+  }
+
+  // Queue the forecasts of a new prediction. With `replace` the old ones are
+  // dropped right away, for a prediction whose target or dates changed, so
+  // scoring it before the job runs makes fresh ones.
+  async function queue(predictionId, { replace = false } = {}) {
+    if (replace) {
+      await run(db, 'DELETE FROM baseline_predictions WHERE prediction_id = ?', [predictionId]);
+    }
+    await jobs.enqueue('forecast-baselines', predictionId, { prediction_id: predictionId }, { reuse: true });
+    jobs.drain().catch(error => console.error('Error running jobs:', error.message));
+  }
+
+  if (jobs) {
+    jobs.register('forecast-baselines', ({ prediction_id: predictionId }) => create(predictionId));
+  }
+
+  // Score a prediction's baselines with `modelId`, the model its own score
+  // came from
+  async function score(predictionId, modelId) {
+    await create(predictionId);
+    const prediction = await get(db, 'SELECT * FROM predictions WHERE id = ?', [predictionId]);
+    if (!prediction || prediction.type !== 'point') {
+      return;
+    }
+    const model = getModel(modelId);
+    const rows = await all(db, 'SELECT * FROM baseline_predictions WHERE prediction_id = ? AND price IS NOT NULL', [predictionId]);
+    for (const row of rows) {
+      try {
+        const result = await scorer.score({ ...prediction, id: `${prediction.id}/${row.baseline}`, price: row.price }, model);
+        if (result) {
+          await run(db,
+            `UPDATE baseline_predictions SET score = ?, score_model = ?, actual_price = ?, percentage_error = ?, terms = ?,
+               scored_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [result.score, `${result.model}@${result.model_version}`, result.actual_price, result.terms.percentage_error,
+              JSON.stringify(result.terms), row.id]);
+        }
+      } catch (error) {
+        console.error(`Error scoring the ${row.baseline} baseline of prediction ${predictionId}:`, error.message);
+      }
+    }
+  }
+
+  // Baselines for point predictions added before this existed or imported,
+  // and scores for predictions scored without them. A batch per run; failed
+  // forecasts are tried again when their prediction is scored.
+  async function catchUp() {
+    const missing = await all(db,
+      `SELECT id FROM predictions
+       WHERE type = 'point' AND (SELECT COUNT(*) FROM baseline_predictions
+         WHERE baseline_predictions.prediction_id = predictions.id) < ?
+       ORDER BY id LIMIT ?`,
+      [Object.keys(BASELINES).length, CATCH_UP_BATCH]);
+    for (const row of missing) {
+      await create(row.id);
+    }
+    const unscored = await all(db,
+      `SELECT DISTINCT predictions.id, predictions.score_model
+       FROM predictions
+       JOIN baseline_predictions ON baseline_predictions.prediction_id = predictions.id
+       WHERE predictions.type = 'point' AND predictions.score IS NOT NULL
+         AND baseline_predictions.price IS NOT NULL AND baseline_predictions.score IS NULL
+       ORDER BY predictions.id LIMIT ?`,
+      [CATCH_UP_BATCH]);
+    for (const row of unscored) {
+      await score(row.id, row.score_model);
+    }
+  }
+
+  // A prediction's baselines, with its skill against each
+  async function list(predictionId) {
+    const active = await get(db,
+      'SELECT percentage_error FROM prediction_scores WHERE prediction_id = ? AND is_active = 1',
+      [predictionId]);
+    const rows = await all(db,
+      'SELECT * FROM baseline_predictions WHERE prediction_id = ? ORDER BY id',
+      [predictionId]);
+    return rows.map(row => ({
+      ...row,
+      name: BASELINES[row.baseline] ? BASELINES[row.baseline].name : row.baseline,
+      terms: row.terms ? JSON.parse(row.terms) : null,
+      skill_score: active ? skillScore(active.percentage_error, row.percentage_error) : null
+    }));
+  }
+
+  // Scored baseline forecasts of visible scored predictions, shaped like the
+  // rows the scoreboard ranks, one pseudo-predictor per baseline
+  async function loadScoredRows({ asset, quote_currency: quote } = {}) {
+    const clauses = ['predictions.hidden_at IS NULL', 'predictions.score IS NOT NULL', 'baseline_predictions.score IS NOT NULL'];
+    const params = [];
+    if (asset) {
+      clauses.push('predictions.asset = ?');
+      params.push(asset);
+    }
+    if (quote) {
+      clauses.push('predictions.quote_currency = ?');
+      params.push(quote);
+    }
+    const rows = await all(db,
+      `SELECT baseline_predictions.baseline, baseline_predictions.score, predictions.date
+       FROM baseline_predictions
+       JOIN predictions ON predictions.id = baseline_predictions.prediction_id
+       WHERE ${clauses.join(' AND ')}`,
+      params);
+    return rows
+      .filter(row => BASELINES[row.baseline])
+      .map(row => ({
+        predictor_id: `baseline:${row.baseline}`,
+        predictor_slug: null,
+        predictor_name: BASELINES[row.baseline].name,
+        baseline: row.baseline,
+        score: row.score,
+        date: row.date
+      }));
+  }
+
+  return {
+    create,
+    queue,
+    score,
+    catchUp,
+    list,
+    loadScoredRows
+  };
+}
+
+module.exports = {
+  BASELINES,
+  NAIVE_BASELINE,
+  TREND_DAYS,
+  bitcoinSupply,
+  stockToFlowPrice,
+  skillScore,
+  createBaselines
+};
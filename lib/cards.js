@@ -0,0 +1,287 @@
+// Shareable prediction cards: the predictor, target, actual price and score
+// of one prediction as a 1200x630 image, the size social sites preview.
+//
+//   GET /api/predictions/:id/card.svg - the card as SVG
+//   GET /api/predictions/:id/card.png - the same drawn with the bitmap font
+//                                       in lib/png.js, for sites that only
+//                                       take PNG previews (most of them)
+//   GET /prediction/:id               - a page with the card and Open Graph
+//                                       and Twitter tags, the link to share
+//
+// Absolute URLs in the tags use PUBLIC_URL, or the request's own host.
+// Hidden predictions have no card.
+const express = require('express');
+const { get } = require('./db');
+const { describeTarget } = require('./prediction-types');
+const { formatPrice } = require('./assets');
+const { createRaster } = require('./png');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MARGIN = 60;
+const COLORS = {
+  background: '#fefefe',
+  text: '#222222',
+  muted: '#666666',
+  brand: '#ff8c00',
+  good: '#2a9d8f',
+  fair: '#e09f3e',
+  poor: '#e63946',
+  pending: '#888888'
+};
+// Cards change when a prediction is scored, so they are only cached briefly
+const CACHE_CONTROL = 'public, max-age=300';
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function scoreColor(score) {
+  if (score === null) {
+    return COLORS.pending;
+  }
+  return score >= 70 ? COLORS.good : score >= 40 ? COLORS.fair : COLORS.poor;
+}
+
+// Cuts `text` to fit `maxWidth` as measured by `measure`, ending in '...'
+function fit(text, maxWidth, measure) {
+  if (measure(text) <= maxWidth) {
+    return text;
+  }
+  let cut = [...text];
+  while (cut.length && measure(`${cut.join('')}...`) > maxWidth) {
+    cut = cut.slice(0, -1);
+  }
+  return `${cut.join('').trimEnd()}...`;
+}
+
+// Splits `text` into at most `maxLines` lines that fit `maxWidth`, the last
+// one cut short when the text doesn't fit
+function wrap(text, maxWidth, measure, maxLines) {
+  const lines = [];
+  let current = '';
+  const words = text.split(' ');
+  words.forEach((word, index) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (lines.length === maxLines - 1 || measure(candidate) <= maxWidth || !current) {
+      current = candidate;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+    if (index === words.length - 1) {
+      lines.push(current);
+    }
+  });
+  return lines.map(line => fit(line, maxWidth, measure));
+}
+
+// What a card says about a prediction row (with actual_price from its
+// active score), shared by both renderers and the Open Graph tags
+function cardModel(prediction) {
+  const quote = prediction.quote_currency;
+  const scored = prediction.status === 'completed' && prediction.score !== null;
+  const announced = (prediction.announced_at || '').slice(0, 10);
+  const maturity = (prediction.matures_at || prediction.date).slice(0, 10);
+  return {
+    id: prediction.id,
+    predictor: prediction.predictor_name || prediction.name,
+    market: `${prediction.asset}/${quote}`,
+    target: describeTarget(prediction),
+    maturity: `by ${maturity}`,
+    announced: prediction.current_price !== null
+      ? `Announced ${announced} at ${formatPrice(prediction.current_price, quote)}`
+      : `Announced ${announced}`,
+    outcome: scored && prediction.actual_price !== null
+      ? `Actual: ${formatPrice(prediction.actual_price, quote)}`
+      : scored ? 'Scored' : `Pending until ${maturity}`,
+    score: scored ? prediction.score : null,
+    scoreText: scored ? prediction.score.toFixed(1) : 'PENDING',
+    color: scoreColor(scored ? prediction.score : null)
+  };
+}
+
+function cardTitle(model) {
+  return `${model.predictor}: ${model.market} ${model.target} ${model.maturity}`;
+}
+
+function cardDescription(model) {
+  return [model.announced, model.outcome, model.score !== null ? `Score ${model.scoreText} / 100` : null]
+    .filter(Boolean).join('. ');
+}
+
+function renderCardSvg(model) {
+  // Rough width of proportional text, good enough to keep lines on the card
+  const measure = size => text => [...text].length * size * 0.58;
+  // Lines beside the score box are narrower than the ones below it
+  const line = (text, y, size, color, { weight = 'normal', wide = false } = {}) => {
+    const maxWidth = WIDTH - MARGIN * 2 - (wide ? 0 : 320);
+    return `<text x="${MARGIN}" y="${y}" font-size="${size}" font-weight="${weight}" fill="${color}">${escapeXml(fit(text, maxWidth, measure(size)))}</text>`;
+  };
+  const scoreSize = model.score !== null ? Math.min(120, Math.floor(240 / measure(1)(model.scoreText))) : 56;
+  const headline = wrap(`${model.market} ${model.target}`, WIDTH - MARGIN * 2 - 320, measure(40), 2);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="-apple-system, 'Segoe UI', Helvetica, Arial, sans-serif">
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.background}"/>
+  <rect width="${WIDTH}" height="16" fill="${COLORS.brand}"/>
+  <text x="${MARGIN}" y="90" font-size="36" font-weight="bold" fill="${COLORS.brand}">PHILIFY</text>
+  ${line(model.predictor, 210, 64, COLORS.text, { weight: 'bold' })}
+  ${headline.map((text, index) => line(text, 285 + index * 50, 40, COLORS.text)).join('\n  ')}
+  ${line(model.maturity, 285 + headline.length * 50, 40, COLORS.text)}
+  ${line(model.announced, 500, 32, COLORS.muted, { wide: true })}
+  ${line(model.outcome, 545, 32, COLORS.muted, { wide: true })}
+  <rect x="${WIDTH - MARGIN - 280}" y="150" width="280" height="280" rx="24" fill="none" stroke="${model.color}" stroke-width="8"/>
+  <text x="${WIDTH - MARGIN - 140}" y="${290 + scoreSize * 0.35}" font-size="${scoreSize}" font-weight="bold" text-anchor="middle" fill="${model.color}">${escapeXml(model.scoreText)}</text>
+  <text x="${WIDTH - MARGIN - 140}" y="410" font-size="26" text-anchor="middle" fill="${COLORS.muted}">${model.score !== null ? 'SCORE / 100' : 'NOT SCORED YET'}</text>
+  <text x="${MARGIN}" y="${HEIGHT - 30}" font-size="22" fill="${COLORS.muted}">Don't trust, verify. Prediction #${model.id}</text>
+</svg>
+`;
+}
+
+function renderCardPng(model) {
+  const raster = createRaster(WIDTH, HEIGHT, COLORS.background);
+  const line = (text, y, scale, color, { wide = false } = {}) => {
+    const maxWidth = WIDTH - MARGIN * 2 - (wide ? 0 : 320);
+    raster.drawText(fit(text, maxWidth, value => raster.measureText(value, scale)), MARGIN, y, scale, color);
+  };
+  const centered = (text, y, scale, color) =>
+    raster.drawText(text, WIDTH - MARGIN - 140 - raster.measureText(text, scale) / 2, y, scale, color);
+
+  raster.fillRect(0, 0, WIDTH, 16, COLORS.brand);
+  raster.drawText('PHILIFY', MARGIN, 60, 5, COLORS.brand);
+  line(model.predictor, 160, 8, COLORS.text);
+  const headline = wrap(`${model.market} ${model.target}`, WIDTH - MARGIN * 2 - 320, value => raster.measureText(value, 5), 2);
+  headline.forEach((text, index) => line(text, 250 + index * 50, 5, COLORS.text));
+  line(model.maturity, 250 + headline.length * 50, 5, COLORS.text);
+  line(model.announced, 470, 4, COLORS.muted, { wide: true });
+  line(model.outcome, 515, 4, COLORS.muted, { wide: true });
+
+  // Score box, drawn as four bars
+  const boxX = WIDTH - MARGIN - 280;
+  [[boxX, 150, 280, 8], [boxX, 422, 280, 8], [boxX, 150, 8, 280], [boxX + 272, 150, 8, 280]]
+    .forEach(([x, y, w, h]) => raster.fillRect(x, y, w, h, model.color));
+  if (model.score !== null) {
+    const scale = Math.min(10, Math.floor(240 / raster.measureText(model.scoreText, 1)));
+    centered(model.scoreText, 290 - scale * 3.5, scale, model.color);
+    centered('SCORE / 100', 385, 3, COLORS.muted);
+  } else {
+    centered(model.scoreText, 260, 6, model.color);
+    centered('NOT SCORED YET', 385, 3, COLORS.muted);
+  }
+  raster.drawText(`Don't trust, verify. Prediction #${model.id}`, MARGIN, HEIGHT - 50, 3, COLORS.muted);
+  return raster.toPng();
+}
+
+function renderSharePage(model, { baseUrl }) {
+  const title = cardTitle(model);
+  const description = cardDescription(model);
+  const pageUrl = `${baseUrl}/prediction/${model.id}`;
+  const image = `${baseUrl}/api/predictions/${model.id}/card.png`;
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeXml(title)} - Philify</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="description" content="${escapeXml(description)}">
+    <meta property="og:type" content="article">
+    <meta property="og:site_name" content="Philify">
+    <meta property="og:title" content="${escapeXml(title)}">
+    <meta property="og:description" content="${escapeXml(description)}">
+    <meta property="og:url" content="${escapeXml(pageUrl)}">
+    <meta property="og:image" content="${escapeXml(image)}">
+    <meta property="og:image:type" content="image/png">
+    <meta property="og:image:width" content="${WIDTH}">
+    <meta property="og:image:height" content="${HEIGHT}">
+    <meta property="og:image:alt" content="${escapeXml(`${title}. ${description}`)}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeXml(title)}">
+    <meta name="twitter:description" content="${escapeXml(description)}">
+    <meta name="twitter:image" content="${escapeXml(image)}">
+    <link rel="canonical" href="${escapeXml(pageUrl)}">
+    <style>
+    body {
+      background: #fefefe;
+      max-width: 900px;
+      margin: 40px auto;
+      padding: 0 22px;
+      font: 18px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', helvetica, sans-serif;
+      color: #222;
+    }
+    img {
+      width: 100%;
+      height: auto;
+      border: 1px solid #eee;
+    }
+    a {
+      color: #0066cc;
+      text-decoration: none;
+    }
+    </style>
+  </head>
+  <body>
+    <p><a href="${escapeXml(baseUrl)}/">&larr; All predictions</a></p>
+    <img src="${escapeXml(`${baseUrl}/api/predictions/${model.id}/card.svg`)}" alt="${escapeXml(`${title}. ${description}`)}">
+    <p>${escapeXml(title)}. ${escapeXml(description)}.</p>
+    <p><a href="${escapeXml(`${baseUrl}/api/predictions/${model.id}/scores`)}">How it was scored</a></p>
+  </body>
+</html>
+`;
+}
+
+function createCardRouter({ db, publicUrl = process.env.PUBLIC_URL || null }) {
+  const router = express.Router();
+
+  async function loadModel(id) {
+    const prediction = await get(db,
+      `SELECT predictions.*, predictors.display_name AS predictor_name, prediction_scores.actual_price
+       FROM predictions
+       LEFT JOIN predictors ON predictors.id = predictions.predictor_id
+       LEFT JOIN prediction_scores ON prediction_scores.prediction_id = predictions.id AND prediction_scores.is_active = 1
+       WHERE predictions.id = ? AND predictions.hidden_at IS NULL`,
+      [id]);
+    return prediction ? cardModel(prediction) : null;
+  }
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      const model = await loadModel(req.params.id);
+      if (!model) {
+        res.status(404).json({ error: 'Prediction not found' });
+        return;
+      }
+      res.set('Cache-Control', CACHE_CONTROL);
+      fn(model, req, res);
+    } catch (error) {
+      console.error(`Card error (${label}):`, error.message);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  router.get('/api/predictions/:id/card.svg', handle('svg', (model, req, res) => {
+    res.type('image/svg+xml').send(renderCardSvg(model));
+  }));
+
+  router.get('/api/predictions/:id/card.png', handle('png', (model, req, res) => {
+    res.type('image/png').send(renderCardPng(model));
+  }));
+
+  router.get('/prediction/:id', handle('page', (model, req, res) => {
+    const baseUrl = (publicUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    res.type('html').send(renderSharePage(model, { baseUrl }));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  cardModel,
+  cardTitle,
+  cardDescription,
+  renderCardSvg,
+  renderCardPng,
+  createCardRouter
+};
@@ -0,0 +1,119 @@
+// Series for the price chart on index.html, mounted at /api/chart.
+//
+// GET /api/chart?asset=BTC&quote_currency=USD&predictor=slug&from=YYYY-MM-DD&to=YYYY-MM-DD
+// returns the stored daily prices of one market (no provider calls, days
+// that were never fetched are simply missing) and its visible predictions,
+// each with the point it starts from (announced_at, current_price) and the
+// one it points at (matures_at, target). Scored predictions also carry the
+// actual price. Without from/to the window runs from the earliest
+// announcement to the latest maturity, and prices stop at today.
+// Long windows are thinned to at most MAX_POINTS prices.
+const express = require('express');
+const { all } = require('./db');
+const { parseMarket, marketOf } = require('./assets');
+const { todayUTC, addDays } = require('./price-store');
+
+const MAX_POINTS = 1500;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!DATE.test(value) || Number.isNaN(Date.parse(value))) {
+    throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+// Every nth price so at most `max` remain, always keeping the last one
+function thin(prices, max = MAX_POINTS) {
+  if (prices.length <= max) {
+    return prices;
+  }
+  const step = Math.ceil(prices.length / max);
+  const kept = prices.filter((price, index) => index % step === 0);
+  if (kept[kept.length - 1] !== prices[prices.length - 1]) {
+    kept.push(prices[prices.length - 1]);
+  }
+  return kept;
+}
+
+function createChartRouter({ db, priceStore }) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const market = parseMarket(req.query);
+      const from = parseDate(req.query.from, 'from');
+      const to = parseDate(req.query.to, 'to');
+      if (from && to && from > to) {
+        throw badRequest('from must not be after to');
+      }
+
+      const conditions = ['predictions.hidden_at IS NULL', 'predictions.asset = ?', 'predictions.quote_currency = ?'];
+      const params = [market.asset, market.quote_currency];
+      if (req.query.predictor) {
+        conditions.push('predictors.slug = ?');
+        params.push(req.query.predictor);
+      }
+      if (from) {
+        conditions.push('substr(predictions.matures_at, 1, 10) >= ?');
+        params.push(from);
+      }
+      if (to) {
+        conditions.push('substr(predictions.announced_at, 1, 10) <= ?');
+        params.push(to);
+      }
+      const predictions = await all(db,
+        `SELECT predictions.id, predictions.name, predictors.slug AS predictor_slug, predictors.display_name AS predictor_name,
+           predictions.type, predictions.price, predictions.price_low, predictions.price_high, predictions.announced_at,
+           predictions.current_price, predictions.matures_at, predictions.status, predictions.score,
+           prediction_scores.actual_price
+         FROM predictions
+         LEFT JOIN predictors ON predictors.id = predictions.predictor_id
+         LEFT JOIN prediction_scores ON prediction_scores.prediction_id = predictions.id AND prediction_scores.is_active = 1
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY predictions.announced_at`,
+        params);
+
+      // Everyone predicting this market, for the predictor filter
+      const predictors = await all(db,
+        `SELECT predictors.slug, predictors.display_name AS name, COUNT(*) AS prediction_count
+         FROM predictions
+         JOIN predictors ON predictors.id = predictions.predictor_id
+         WHERE predictions.hidden_at IS NULL AND predictions.asset = ? AND predictions.quote_currency = ?
+         GROUP BY predictors.id
+         ORDER BY predictors.display_name`,
+        [market.asset, market.quote_currency]);
+
+      const dates = predictions.flatMap(row => [row.announced_at, row.matures_at]).filter(Boolean).map(date => date.slice(0, 10)).sort();
+      const windowFrom = from || dates[0] || addDays(todayUTC(), -365);
+      const windowTo = to || [dates[dates.length - 1], todayUTC()].filter(Boolean).sort().pop();
+      const prices = await priceStore.getStoredHistory(windowFrom, windowTo, marketOf(market));
+
+      res.json({
+        ...market,
+        from: windowFrom,
+        to: windowTo,
+        prices: thin(prices),
+        predictions,
+        predictors
+      });
+    } catch (error) {
+      console.error('Error building chart:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  MAX_POINTS,
+  createChartRouter
+};
@@ -0,0 +1,359 @@
+// The crowd's view of one market on one date, mounted at /api/consensus.
+//
+// The consensus for a date is built from the point and range predictions of
+// that market maturing within `window_days` (default 7) of it, taking each
+// predictor's most recent call only. Ranges count as their midpoint. Besides
+// the median and interquartile range of the targets, the consensus itself is
+// their weighted median, each predictor weighted by their average score
+// shrunk towards the site-wide average like the bayesian scoreboard (so one
+// lucky call doesn't dominate and newcomers get the average).
+//
+// The consensus is dated by its latest input: it stands as announced when the
+// last of its predictions was, and weights only count scores of predictions
+// that had matured by then. A consensus for a past date therefore comes out
+// the same as it looked before that date. Once the date has passed and at
+// least MIN_PREDICTORS took part, scoreDue() scores it with the active model
+// like a point prediction and stores it in consensus_scores, so the crowd
+// gets a track record to compare with the individuals it is made of.
+//
+//   GET /api/consensus?asset=&quote_currency=&date=YYYY-MM-DD&window_days=
+//   GET /api/consensus/dates?asset=&quote_currency=  upcoming dates with predictions
+//   GET /api/consensus/record?asset=&quote_currency= scored consensus so far
+const express = require('express');
+const { run, get, all } = require('./db');
+const { parseMarket } = require('./assets');
+const { describeTarget } = require('./prediction-types');
+const { toUTCString } = require('./maturity');
+const { todayUTC, addDays } = require('./price-store');
+const { DEFAULTS: SCOREBOARD_DEFAULTS } = require('./scoreboard');
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 90;
+const MIN_PREDICTORS = 2;
+// Weight of predictors when nothing has been scored yet
+const NEUTRAL_WEIGHT = 50;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseDate(value) {
+  if (!DATE.test(value || '') || Number.isNaN(Date.parse(value))) {
+    throw badRequest('date must be a date (YYYY-MM-DD)');
+  }
+  return value;
+}
+
+function parseWindow(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_WINDOW_DAYS;
+  }
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_WINDOW_DAYS) {
+    throw badRequest(`window_days must be a whole number from 0 to ${MAX_WINDOW_DAYS}`);
+  }
+  return days;
+}
+
+// The price a prediction points at, ranges by their midpoint
+function targetOf(prediction) {
+  return prediction.type === 'range' ? (prediction.price_low + prediction.price_high) / 2 : prediction.price;
+}
+
+// Linear interpolation between the closest ranks of sorted `values`
+function quantile(values, p) {
+  const position = (values.length - 1) * p;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return values[below] + (values[above] - values[below]) * (position - below);
+}
+
+// The value where half the total weight lies on either side, averaging the
+// two neighbours when it falls exactly between them
+function weightedMedian(items) {
+  const sorted = [...items].sort((a, b) => a.value - b.value);
+  const total = sorted.reduce((sum, item) => sum + item.weight, 0);
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].weight;
+    if (cumulative * 2 === total && i + 1 < sorted.length) {
+      return (sorted[i].value + sorted[i + 1].value) / 2;
+    }
+    if (cumulative * 2 > total) {
+      return sorted[i].value;
+    }
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+function createConsensus({ db, scorer }) {
+  // Each predictor's latest point or range call maturing near `date`
+  async function loadPredictions(market, date, windowDays) {
+    const rows = await all(db,
+      `SELECT predictions.id, predictions.predictor_id, predictors.slug AS predictor_slug,
+         predictors.display_name AS predictor_name, predictions.asset, predictions.quote_currency, predictions.type,
+         predictions.price, predictions.price_low, predictions.price_high, predictions.announced_at,
+         predictions.matures_at, predictions.status, predictions.score
+       FROM predictions
+       JOIN predictors ON predictors.id = predictions.predictor_id
+       WHERE predictions.hidden_at IS NULL AND predictions.asset = ? AND predictions.quote_currency = ?
+         AND predictions.type IN ('point', 'range')
+         AND substr(predictions.matures_at, 1, 10) BETWEEN ? AND ?
+         AND predictions.announced_at <= ?
+       ORDER BY predictions.announced_at DESC, predictions.id DESC`,
+      [market.asset, market.quote_currency, addDays(date, -windowDays), addDays(date, windowDays), `${date}T23:59:59Z`]);
+    const seen = new Set();
+    return rows.filter(row => !seen.has(row.predictor_id) && seen.add(row.predictor_id));
+  }
+
+  // Shrunk average score of every predictor from predictions matured by `asOf`
+  async function loadWeights(asOf) {
+    const rows = await all(db,
+      `SELECT predictor_id, COUNT(*) AS count, SUM(score) AS total
+       FROM predictions
+       WHERE hidden_at IS NULL AND score IS NOT NULL AND predictor_id IS NOT NULL AND matures_at <= ?
+       GROUP BY predictor_id`,
+      [asOf]);
+    const count = rows.reduce((sum, row) => sum + row.count, 0);
+    const globalMean = count ? rows.reduce((sum, row) => sum + row.total, 0) / count : NEUTRAL_WEIGHT;
+    const prior = SCOREBOARD_DEFAULTS.prior_weight;
+    const records = new Map(rows.map(row => [row.predictor_id, row]));
+    return predictorId => {
+      const record = records.get(predictorId);
+      return {
+        weight: record ? (record.total + prior * globalMean) / (record.count + prior) : globalMean,
+        scored_count: record ? record.count : 0,
+        average_score: record ? record.total / record.count : null
+      };
+    };
+  }
+
+  async function compute({ asset, quote_currency: quote, date, window_days: windowDays = DEFAULT_WINDOW_DAYS }) {
+    const market = { asset, quote_currency: quote };
+    const rows = await loadPredictions(market, date, windowDays);
+    const result = { ...market, date, window_days: windowDays, prediction_count: rows.length };
+    if (!rows.length) {
+      return { ...result, announced_at: null, low: null, q1: null, median: null, q3: null, high: null, consensus: null, predictions: [] };
+    }
+
+    const announcedAt = rows.map(row => row.announced_at).sort().pop();
+    const weightOf = await loadWeights(announcedAt);
+    const predictions = rows.map(row => ({
+      ...row,
+      target: targetOf(row),
+      description: describeTarget(row),
+      ...weightOf(row.predictor_id)
+    }));
+    const targets = predictions.map(prediction => prediction.target).sort((a, b) => a - b);
+    // Everyone counts equally if every weight is zero
+    const weighted = predictions.some(prediction => prediction.weight > 0);
+
+    return {
+      ...result,
+      announced_at: announcedAt,
+      low: targets[0],
+      q1: quantile(targets, 0.25),
+      median: quantile(targets, 0.5),
+      q3: quantile(targets, 0.75),
+      high: targets[targets.length - 1],
+      consensus: weightedMedian(predictions.map(prediction => ({
+        value: prediction.target,
+        weight: weighted ? prediction.weight : 1
+      }))),
+      predictions: predictions.sort((a, b) => a.target - b.target)
+    };
+  }
+
+  // Maturity dates still ahead with how many point and range predictions
+  // mature on each
+  function upcomingDates(market) {
+    return all(db,
+      `SELECT substr(matures_at, 1, 10) AS date, COUNT(*) AS prediction_count
+       FROM predictions
+       WHERE hidden_at IS NULL AND status = 'pending' AND type IN ('point', 'range')
+         AND asset = ? AND quote_currency = ? AND matures_at > ?
+       GROUP BY date
+       ORDER BY date`,
+      [market.asset, market.quote_currency, toUTCString(Date.now())]);
+  }
+
+  async function scoreOne(consensus) {
+    const result = await scorer.score({
+      type: 'point',
+      price: consensus.consensus,
+      asset: consensus.asset,
+      quote_currency: consensus.quote_currency,
+      date: consensus.date,
+      matures_at: `${consensus.date}T23:59:59Z`,
+      timezone: 'UTC',
+      announced_at: consensus.announced_at,
+      current_price: null
+    });
+    if (!result) {
+      return null;
+    }
+    await run(db,
+      `INSERT INTO consensus_scores (asset, quote_currency, date, window_days, announced_at, prediction_ids, prediction_count,
+         median, q1, q3, consensus, actual_price, score, score_model, terms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [consensus.asset, consensus.quote_currency, consensus.date, consensus.window_days, consensus.announced_at,
+        JSON.stringify(consensus.predictions.map(prediction => prediction.id)), consensus.prediction_count,
+        consensus.median, consensus.q1, consensus.q3, consensus.consensus, result.actual_price, result.score,
+        `${result.model}@${result.model_version}`, JSON.stringify(result.terms)]);
+    return result;
+  }
+
+  // Score the consensus of every market and maturity date that has passed
+  // and isn't scored yet. Dates without a price yet are tried again on the
+  // next run. Dates with fewer than MIN_PREDICTORS are recorded in
+  // consensus_skips and left alone until a prediction maturing within their
+  // window is added after they were skipped.
+  async function scoreDue() {
+    const due = await all(db,
+      `SELECT DISTINCT asset, quote_currency, substr(matures_at, 1, 10) AS date
+       FROM predictions
+       WHERE hidden_at IS NULL AND type IN ('point', 'range') AND substr(matures_at, 1, 10) < ?
+         AND NOT EXISTS (
+           SELECT 1 FROM consensus_scores WHERE consensus_scores.asset = predictions.asset
+           AND consensus_scores.quote_currency = predictions.quote_currency
+           AND consensus_scores.date = substr(predictions.matures_at, 1, 10) AND consensus_scores.window_days = ?
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM consensus_skips WHERE consensus_skips.asset = predictions.asset
+           AND consensus_skips.quote_currency = predictions.quote_currency
+           AND consensus_skips.date = substr(predictions.matures_at, 1, 10) AND consensus_skips.window_days = ?
+           AND NOT EXISTS (
+             SELECT 1 FROM predictions AS later
+             WHERE later.hidden_at IS NULL AND later.type IN ('point', 'range')
+               AND later.asset = consensus_skips.asset AND later.quote_currency = consensus_skips.quote_currency
+               AND substr(later.matures_at, 1, 10) BETWEEN date(consensus_skips.date, ?) AND date(consensus_skips.date, ?)
+               AND later.created_at >= consensus_skips.skipped_at
+           )
+         )
+       ORDER BY date`,
+      [todayUTC(), DEFAULT_WINDOW_DAYS, DEFAULT_WINDOW_DAYS, `-${DEFAULT_WINDOW_DAYS} days`, `+${DEFAULT_WINDOW_DAYS} days`]);
+    let scored = 0;
+    for (const entry of due) {
+      const consensus = await compute(entry);
+      if (consensus.prediction_count < MIN_PREDICTORS) {
+        await run(db,
+          `INSERT INTO consensus_skips (asset, quote_currency, date, window_days, prediction_count) VALUES (?, ?, ?, ?, ?)
+           ON CONFLICT (asset, quote_currency, date, window_days) DO UPDATE SET
+             prediction_count = excluded.prediction_count, skipped_at = CURRENT_TIMESTAMP`,
+          [consensus.asset, consensus.quote_currency, consensus.date, consensus.window_days, consensus.prediction_count]);
+        continue;
+      }
+      try {
+        if (await scoreOne(consensus)) {
+          scored++;
+        }
+      } catch (error) {
+        console.error(`Error scoring ${entry.asset}/${entry.quote_currency} consensus for ${entry.date}:`, error.message);
+      }
+    }
+    if (scored) {
+      console.log(`Scored the consensus for ${scored} dates`);
+    }
+    return scored;
+  }
+
+  async function storedScore(market, date, windowDays) {
+    const row = await get(db,
+      'SELECT * FROM consensus_scores WHERE asset = ? AND quote_currency = ? AND date = ? AND window_days = ?',
+      [market.asset, market.quote_currency, date, windowDays]);
+    return row ? { ...row, prediction_ids: JSON.parse(row.prediction_ids), terms: row.terms ? JSON.parse(row.terms) : null } : null;
+  }
+
+  // Every scored consensus of a market, how many of the scored predictions
+  // it was made of it beat, and where its average would rank among the
+  // predictors of that market
+  async function record(market) {
+    const rows = await all(db,
+      'SELECT * FROM consensus_scores WHERE asset = ? AND quote_currency = ? AND window_days = ? ORDER BY date DESC',
+      [market.asset, market.quote_currency, DEFAULT_WINDOW_DAYS]);
+    const history = [];
+    for (const row of rows) {
+      const ids = JSON.parse(row.prediction_ids);
+      const scores = ids.length ? await all(db,
+        `SELECT score FROM predictions WHERE id IN (${ids.map(() => '?').join(', ')}) AND hidden_at IS NULL AND score IS NOT NULL`,
+        ids) : [];
+      history.push({
+        ...row,
+        prediction_ids: ids,
+        terms: row.terms ? JSON.parse(row.terms) : null,
+        compared_count: scores.length,
+        beaten_count: scores.filter(entry => entry.score < row.score).length
+      });
+    }
+
+    const averageScore = history.length ? history.reduce((sum, row) => sum + row.score, 0) / history.length : null;
+    const predictors = await all(db,
+      `SELECT predictor_id, AVG(score) AS average_score
+       FROM predictions
+       WHERE hidden_at IS NULL AND score IS NOT NULL AND predictor_id IS NOT NULL AND asset = ? AND quote_currency = ?
+       GROUP BY predictor_id`,
+      [market.asset, market.quote_currency]);
+    return {
+      ...market,
+      scored_count: history.length,
+      average_score: averageScore,
+      compared_count: history.reduce((sum, row) => sum + row.compared_count, 0),
+      beaten_count: history.reduce((sum, row) => sum + row.beaten_count, 0),
+      // As if the crowd were on the average-score scoreboard of this market
+      rank: averageScore === null ? null : predictors.filter(entry => entry.average_score > averageScore).length + 1,
+      ranked_count: predictors.length + 1,
+      history
+    };
+  }
+
+  return {
+    compute,
+    upcomingDates,
+    scoreDue,
+    storedScore,
+    record
+  };
+}
+
+function createConsensusRouter({ consensus }) {
+  const router = express.Router();
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      res.json(await fn(req));
+    } catch (error) {
+      console.error(`Consensus error (${label}):`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+
+  router.get('/', handle('compute', async req => {
+    const market = parseMarket(req.query);
+    const date = parseDate(req.query.date);
+    const windowDays = parseWindow(req.query.window_days);
+    const [result, score] = await Promise.all([
+      consensus.compute({ ...market, date, window_days: windowDays }),
+      consensus.storedScore(market, date, windowDays)
+    ]);
+    return { ...result, score: score || null };
+  }));
+
+  router.get('/dates', handle('dates', async req => {
+    const market = parseMarket(req.query);
+    return { ...market, dates: await consensus.upcomingDates(market) };
+  }));
+
+  router.get('/record', handle('record', async req => consensus.record(parseMarket(req.query))));
+
+  return router;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  MIN_PREDICTORS,
+  quantile,
+  weightedMedian,
+  createConsensus,
+  createConsensusRouter
+};
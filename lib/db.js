@@ -0,0 +1,72 @@
+// SQLite helpers shared by the server and the command line scripts
+const sqlite3 = require('sqlite3').verbose();
+
+const DEFAULT_DB_PATH = 'predictions.db';
+
+// Several server instances may share one database file, so wait for a
+// locked database rather than failing straight away. SQLite leaves foreign
+// keys off unless asked on every connection, and the ON DELETE CASCADEs of
+// the schema rely on them.
+function openDatabase(file = process.env.DB_PATH || DEFAULT_DB_PATH, callback) {
+  const db = new sqlite3.Database(file, callback);
+  db.configure('busyTimeout', 5000);
+  db.run('PRAGMA foreign_keys = ON');
+  return db;
+}
+
+// Promise wrappers around the callback API. run() resolves with
+// { lastID, changes } like the `this` of a db.run callback.
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+}
+
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Run `statements` (SQL without parameters) as one transaction that nothing
+// else on the connection can join. exec() holds the connection until the
+// batch is done, and the ROLLBACK queued right behind it undoes a batch that
+// stopped at an error; after a COMMIT it fails harmlessly. A BEGIN ... COMMIT
+// of separate run() calls would take in whatever other code writes meanwhile.
+function transaction(db, statements) {
+  return new Promise((resolve, reject) => {
+    let failure = null;
+    db.exec(`BEGIN IMMEDIATE; ${statements.join(';\n')}; COMMIT`, err => {
+      failure = err;
+    });
+    db.exec('ROLLBACK', () => (failure ? reject(failure) : resolve()));
+  });
+}
+
+function close(db) {
+  return new Promise((resolve, reject) => {
+    db.close(err => (err ? reject(err) : resolve()));
+  });
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  openDatabase,
+  run,
+  get,
+  all,
+  transaction,
+  close
+};
@@ -0,0 +1,398 @@
+// Archived copies of prediction sources.
+//
+// A source is just a URL, and tweets and videos get deleted. When a
+// prediction with a source is added, or its source changes, an
+// 'archive-evidence' job (lib/jobs.js) fetches the page and stores the body
+// with its title, readable text, SHA-256 hash and capture time in the
+// evidence table. Sources that are already gone (most 4xx) are recorded as
+// failed captures straight away; network errors and 5xx are retried by the
+// queue and recorded as failed once it gives up.
+//
+// Fetching goes through an injectable fetch (node-fetch by default) and DNS
+// lookup, so captures can run against a local fixture server. Hosts resolving
+// to loopback, private or link-local addresses are refused unless
+// allowPrivate (EVIDENCE_ALLOW_PRIVATE=true) is set, as a fixture server on
+// localhost needs. The check runs in the lookup of the agents the requests
+// connect through, so the address checked is the address connected to and a
+// host can't answer differently a second time (DNS rebinding). Redirects are
+// followed here rather than by fetch so that every hop goes through it.
+// Snapshots are served back under a sandboxing Content-Security-Policy so an
+// archived page can't run scripts on this site. They are only cached
+// privately and briefly, as hiding a prediction takes its evidence down.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const express = require('express');
+const defaultFetch = require('node-fetch');
+const { run, get, all } = require('./db');
+const { canModify, isAdmin } = require('./auth');
+
+const MAX_REDIRECTS = 5;
+const MAX_TEXT_LENGTH = 200 * 1000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; Philify-Archiver)';
+const RETRYABLE_CLIENT_ERRORS = [408, 425, 429];
+const PRIVATE_ADDRESS = 'EPRIVATEADDRESS';
+const SNAPSHOT_POLICY = "sandbox; default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+
+// Everything but the stored body and text, for listings
+const META_COLUMNS = `id, prediction_id, url, final_url, status, http_status, content_type, title, content_hash, size,
+  truncated, error, captured_at`;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+// Errors that another attempt won't fix
+function permanent(message) {
+  return Object.assign(new Error(message), { permanent: true });
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+      return isPrivateAddress(mapped[1]);
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+}
+
+// A dns.lookup-style function that fails with PRIVATE_ADDRESS when `hostname`
+// resolves to any private address
+function publicLookup(lookup) {
+  return (hostname, options, callback) => {
+    lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+      const addresses = Array.isArray(address) ? address : [{ address }];
+      if (addresses.some(entry => isPrivateAddress(entry.address))) {
+        return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: PRIVATE_ADDRESS }));
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+function squash(text) {
+  return text.replace(/[^\S\n]+/g, ' ').trim();
+}
+
+// content of the first <meta> named (or with the property) one of `names`
+function metaContent(html, names) {
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    const name = (tag.match(/\b(?:property|name)\s*=\s*["']([^"']+)["']/i) || [])[1];
+    const content = (tag.match(/\bcontent\s*=\s*"([^"]*)"/i) || tag.match(/\bcontent\s*=\s*'([^']*)'/i) || [])[1];
+    if (name && content !== undefined && names.includes(name.toLowerCase())) {
+      return squash(decodeEntities(content)) || null;
+    }
+  }
+  return null;
+}
+
+// { title, text } of an HTML page; the description, which is where tweets and
+// videos put what was said, leads the text
+function describeHtml(html) {
+  const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const description = metaContent(html, ['og:description', 'twitter:description', 'description']);
+  const body = decodeEntities(html
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|tr|blockquote|section|article)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '));
+  const lines = body.split('\n').map(squash).filter(Boolean);
+  return {
+    title: metaContent(html, ['og:title', 'twitter:title']) || (title ? squash(decodeEntities(title[1])) : '') || null,
+    text: [description, ...lines].filter(Boolean).join('\n').slice(0, MAX_TEXT_LENGTH) || null
+  };
+}
+
+function decode(content, contentType) {
+  const charset = (contentType.match(/charset\s*=\s*"?([\w-]+)/i) || [])[1] || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(content);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(content);
+  }
+}
+
+// Title and text for the kinds of content that have any
+function describeContent(content, contentType) {
+  if (/html|xml/i.test(contentType)) {
+    return describeHtml(decode(content, contentType));
+  }
+  if (/^text\/|json/i.test(contentType)) {
+    return { title: null, text: decode(content, contentType).slice(0, MAX_TEXT_LENGTH) };
+  }
+  return { title: null, text: null };
+}
+
+// Up to maxBytes of a response body, from node-fetch or a WHATWG fetch
+async function readBody(response, maxBytes) {
+  if (!response.body || typeof response.body[Symbol.asyncIterator] !== 'function') {
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return { content: buffer.subarray(0, maxBytes), truncated: buffer.length > maxBytes };
+  }
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  for await (const chunk of response.body) {
+    chunks.push(Buffer.from(chunk));
+    size += chunk.length;
+    if (size > maxBytes) {
+      truncated = true;
+      break;
+    }
+  }
+  return { content: Buffer.concat(chunks).subarray(0, maxBytes), truncated };
+}
+
+function formatEvidence(row) {
+  return row && { ...row, truncated: Boolean(row.truncated) };
+}
+
+function createEvidenceArchiver({
+  db,
+  jobs,
+  fetch = defaultFetch,
+  lookup = dns.lookup,
+  allowPrivate = process.env.EVIDENCE_ALLOW_PRIVATE === 'true',
+  maxBytes = parseInt(process.env.EVIDENCE_MAX_BYTES) || 5 * 1024 * 1024,
+  timeout = parseInt(process.env.EVIDENCE_TIMEOUT_MS) || 15 * 1000
+}) {
+  const agentOptions = { lookup: allowPrivate ? lookup : publicLookup(lookup) };
+  const agents = { 'http:': new http.Agent(agentOptions), 'https:': new https.Agent(agentOptions) };
+
+  // IP literals are connected to without a lookup, so they are checked here
+  function assertPublicHost(url) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+      throw permanent(`${url.host} is a private address, not archived`);
+    }
+  }
+
+  // The final response for a URL, following redirects one checked hop at a time
+  async function fetchPage(url) {
+    let current;
+    try {
+      current = new URL(url);
+    } catch (error) {
+      throw permanent(`'${url}' is not a URL`);
+    }
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+        throw permanent(`Only http:// and https:// sources can be archived, not ${current.protocol}`);
+      }
+      if (!allowPrivate) {
+        assertPublicHost(current);
+      }
+      let response;
+      try {
+        response = await fetch(current.href, {
+          headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.8' },
+          redirect: 'manual',
+          agent: agents[current.protocol],
+          timeout
+        });
+      } catch (error) {
+        if (error.code === PRIVATE_ADDRESS) {
+          throw permanent(`${current.host} is a private address, not archived`);
+        }
+        throw error;
+      }
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        current = new URL(location, current);
+        continue;
+      }
+      return { response, finalUrl: current.href };
+    }
+    throw permanent(`${url} redirected more than ${MAX_REDIRECTS} times`);
+  }
+
+  async function find(id) {
+    return formatEvidence(await get(db, `SELECT ${META_COLUMNS}, text FROM evidence WHERE id = ?`, [id]));
+  }
+
+  // Captures of a prediction's sources, newest first
+  async function list(predictionId) {
+    const rows = await all(db,
+      `SELECT ${META_COLUMNS} FROM evidence WHERE prediction_id = ? ORDER BY id DESC`,
+      [predictionId]);
+    return rows.map(formatEvidence);
+  }
+
+  async function snapshot(id) {
+    return get(db, "SELECT id, prediction_id, content_type, content, content_hash FROM evidence WHERE id = ? AND status = 'captured'", [id]);
+  }
+
+  async function recordFailure(predictionId, url, { finalUrl = null, httpStatus = null, error }) {
+    const { lastID } = await run(db,
+      "INSERT INTO evidence (prediction_id, url, final_url, status, http_status, error) VALUES (?, ?, ?, 'failed', ?, ?)",
+      [predictionId, url, finalUrl, httpStatus, error]);
+    console.error(`Could not archive ${url} for prediction ${predictionId}: ${error}`);
+    return find(lastID);
+  }
+
+  // Fetch and store one copy of `url`. Resolves with the evidence row, a
+  // failed one for sources that can't be archived; throws when trying again
+  // later might work.
+  async function capture(predictionId, url) {
+    let page;
+    try {
+      page = await fetchPage(url);
+    } catch (error) {
+      if (error.permanent) {
+        return recordFailure(predictionId, url, { error: error.message });
+      }
+      throw error;
+    }
+
+    const { response, finalUrl } = page;
+    if (response.status < 200 || response.status >= 300) {
+      const message = `${finalUrl} returned ${response.status} ${response.statusText}`;
+      if (response.status >= 400 && response.status < 500 && !RETRYABLE_CLIENT_ERRORS.includes(response.status)) {
+        return recordFailure(predictionId, url, { finalUrl, httpStatus: response.status, error: message });
+      }
+      throw Object.assign(new Error(message), { httpStatus: response.status });
+    }
+
+    const { content, truncated } = await readBody(response, maxBytes);
+    const contentType = response.headers.get('content-type') || 'application/octet-stream';
+    const { title, text } = describeContent(content, contentType);
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+    const { lastID } = await run(db,
+      `INSERT INTO evidence (prediction_id, url, final_url, status, http_status, content_type, title, text, content,
+         content_hash, size, truncated)
+       VALUES (?, ?, ?, 'captured', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [predictionId, url, finalUrl, response.status, contentType, title, text, content, contentHash, content.length,
+        truncated ? 1 : 0]);
+    console.log(`Archived ${url} for prediction ${predictionId}: ${content.length} bytes, sha256 ${contentHash}`);
+    return find(lastID);
+  }
+
+  // Job handler: archive the prediction's current source. The last failed
+  // attempt is recorded so the evidence list shows why there is no copy.
+  async function archivePrediction({ prediction_id: predictionId }, job) {
+    const prediction = await get(db, 'SELECT id, source FROM predictions WHERE id = ?', [predictionId]);
+    if (!prediction || !prediction.source) {
+      return { skipped: prediction ? 'no source' : 'deleted' };
+    }
+    try {
+      const evidence = await capture(prediction.id, prediction.source);
+      return { evidence_id: evidence.id, status: evidence.status };
+    } catch (error) {
+      if (!job || job.attempts >= job.max_attempts) {
+        await recordFailure(prediction.id, prediction.source, { httpStatus: error.httpStatus, error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  async function queue(predictionId) {
+    await jobs.enqueue('archive-evidence', String(predictionId), { prediction_id: predictionId });
+    jobs.drain().catch(error => console.error('Error running jobs:', error.message));
+  }
+
+  if (jobs) {
+    jobs.register('archive-evidence', archivePrediction);
+  }
+
+  return {
+    capture,
+    archivePrediction,
+    queue,
+    find,
+    list,
+    snapshot
+  };
+}
+
+// Mounted at /api. Evidence is public like the sources themselves, except
+// for hidden predictions; owners and admins can ask for a fresh capture.
+function createEvidenceRouter({ db, auth, evidence }) {
+  const router = express.Router();
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error(`Evidence ${label} error:`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+
+  async function loadPrediction(req, id) {
+    const prediction = await get(db, 'SELECT id, owner_id, source, hidden_at FROM predictions WHERE id = ?', [id]);
+    if (!prediction || (prediction.hidden_at && !(req.user && isAdmin(req.user)))) {
+      throw Object.assign(new Error('Prediction not found'), { status: 404 });
+    }
+    return prediction;
+  }
+
+  async function loadEvidence(req, id, load) {
+    const row = await load(id);
+    if (!row) {
+      throw Object.assign(new Error('Evidence not found'), { status: 404 });
+    }
+    await loadPrediction(req, row.prediction_id);
+    return row;
+  }
+
+  router.get('/predictions/:id/evidence', handle('list', async (req, res) => {
+    const prediction = await loadPrediction(req, req.params.id);
+    res.json(await evidence.list(prediction.id));
+  }));
+
+  router.post('/predictions/:id/evidence', auth.requireUser, handle('capture', async (req, res) => {
+    const prediction = await loadPrediction(req, req.params.id);
+    if (!canModify(req.user, prediction)) {
+      throw Object.assign(new Error('Only the owner or an admin can archive this prediction\'s source'), { status: 403 });
+    }
+    if (!prediction.source) {
+      throw Object.assign(new Error('This prediction has no source to archive'), { status: 400 });
+    }
+    await evidence.queue(prediction.id);
+    res.status(202).json({ queued: true, prediction_id: prediction.id, url: prediction.source });
+  }));
+
+  router.get('/evidence/:id', handle('fetch', async (req, res) => {
+    res.json(await loadEvidence(req, req.params.id, evidence.find));
+  }));
+
+  // The archived bytes as they were served, never allowed to run as this site
+  router.get('/evidence/:id/content', handle('content', async (req, res) => {
+    const row = await loadEvidence(req, req.params.id, evidence.snapshot);
+    res.set({
+      'Content-Type': row.content_type,
+      'Content-Security-Policy': SNAPSHOT_POLICY,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=300',
+      ETag: `"${row.content_hash}"`
+    });
+    res.send(row.content);
+  }));
+
+  return router;
+}
+
+module.exports = {
+  isPrivateAddress,
+  describeContent,
+  createEvidenceArchiver,
+  createEvidenceRouter
+};
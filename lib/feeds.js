@@ -0,0 +1,248 @@
+// Feeds to follow Philify from a reader, mounted at /feeds:
+//
+//   /feeds/predictions.{xml,atom,json}        - predictions as they are added
+//   /feeds/resolved.{xml,atom,json}           - predictions as they are scored
+//   /feeds/predictors/:slug.{xml,atom,json}   - one predictor's predictions
+//
+// .xml is RSS 2.0, .atom is Atom 1.0 and .json is JSON Feed 1.1. Entries
+// link to the prediction's share page (see lib/cards.js) and its source, and
+// say the actual price and score once it is scored; JSON Feed items also
+// carry the raw fields under "_philify". Feeds are built from the database
+// on each request, hidden predictions left out, and sent with Cache-Control
+// and Last-Modified so readers polling them get 304s in between.
+const express = require('express');
+const { all } = require('./db');
+const { cardModel, cardTitle, cardDescription } = require('./cards');
+
+const FEED_SIZE = 50;
+const CACHE_CONTROL = 'public, max-age=300';
+const TYPES = {
+  xml: 'application/rss+xml',
+  atom: 'application/atom+xml',
+  json: 'application/feed+json'
+};
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// SQLite's CURRENT_TIMESTAMP ('YYYY-MM-DD HH:MM:SS', UTC) as a Date
+function sqlTime(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`) : null;
+}
+
+function isoTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Everything about one prediction a feed entry needs
+function toEntry(row, baseUrl) {
+  const model = cardModel(row);
+  const url = `${baseUrl}/prediction/${row.id}`;
+  const description = cardDescription(model);
+  const published = sqlTime(row.created_at);
+  const resolved = sqlTime(row.resolved_at);
+  return {
+    row,
+    id: url,
+    url,
+    title: model.score !== null ? `${cardTitle(model)} (score ${model.scoreText})` : cardTitle(model),
+    text: `${description}.`,
+    html: `<p>${escapeXml(description)}.</p>`
+      + (row.source ? `<p>Source: <a href="${escapeXml(row.source)}">${escapeXml(row.source)}</a></p>` : '')
+      + `<p><img src="${escapeXml(`${baseUrl}/api/predictions/${row.id}/card.png`)}" alt="${escapeXml(cardTitle(model))}"></p>`,
+    image: `${baseUrl}/api/predictions/${row.id}/card.png`,
+    author: model.predictor,
+    authorUrl: row.predictor_slug ? `${baseUrl}/predictor/${encodeURIComponent(row.predictor_slug)}` : null,
+    published,
+    updated: sqlTime(row.scored_at) || published,
+    resolved
+  };
+}
+
+function renderRss(feed, entries) {
+  const items = entries.map(entry => `
+    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.id)}</guid>
+      <pubDate>${(feed.resolved ? entry.resolved : entry.published).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(entry.author)}</dc:creator>
+      <category>${escapeXml(entry.row.asset)}</category>
+      <description>${escapeXml(entry.html)}</description>
+    </item>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="${TYPES.xml}"/>
+    ${feed.updated ? `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>` : ''}${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed, entries) {
+  const items = entries.map(entry => `
+  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>
+    ${entry.row.source ? `<link rel="related" href="${escapeXml(entry.row.source)}"/>` : ''}
+    <published>${isoTime(feed.resolved ? entry.resolved : entry.published)}</published>
+    <updated>${isoTime(entry.updated)}</updated>
+    <author>
+      <name>${escapeXml(entry.author)}</name>${entry.authorUrl ? `
+      <uri>${escapeXml(entry.authorUrl)}</uri>` : ''}
+    </author>
+    <category term="${escapeXml(entry.row.asset)}"/>
+    <summary>${escapeXml(entry.text)}</summary>
+    <content type="html">${escapeXml(entry.html)}</content>
+  </entry>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="${TYPES.atom}" href="${escapeXml(feed.selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+  <updated>${isoTime(feed.updated || new Date(0))}</updated>${items}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed, entries) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    items: entries.map(entry => ({
+      id: entry.id,
+      url: entry.url,
+      external_url: entry.row.source || undefined,
+      title: entry.title,
+      content_html: entry.html,
+      content_text: entry.text,
+      image: entry.image,
+      date_published: isoTime(feed.resolved ? entry.resolved : entry.published),
+      date_modified: isoTime(entry.updated),
+      authors: [{ name: entry.author, url: entry.authorUrl || undefined }],
+      tags: [entry.row.asset],
+      _philify: {
+        prediction_id: entry.row.id,
+        predictor: entry.author,
+        predictor_slug: entry.row.predictor_slug,
+        asset: entry.row.asset,
+        quote_currency: entry.row.quote_currency,
+        type: entry.row.type,
+        price: entry.row.price,
+        price_low: entry.row.price_low,
+        price_high: entry.row.price_high,
+        matures_at: entry.row.matures_at,
+        announced_at: entry.row.announced_at,
+        current_price: entry.row.current_price,
+        source: entry.row.source,
+        status: entry.row.status,
+        actual_price: entry.row.actual_price,
+        score: entry.row.score,
+        score_model: entry.row.score_model
+      }
+    }))
+  };
+}
+
+function createFeedRouter({ db, predictors, publicUrl = process.env.PUBLIC_URL || null }) {
+  const router = express.Router();
+
+  // Newest first: by when they were added, or by when they were first
+  // scored for the resolved feed (so re-scoring doesn't bump them)
+  function loadRows({ resolved = false, predictorId = null }) {
+    const conditions = ['predictions.hidden_at IS NULL'];
+    const params = [];
+    if (resolved) {
+      conditions.push("predictions.status = 'completed'", 'predictions.score IS NOT NULL');
+    }
+    if (predictorId) {
+      conditions.push('predictions.predictor_id = ?');
+      params.push(predictorId);
+    }
+    return all(db,
+      `SELECT predictions.*, predictors.slug AS predictor_slug, predictors.display_name AS predictor_name,
+         prediction_scores.actual_price, prediction_scores.scored_at,
+         (SELECT MIN(scored_at) FROM prediction_scores first WHERE first.prediction_id = predictions.id) AS resolved_at
+       FROM predictions
+       LEFT JOIN predictors ON predictors.id = predictions.predictor_id
+       LEFT JOIN prediction_scores ON prediction_scores.prediction_id = predictions.id AND prediction_scores.is_active = 1
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${resolved ? 'resolved_at DESC' : 'predictions.created_at DESC'}, predictions.id DESC
+       LIMIT ?`,
+      [...params, FEED_SIZE]);
+  }
+
+  function send(req, res, format, feed, rows) {
+    const baseUrl = (publicUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    const entries = rows.map(row => toEntry(row, baseUrl));
+    const updated = entries.reduce((latest, entry) => (!latest || entry.updated > latest ? entry.updated : latest), null);
+    const full = {
+      ...feed,
+      homeUrl: `${baseUrl}${feed.homePath}`,
+      selfUrl: `${baseUrl}${req.baseUrl}${req.path}`,
+      updated
+    };
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    if (updated) {
+      // Express answers 304 itself when this or the ETag still matches
+      res.set('Last-Modified', updated.toUTCString());
+    }
+    if (format === 'json') {
+      res.type(TYPES.json).send(JSON.stringify(renderJsonFeed(full, entries), null, 2));
+    } else {
+      res.type(TYPES[format]).send(format === 'atom' ? renderAtom(full, entries) : renderRss(full, entries));
+    }
+  }
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error(`Feed error (${label}):`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+
+  router.get('/:feed(predictions|resolved).:format(xml|atom|json)', handle('site', async (req, res) => {
+    const resolved = req.params.feed === 'resolved';
+    const feed = resolved
+      ? { title: 'Philify: scored predictions', description: 'Predictions as they are scored against the actual price', homePath: '/', resolved }
+      : { title: 'Philify: new predictions', description: 'Price predictions as they are added to Philify', homePath: '/', resolved };
+    send(req, res, req.params.format, feed, await loadRows({ resolved }));
+  }));
+
+  router.get('/predictors/:slug.:format(xml|atom|json)', handle('predictor', async (req, res) => {
+    const predictor = await predictors.findBySlug(req.params.slug);
+    if (!predictor) {
+      throw Object.assign(new Error('Predictor not found'), { status: 404 });
+    }
+    const feed = {
+      title: `Philify: ${predictor.display_name}`,
+      description: `Price predictions by ${predictor.display_name} and how they scored`,
+      homePath: `/predictor/${encodeURIComponent(predictor.slug)}`,
+      resolved: false
+    };
+    send(req, res, req.params.format, feed, await loadRows({ predictorId: predictor.id }));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  FEED_SIZE,
+  createFeedRouter
+};
@@ -0,0 +1,240 @@
+// Persistent job queue backed by the jobs table.
+//
+// A job is { type, key, payload }. Only one job per type and key can be
+// queued or running at a time, so enqueueing work that is already queued is a
+// no-op. Workers claim a job with a single UPDATE that writes their own lock
+// token, which SQLite applies atomically, so two server processes sharing the
+// database never run the same job. A running job whose lock expires (its
+// process died) is claimed again. A failed run is retried after
+// backoffBase * 2^(attempts - 1), capped at backoffMax, until max_attempts,
+// after which the job is marked failed and waits for an admin to retry it.
+//
+// Derived states used by list():
+//   stuck     - running, but its lock expired
+//   retrying  - queued again after a failed attempt
+//   attention - failed, stuck or retrying
+const os = require('os');
+const { run, get, all } = require('./db');
+
+const STATUSES = ['queued', 'running', 'done', 'failed', 'stuck', 'retrying', 'attention'];
+const DEFAULTS = {
+  maxAttempts: 8,
+  backoffBase: 60 * 1000,
+  backoffMax: 6 * 60 * 60 * 1000,
+  lockTimeout: 5 * 60 * 1000
+};
+
+function backoffDelay(attempts, { backoffBase, backoffMax } = DEFAULTS) {
+  return Math.min(backoffMax, backoffBase * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+// WHERE clause for a status filter, `now` in ms
+function statusFilter(status, now) {
+  switch (status) {
+    case 'stuck':
+      return { sql: "status = 'running' AND locked_until < ?", params: [now] };
+    case 'retrying':
+      return { sql: "status = 'queued' AND attempts > 0", params: [] };
+    case 'attention':
+      return {
+        sql: "(status = 'failed' OR (status = 'running' AND locked_until < ?) OR (status = 'queued' AND attempts > 0))",
+        params: [now]
+      };
+    default:
+      return { sql: 'status = ?', params: [status] };
+  }
+}
+
+function parseJob(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    ...row,
+    payload: row.payload ? JSON.parse(row.payload) : null,
+    result: row.result ? JSON.parse(row.result) : null
+  };
+}
+
+function createJobQueue(db, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+  const handlers = new Map();
+  let claimCount = 0;
+  let draining = null;
+
+  // handler(payload, job) resolves with a result stored on the job, or throws
+  // to have the job retried
+  function register(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  // Resolves with true when a job was queued. With `reuse`, a finished job of
+  // the same type and key is queued again instead of adding a row, for work
+  // that is checked over and over (touch predictions every hour).
+  async function enqueue(type, key, payload = null, { runAt = Date.now(), maxAttempts = settings.maxAttempts, reuse = false } = {}) {
+    if (reuse) {
+      const { changes: requeued } = await run(db,
+        `UPDATE jobs SET status = 'queued', payload = ?, run_at = ?, max_attempts = ?, attempts = 0, result = NULL,
+           last_error = NULL, locked_by = NULL, locked_until = NULL, finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = (SELECT MAX(id) FROM jobs WHERE type = ? AND key = ? AND status = 'done')
+           AND NOT EXISTS (SELECT 1 FROM jobs WHERE type = ? AND key = ? AND status IN ('queued', 'running'))`,
+        [JSON.stringify(payload), runAt, maxAttempts, type, String(key), type, String(key)]);
+      if (requeued) {
+        return true;
+      }
+    }
+    const { changes } = await run(db,
+      'INSERT OR IGNORE INTO jobs (type, key, payload, run_at, max_attempts) VALUES (?, ?, ?, ?, ?)',
+      [type, String(key), JSON.stringify(payload), runAt, maxAttempts]);
+    return changes > 0;
+  }
+
+  async function claim() {
+    const now = Date.now();
+    const token = `${workerId}#${++claimCount}`;
+    const types = [...handlers.keys()];
+    if (!types.length) {
+      return null;
+    }
+    const placeholders = types.map(() => '?').join(', ');
+    const claimable = `type IN (${placeholders})
+      AND ((status = 'queued' AND run_at <= ?) OR (status = 'running' AND locked_until < ?))`;
+    const { changes } = await run(db,
+      `UPDATE jobs SET status = 'running', locked_by = ?, locked_until = ?, attempts = attempts + 1,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = (SELECT id FROM jobs WHERE ${claimable} ORDER BY run_at, id LIMIT 1) AND ${claimable}`,
+      [token, now + settings.lockTimeout, ...types, now, now, ...types, now, now]);
+    if (!changes) {
+      return null;
+    }
+    return parseJob(await get(db, "SELECT * FROM jobs WHERE locked_by = ? AND status = 'running'", [token]));
+  }
+
+  // Only the lock holder may finish a job; if the lock expired and another
+  // worker took it over, this run's outcome is dropped
+  async function complete(job, result) {
+    await run(db,
+      `UPDATE jobs SET status = 'done', result = ?, locked_by = NULL, locked_until = NULL,
+         updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND locked_by = ?`,
+      [result === undefined ? null : JSON.stringify(result), job.id, job.locked_by]);
+  }
+
+  async function fail(job, error) {
+    const exhausted = job.attempts >= job.max_attempts;
+    const runAt = Date.now() + backoffDelay(job.attempts, settings);
+    await run(db,
+      `UPDATE jobs SET status = ?, run_at = ?, last_error = ?, locked_by = NULL, locked_until = NULL,
+         updated_at = CURRENT_TIMESTAMP, finished_at = CASE WHEN ? THEN CURRENT_TIMESTAMP END
+       WHERE id = ? AND locked_by = ?`,
+      [exhausted ? 'failed' : 'queued', exhausted ? job.run_at : runAt, error.message,
+        exhausted ? 1 : 0, job.id, job.locked_by]);
+    if (exhausted) {
+      console.error(`Job ${job.id} (${job.type} ${job.key}) failed after ${job.attempts} attempts: ${error.message}`);
+    } else {
+      console.error(`Job ${job.id} (${job.type} ${job.key}) attempt ${job.attempts} failed, retrying at ${new Date(runAt).toISOString()}: ${error.message}`);
+    }
+  }
+
+  // Run one due job, resolving with false when there was nothing to do
+  async function runNext() {
+    const job = await claim();
+    if (!job) {
+      return false;
+    }
+    try {
+      const result = await handlers.get(job.type)(job.payload, job);
+      await complete(job, result);
+    } catch (error) {
+      await fail(job, error);
+    }
+    return true;
+  }
+
+  // Run due jobs until none are left. Concurrent calls share one pass.
+  function drain() {
+    if (!draining) {
+      draining = (async () => {
+        try {
+          while (await runNext()) {
+            // keep going
+          }
+        } finally {
+          draining = null;
+        }
+      })();
+    }
+    return draining;
+  }
+
+  async function list({ status, type, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        throw Object.assign(new Error(`Unknown job status '${status}', use one of: ${STATUSES.join(', ')}`), { status: 400 });
+      }
+      const filter = statusFilter(status, Date.now());
+      clauses.push(filter.sql);
+      params.push(...filter.params);
+    }
+    if (type) {
+      clauses.push('type = ?');
+      params.push(type);
+    }
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const rows = await all(db,
+      `SELECT * FROM jobs ${where} ORDER BY updated_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]);
+    const { total } = await get(db, `SELECT COUNT(*) AS total FROM jobs ${where}`, params);
+    return { total, jobs: rows.map(parseJob) };
+  }
+
+  async function find(id) {
+    return parseJob(await get(db, 'SELECT * FROM jobs WHERE id = ?', [id]));
+  }
+
+  // Queue a failed or stuck job to run now with a fresh set of attempts
+  async function retry(id) {
+    const job = await find(id);
+    if (!job) {
+      throw Object.assign(new Error('Job not found'), { status: 404 });
+    }
+    const stuck = job.status === 'running' && job.locked_until < Date.now();
+    if (job.status !== 'failed' && job.status !== 'queued' && !stuck) {
+      throw Object.assign(new Error(`Job ${job.id} is ${job.status} and can't be retried`), { status: 409 });
+    }
+    try {
+      await run(db,
+        `UPDATE jobs SET status = 'queued', attempts = 0, run_at = ?, locked_by = NULL, locked_until = NULL,
+           finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [Date.now(), job.id]);
+    } catch (error) {
+      if (/UNIQUE/.test(error.message)) {
+        throw Object.assign(new Error(`Another ${job.type} job for ${job.key} is already queued`), { status: 409 });
+      }
+      throw error;
+    }
+    return find(job.id);
+  }
+
+  return {
+    workerId,
+    register,
+    enqueue,
+    runNext,
+    drain,
+    list,
+    find,
+    retry
+  };
+}
+
+module.exports = {
+  STATUSES,
+  DEFAULTS,
+  backoffDelay,
+  createJobQueue
+};
@@ -0,0 +1,223 @@
+// Outgoing mail transports
+//
+// A transport is { name, send({ from, to, subject, text }) } and send()
+// resolves once the message was accepted. MAIL_TRANSPORT picks one:
+//   smtp - a plain SMTP client (SMTP_HOST, SMTP_PORT, SMTP_SECURE for
+//          implicit TLS, STARTTLS when the server offers it, AUTH PLAIN
+//          with SMTP_USER and SMTP_PASS)
+//   log  - prints messages to the console instead of sending them
+// Without MAIL_TRANSPORT email is disabled. Other transports can be added
+// with registerTransport(name, factory) or passed to createMailer directly.
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+function isEmail(value) {
+  return EMAIL_PATTERN.test(String(value || ''));
+}
+
+// Headers must not carry line breaks, and non-ASCII text is encoded
+function headerValue(value) {
+  const clean = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean).toString('base64')}?=`;
+}
+
+function formatMessage({ from, to, subject, text }) {
+  const domain = String(from).split('@')[1] || os.hostname();
+  const headers = [
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${headerValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  // Normalize line endings and dot-stuff lines starting with '.'
+  const body = String(text).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+// Reads multi-line SMTP replies ('250-...' continued, '250 ...' final)
+// from whichever socket is attached, so the session survives STARTTLS
+function createSmtpReader() {
+  let buffer = '';
+  const lines = [];
+  let waiting = null;
+  let failure = null;
+
+  function settle() {
+    if (!waiting) {
+      return;
+    }
+    const end = lines.findIndex(line => /^\d{3}( |$)/.test(line));
+    if (end >= 0) {
+      const reply = lines.splice(0, end + 1);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({ code: parseInt(reply[end], 10), lines: reply.map(line => line.slice(4)) });
+    } else if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+    }
+  }
+
+  return {
+    attach(socket) {
+      socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) >= 0) {
+          lines.push(buffer.slice(0, index));
+          buffer = buffer.slice(index + 2);
+        }
+        settle();
+      });
+      socket.on('error', error => {
+        failure = error;
+        settle();
+      });
+      socket.on('close', () => {
+        failure = failure || new Error('SMTP connection closed');
+        settle();
+      });
+    },
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        settle();
+      });
+    }
+  };
+}
+
+function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  timeout = 30 * 1000
+} = {}) {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+        : net.connect({ host, port }, () => resolve(socket));
+      socket.once('error', reject);
+    });
+  }
+
+  function upgrade(socket) {
+    return new Promise((resolve, reject) => {
+      const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+      secured.once('error', reject);
+    });
+  }
+
+  async function send({ from, to, subject, text }) {
+    let socket = await connect();
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP timeout talking to ${host}`)));
+    let reader = createSmtpReader();
+    reader.attach(socket);
+
+    const command = async (line, expected) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await reader.read();
+      if (!expected.includes(reply.code)) {
+        const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+        throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220]);
+      const hello = await command(`EHLO ${os.hostname()}`, [250]);
+      if (!secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        await command('STARTTLS', [220]);
+        socket.setTimeout(0);
+        socket = await upgrade(socket);
+        socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP timeout talking to ${host}`)));
+        reader = createSmtpReader();
+        reader.attach(socket);
+        await command(`EHLO ${os.hostname()}`, [250]);
+      }
+      if (user) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235]);
+      }
+      await command(`MAIL FROM:<${from}>`, [250]);
+      await command(`RCPT TO:<${to}>`, [250, 251]);
+      await command('DATA', [354]);
+      await command(`${formatMessage({ from, to, subject, text })}\r\n.`, [250]);
+      await command('QUIT', [221]).catch(() => {});
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return {
+    name: 'smtp',
+    send
+  };
+}
+
+function createLogTransport() {
+  return {
+    name: 'log',
+    async send({ from, to, subject, text }) {
+      console.log(`Mail from ${from} to ${to}: ${subject}\n${text}`);
+    }
+  };
+}
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  log: createLogTransport
+};
+
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+// Resolves the configured transport, or null when email is disabled
+function createMailer({ transport = process.env.MAIL_TRANSPORT, from = process.env.MAIL_FROM || 'notifications@philify.local' } = {}) {
+  if (!transport) {
+    return null;
+  }
+  let instance = transport;
+  if (typeof transport === 'string') {
+    const factory = transportFactories[transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport '${transport}'`);
+    }
+    instance = factory();
+  }
+  if (!isEmail(from)) {
+    throw new Error(`MAIL_FROM '${from}' is not an email address`);
+  }
+  return {
+    transport: instance.name,
+    send: message => instance.send({ from, ...message })
+  };
+}
+
+module.exports = {
+  isEmail,
+  formatMessage,
+  registerTransport,
+  createMailer,
+  createSmtpTransport,
+  createLogTransport
+};
@@ -0,0 +1,304 @@
+// Provisional "mark-to-market" scores for pending predictions, mounted at
+// /api/marks, so a call that matures in months shows how it is doing today.
+//
+// A prediction is taken to travel from the price when it was announced to
+// its target, compounding evenly over its horizon. Its mark compares today's
+// price with where that path is now, given the elapsed share of the horizon
+// (`progress`, 0 to 1): the prediction is scored with the model that will
+// score it for real, as if its target were the on-track price (ranges and
+// thresholds move along the path with it) and today's price the actual one.
+// `distance_percent` is the move today's price still needs to meet the real
+// target, 0 once an above/below/range target is met. Touch predictions get
+// their distance only, they settle as soon as they hit.
+//
+// refresh() marks every visible pending prediction that hasn't matured and
+// runs from the hourly housekeeping. Marks live in provisional_scores, one
+// row per prediction and day, and never touch predictions.score or
+// prediction_scores. The sparkline is the path since the announcement: the
+// announcement price, the stored daily prices and the marks of days without
+// one, thinned to SPARKLINE_POINTS.
+//
+//   GET /api/marks?asset=&quote_currency=  latest mark of every pending prediction
+//   GET /api/marks/:id                     one prediction's marks, oldest first
+const express = require('express');
+const { run, get, all } = require('./db');
+const { marketOf, marketKey } = require('./assets');
+const { maturityTime, toUTCString } = require('./maturity');
+const { todayUTC } = require('./price-store');
+const { getModelFor } = require('./scoring');
+
+const SPARKLINE_POINTS = 30;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Move from `price` to `target` as a percentage of `price`
+function movePercent(price, target) {
+  return (target - price) / price * 100;
+}
+
+function distancePercent(prediction, price) {
+  switch (prediction.type) {
+    case 'range':
+      if (price < prediction.price_low) {
+        return movePercent(price, prediction.price_low);
+      }
+      return price > prediction.price_high ? movePercent(price, prediction.price_high) : 0;
+    case 'above':
+      return price >= prediction.price ? 0 : movePercent(price, prediction.price);
+    case 'below':
+      return price <= prediction.price ? 0 : movePercent(price, prediction.price);
+    default:
+      return movePercent(price, prediction.price);
+  }
+}
+
+// The mark of a pending prediction at `price`, `now` (epoch ms)
+function markPrediction(prediction, price, now = Date.now()) {
+  const announced = Date.parse(prediction.announced_at);
+  const matures = maturityTime(prediction);
+  const progress = matures > announced ? Math.min(1, Math.max(0, (now - announced) / (matures - announced))) : 1;
+  const start = prediction.current_price;
+  const onTrackPrice = start ? start * Math.pow(prediction.price / start, progress) : prediction.price;
+  const mark = {
+    price,
+    progress,
+    on_track_price: onTrackPrice,
+    distance_percent: distancePercent(prediction, price),
+    score: null,
+    score_model: null,
+    terms: null
+  };
+  if (prediction.type === 'touch') {
+    return mark;
+  }
+
+  const scale = onTrackPrice / prediction.price;
+  const onTrack = {
+    ...prediction,
+    price: onTrackPrice,
+    price_low: prediction.price_low === null ? null : prediction.price_low * scale,
+    price_high: prediction.price_high === null ? null : prediction.price_high * scale
+  };
+  const model = getModelFor(prediction.type);
+  const result = model.score({ prediction: onTrack, actualPrice: price, today: todayUTC(), matured: false, window: null });
+  if (result) {
+    mark.score = result.score;
+    mark.score_model = `${model.name}@${model.version}`;
+    mark.terms = result.terms;
+  }
+  return mark;
+}
+
+// Every nth point so at most `max` remain, always keeping the last one
+function thin(points, max = SPARKLINE_POINTS) {
+  if (points.length <= max) {
+    return points;
+  }
+  const step = Math.ceil(points.length / max);
+  const kept = points.filter((point, index) => index % step === 0);
+  if (kept[kept.length - 1] !== points[points.length - 1]) {
+    kept.push(points[points.length - 1]);
+  }
+  return kept;
+}
+
+function parseRow(row) {
+  return { ...row, terms: row.terms ? JSON.parse(row.terms) : null };
+}
+
+function createMarks({ db, priceStore }) {
+  // Mark every visible pending prediction that hasn't matured at today's
+  // price, one current price per market. Markets without a price are
+  // skipped until the next run.
+  async function refresh() {
+    const predictions = await all(db,
+      `SELECT * FROM predictions
+       WHERE hidden_at IS NULL AND status = 'pending' AND matures_at > ?
+       ORDER BY id`,
+      [toUTCString(Date.now())]);
+    const byMarket = new Map();
+    for (const prediction of predictions) {
+      const key = marketKey(marketOf(prediction));
+      byMarket.set(key, [...(byMarket.get(key) || []), prediction]);
+    }
+
+    const today = todayUTC();
+    let marked = 0;
+    for (const [key, group] of byMarket) {
+      let price;
+      try {
+        price = await priceStore.getCurrentPrice({ market: marketOf(group[0]) });
+      } catch (error) {
+        console.error(`No ${key} price to mark predictions with:`, error.message);
+        continue;
+      }
+      for (const prediction of group) {
+        try {
+          const mark = markPrediction(prediction, price);
+          await run(db,
+            `INSERT INTO provisional_scores
+               (prediction_id, date, price, progress, on_track_price, distance_percent, score, score_model, terms)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (prediction_id, date) DO UPDATE SET price = excluded.price, progress = excluded.progress,
+               on_track_price = excluded.on_track_price, distance_percent = excluded.distance_percent,
+               score = excluded.score, score_model = excluded.score_model, terms = excluded.terms,
+               marked_at = CURRENT_TIMESTAMP`,
+            [prediction.id, today, mark.price, mark.progress, mark.on_track_price, mark.distance_percent,
+              mark.score, mark.score_model, mark.terms ? JSON.stringify(mark.terms) : null]);
+          marked++;
+        } catch (error) {
+          console.error(`Error marking prediction ${prediction.id}:`, error.message);
+        }
+      }
+    }
+    if (marked) {
+      console.log(`Marked ${marked} pending predictions to market`);
+    }
+    return marked;
+  }
+
+  // Marks made against an old target, for a prediction that was changed
+  async function clear(predictionId) {
+    await run(db, 'DELETE FROM provisional_scores WHERE prediction_id = ?', [predictionId]);
+  }
+
+  // { date, price } from the announcement to today for each prediction,
+  // reading one stored history per market
+  async function sparklines(predictions, marksByPrediction) {
+    const today = todayUTC();
+    const histories = new Map();
+    const result = new Map();
+    for (const prediction of predictions) {
+      const market = marketOf(prediction);
+      const key = marketKey(market);
+      const from = prediction.announced_at.slice(0, 10);
+      if (!histories.has(key)) {
+        const earliest = predictions
+          .filter(other => marketKey(marketOf(other)) === key)
+          .map(other => other.announced_at.slice(0, 10))
+          .sort()[0];
+        histories.set(key, await priceStore.getStoredHistory(earliest, today, market));
+      }
+      const days = new Map(histories.get(key).filter(day => day.date >= from).map(day => [day.date, day.price]));
+      for (const mark of marksByPrediction.get(prediction.id) || []) {
+        if (!days.has(mark.date)) {
+          days.set(mark.date, mark.price);
+        }
+      }
+      if (prediction.current_price) {
+        days.set(from, prediction.current_price);
+      }
+      const path = [...days.entries()].sort(([a], [b]) => (a < b ? -1 : 1)).map(([date, price]) => ({ date, price }));
+      result.set(prediction.id, thin(path));
+    }
+    return result;
+  }
+
+  // The latest mark of every visible pending prediction, with its sparkline
+  async function list({ asset, quote_currency: quote } = {}) {
+    const clauses = ["predictions.hidden_at IS NULL", "predictions.status = 'pending'"];
+    const params = [];
+    if (asset) {
+      clauses.push('predictions.asset = ?');
+      params.push(asset);
+    }
+    if (quote) {
+      clauses.push('predictions.quote_currency = ?');
+      params.push(quote);
+    }
+    const predictions = await all(db,
+      `SELECT predictions.* FROM predictions
+       WHERE ${clauses.join(' AND ')} AND EXISTS (
+         SELECT 1 FROM provisional_scores WHERE provisional_scores.prediction_id = predictions.id
+       )
+       ORDER BY predictions.id`,
+      params);
+    if (!predictions.length) {
+      return [];
+    }
+    const rows = await all(db,
+      `SELECT * FROM provisional_scores
+       WHERE prediction_id IN (${predictions.map(() => '?').join(', ')})
+       ORDER BY prediction_id, date`,
+      predictions.map(prediction => prediction.id));
+    const marksByPrediction = new Map();
+    for (const row of rows) {
+      marksByPrediction.set(row.prediction_id, [...(marksByPrediction.get(row.prediction_id) || []), row]);
+    }
+    const paths = await sparklines(predictions, marksByPrediction);
+    return predictions.map(prediction => {
+      const marks = marksByPrediction.get(prediction.id);
+      return {
+        ...parseRow(marks[marks.length - 1]),
+        target: prediction.price,
+        sparkline: paths.get(prediction.id)
+      };
+    });
+  }
+
+  // All of one prediction's marks, null when it is missing or hidden
+  async function history(predictionId) {
+    const prediction = await get(db, 'SELECT * FROM predictions WHERE id = ? AND hidden_at IS NULL', [predictionId]);
+    if (!prediction) {
+      return null;
+    }
+    const rows = await all(db,
+      'SELECT * FROM provisional_scores WHERE prediction_id = ? ORDER BY date',
+      [predictionId]);
+    const paths = await sparklines([prediction], new Map([[prediction.id, rows]]));
+    return {
+      prediction_id: prediction.id,
+      status: prediction.status,
+      target: prediction.price,
+      marks: rows.map(parseRow),
+      sparkline: paths.get(prediction.id)
+    };
+  }
+
+  return {
+    refresh,
+    clear,
+    list,
+    history
+  };
+}
+
+function createMarksRouter({ marks }) {
+  const router = express.Router();
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      res.json(await fn(req));
+    } catch (error) {
+      console.error(`Marks error (${label}):`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+
+  router.get('/', handle('list', async req => ({
+    marks: await marks.list({ asset: req.query.asset, quote_currency: req.query.quote_currency })
+  })));
+
+  router.get('/:id', handle('history', async req => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      throw badRequest('id must be a prediction id');
+    }
+    const result = await marks.history(id);
+    if (!result) {
+      throw Object.assign(new Error('Prediction not found'), { status: 404 });
+    }
+    return result;
+  }));
+
+  return router;
+}
+
+module.exports = {
+  SPARKLINE_POINTS,
+  markPrediction,
+  createMarks,
+  createMarksRouter
+};
@@ -0,0 +1,171 @@
+// When a prediction matures.
+//
+// Predictions mature at an exact instant, stored in matures_at as a UTC
+// ISO 8601 timestamp ('2025-12-31T23:59:59Z'), together with the IANA
+// timezone the predictor stated it in ('America/New_York', default 'UTC').
+// `date` is kept as the UTC calendar day of matures_at for date-based
+// queries. Submissions give either an explicit `matures_at` with an offset,
+// or a local `date` and optional `time` (default 23:59:59) in `timezone`.
+//
+// announced_at is when the predictor actually made the call, which for
+// predictions logged after the fact (a podcast, an old post) is well before
+// the row was created. It is stored the same way as matures_at.
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_TIME = '23:59:59';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// ISO 8601 in UTC without milliseconds, so stored values compare as strings
+function toUTCString(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Whether a YYYY-MM-DD names a real day. Date.parse rolls impossible ones
+// over (2026-02-30 becomes March 2nd) instead of rejecting them.
+function isCalendarDate(date) {
+  const time = Date.parse(`${date}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(time) && new Date(time).toISOString().slice(0, 10) === date;
+}
+
+// An ISO 8601 timestamp with an offset, on a real day
+function isOffsetTimestamp(value) {
+  return /(Z|[+-]\d{2}:?\d{2})$/.test(value) && isCalendarDate(value.slice(0, 10)) && !isNaN(Date.parse(value));
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in a timezone
+function zonedParts(time, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `time`
+function timezoneOffset(time, timeZone) {
+  const { date, time: clock } = zonedParts(time, timeZone);
+  return Date.parse(`${date}T${clock}Z`) - Math.floor(time / 1000) * 1000;
+}
+
+// The UTC instant of a wall-clock date and time in `timeZone`, trying the
+// offsets from a day before and a day after so a DST change in between is
+// seen. A time that happens twice (clocks going back) is its first
+// occurrence; one that doesn't exist (clocks going forward) keeps the
+// earlier offset, which moves it forward by the gap, 02:30 becoming 03:30.
+function zonedTimeToUtc(date, time, timeZone) {
+  const wallClock = Date.parse(`${date}T${time}Z`);
+  const before = wallClock - timezoneOffset(wallClock - DAY_MS, timeZone);
+  const after = wallClock - timezoneOffset(wallClock + DAY_MS, timeZone);
+  const matches = [before, after].filter(utc => {
+    const parts = zonedParts(utc, timeZone);
+    return parts.date === date && parts.time === time;
+  });
+  return matches.length ? Math.min(...matches) : before;
+}
+
+// { matures_at, timezone, date } for a submission. On edits `existing`
+// supplies whatever the body leaves out, keeping the stated local time.
+function parseMaturity(body, existing = {}) {
+  const timezone = body.timezone || existing.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw badRequest(`Unknown timezone '${timezone}', use an IANA name such as Europe/London`);
+  }
+
+  let maturesAt;
+  if (body.matures_at) {
+    if (!isOffsetTimestamp(String(body.matures_at))) {
+      throw badRequest('matures_at must be an ISO 8601 timestamp with a timezone offset, e.g. 2025-12-31T23:59:59Z');
+    }
+    maturesAt = Date.parse(body.matures_at);
+  } else if (body.date === undefined && body.time === undefined && body.timezone === undefined && existing.matures_at) {
+    maturesAt = Date.parse(existing.matures_at);
+  } else {
+    const stated = existing.matures_at ? zonedParts(Date.parse(existing.matures_at), existing.timezone || DEFAULT_TIMEZONE) : {};
+    const date = body.date || stated.date;
+    let time = body.time || stated.time || DEFAULT_TIME;
+    if (!isCalendarDate(date || '')) {
+      throw badRequest('date must be a real day as YYYY-MM-DD');
+    }
+    if (/^\d{2}:\d{2}$/.test(time)) {
+      time += ':00';
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d:[0-5]\d$/.test(time)) {
+      throw badRequest('time must be HH:MM or HH:MM:SS');
+    }
+    maturesAt = zonedTimeToUtc(date, time, timezone);
+  }
+
+  const matures = toUTCString(maturesAt);
+  return { matures_at: matures, timezone, date: matures.slice(0, 10) };
+}
+
+// { announced_at } for a submission, given its parsed maturity. Accepts a
+// timestamp with an offset, or a local date (start of day) or date and time
+// in the prediction's timezone. Defaults to now, or on edits to `existing`.
+function parseAnnouncement(body, maturity, existing = {}, now = Date.now()) {
+  let announcedAt;
+  const value = body.announced_at === undefined || body.announced_at === null ? '' : String(body.announced_at).trim();
+  if (!value) {
+    announcedAt = existing.announced_at ? Date.parse(existing.announced_at) : now;
+  } else if (isOffsetTimestamp(value)) {
+    announcedAt = Date.parse(value);
+  } else {
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})(?:[T ]((?:[01]\d|2[0-3]):[0-5]\d)(:[0-5]\d)?)?$/);
+    if (!match || !isCalendarDate(match[1])) {
+      throw badRequest('announced_at must be YYYY-MM-DD, a local YYYY-MM-DDTHH:MM or an ISO 8601 timestamp with an offset');
+    }
+    announcedAt = zonedTimeToUtc(match[1], match[2] ? `${match[2]}${match[3] || ':00'}` : '00:00:00', maturity.timezone);
+  }
+
+  if (announcedAt > now) {
+    throw badRequest('announced_at cannot be in the future');
+  }
+  if (announcedAt > Date.parse(maturity.matures_at)) {
+    throw badRequest('announced_at must be before the prediction matures');
+  }
+  return { announced_at: toUTCString(announcedAt) };
+}
+
+// A prediction's maturity instant in epoch ms. Rows without matures_at
+// mature at the end of their UTC date.
+function maturityTime(prediction) {
+  return Date.parse(prediction.matures_at || `${prediction.date}T23:59:59Z`);
+}
+
+function isMatured(prediction, now = Date.now()) {
+  return maturityTime(prediction) <= now;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  toUTCString,
+  zonedTimeToUtc,
+  parseMaturity,
+  parseAnnouncement,
+  maturityTime,
+  isMatured
+};
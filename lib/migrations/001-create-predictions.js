@@ -0,0 +1,18 @@
+// Baseline predictions table, as server.js created it before migrations existed
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE IF NOT EXISTS predictions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      price REAL NOT NULL,
+      date TEXT NOT NULL,
+      status TEXT NOT NULL,
+      score REAL,
+      current_price REAL,
+      source TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+};
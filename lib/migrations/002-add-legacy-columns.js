@@ -0,0 +1,14 @@
+// Older databases predate the current_price and source columns
+const { run, all } = require('../db');
+
+module.exports = {
+  async up(db) {
+    const columns = (await all(db, 'PRAGMA table_info(predictions)')).map(col => col.name);
+    if (!columns.includes('current_price')) {
+      await run(db, 'ALTER TABLE predictions ADD COLUMN current_price REAL');
+    }
+    if (!columns.includes('source')) {
+      await run(db, 'ALTER TABLE predictions ADD COLUMN source TEXT');
+    }
+  }
+};
@@ -0,0 +1,16 @@
+// Persistent price history, see lib/price-store.js
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE IF NOT EXISTS btc_prices (
+      date TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      price REAL NOT NULL,
+      source TEXT,
+      is_daily INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (date, timestamp)
+    )`);
+  }
+};
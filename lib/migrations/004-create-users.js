@@ -0,0 +1,24 @@
+// User accounts, API tokens and prediction ownership. Predictions without an
+// owner_id were submitted anonymously.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'user',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run(db, `CREATE TABLE api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME
+    )`);
+    await run(db, 'ALTER TABLE predictions ADD COLUMN owner_id INTEGER REFERENCES users(id)');
+    await run(db, 'CREATE INDEX idx_predictions_owner ON predictions(owner_id)');
+  }
+};
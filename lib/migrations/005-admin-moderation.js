@@ -0,0 +1,20 @@
+// Moderation state for predictions and the admin audit log
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, 'ALTER TABLE predictions ADD COLUMN hidden_at DATETIME');
+    await run(db, 'ALTER TABLE predictions ADD COLUMN hidden_reason TEXT');
+    await run(db, `CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER REFERENCES users(id),
+      username TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id TEXT,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run(db, 'CREATE INDEX idx_audit_log_created ON audit_log(created_at)');
+  }
+};
@@ -0,0 +1,61 @@
+// Canonical predictor identities. Existing predictions are grouped by their
+// normalized name ("Saylor", "saylor " -> "saylor"), one predictor is created
+// per group using the most common spelling, and the other spellings become
+// aliases. The helpers are copied rather than imported from lib/predictors.js
+// so this migration keeps behaving the same if that module changes.
+const { run, all } = require('../db');
+
+function normalizeName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function slugify(name) {
+  return normalizeName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'predictor';
+}
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE predictors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      display_name TEXT NOT NULL,
+      x_handle TEXT,
+      nostr_npub TEXT,
+      website TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run(db, `CREATE TABLE predictor_aliases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      predictor_id INTEGER NOT NULL REFERENCES predictors(id) ON DELETE CASCADE,
+      alias TEXT NOT NULL,
+      normalized TEXT NOT NULL UNIQUE
+    )`);
+    await run(db, 'ALTER TABLE predictions ADD COLUMN predictor_id INTEGER REFERENCES predictors(id)');
+    await run(db, 'CREATE INDEX idx_predictions_predictor ON predictions(predictor_id)');
+
+    const names = await all(db, 'SELECT name, COUNT(*) AS count FROM predictions GROUP BY name ORDER BY count DESC, MIN(id)');
+    const groups = new Map();
+    names.forEach(({ name }) => {
+      const key = normalizeName(name);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(name);
+    });
+
+    const usedSlugs = new Set();
+    for (const [key, spellings] of groups) {
+      let slug = slugify(key);
+      for (let n = 2; usedSlugs.has(slug); n++) {
+        slug = `${slugify(key)}-${n}`;
+      }
+      usedSlugs.add(slug);
+
+      const displayName = spellings[0].trim().replace(/\s+/g, ' ');
+      const { lastID } = await run(db, 'INSERT INTO predictors (slug, display_name) VALUES (?, ?)', [slug, displayName]);
+      await run(db, 'INSERT INTO predictor_aliases (predictor_id, alias, normalized) VALUES (?, ?, ?)', [lastID, displayName, key]);
+      const placeholders = spellings.map(() => '?').join(', ');
+      await run(db, `UPDATE predictions SET predictor_id = ? WHERE name IN (${placeholders})`, [lastID, ...spellings]);
+    }
+  }
+};
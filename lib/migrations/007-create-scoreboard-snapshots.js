@@ -0,0 +1,15 @@
+// Daily copies of the standard scoreboards, used to report rank movement
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE scoreboard_snapshots (
+      date TEXT NOT NULL,
+      method_key TEXT NOT NULL,
+      predictor_id INTEGER NOT NULL REFERENCES predictors(id) ON DELETE CASCADE,
+      rank INTEGER NOT NULL,
+      score REAL NOT NULL,
+      PRIMARY KEY (date, method_key, predictor_id)
+    )`);
+  }
+};
@@ -0,0 +1,28 @@
+// Every score ever calculated for a prediction, with the model that produced
+// it and its intermediate terms. Scores that predate this table are carried
+// over as philify@1 without a breakdown.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE prediction_scores (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prediction_id INTEGER NOT NULL REFERENCES predictions(id) ON DELETE CASCADE,
+      model TEXT NOT NULL,
+      model_version INTEGER NOT NULL,
+      score REAL NOT NULL,
+      actual_price REAL,
+      percentage_error REAL,
+      horizon_days REAL,
+      terms TEXT,
+      is_active INTEGER NOT NULL DEFAULT 0,
+      scored_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run(db, 'CREATE INDEX idx_prediction_scores_prediction ON prediction_scores(prediction_id)');
+    await run(db, 'ALTER TABLE predictions ADD COLUMN score_model TEXT');
+
+    await run(db, `INSERT INTO prediction_scores (prediction_id, model, model_version, score, is_active)
+      SELECT id, 'philify', 1, score, 1 FROM predictions WHERE score IS NOT NULL`);
+    await run(db, "UPDATE predictions SET score_model = 'philify@1' WHERE score IS NOT NULL");
+  }
+};
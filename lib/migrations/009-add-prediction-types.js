@@ -0,0 +1,15 @@
+// Range and directional predictions. `price` stays the headline target: the
+// threshold for above/below/touch and the midpoint of a range, whose bounds
+// are price_low and price_high. Daily high/low prices let touch predictions
+// be checked against the whole window; days stored before this have neither.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, "ALTER TABLE predictions ADD COLUMN type TEXT NOT NULL DEFAULT 'point'");
+    await run(db, 'ALTER TABLE predictions ADD COLUMN price_low REAL');
+    await run(db, 'ALTER TABLE predictions ADD COLUMN price_high REAL');
+    await run(db, 'ALTER TABLE btc_prices ADD COLUMN high REAL');
+    await run(db, 'ALTER TABLE btc_prices ADD COLUMN low REAL');
+  }
+};
@@ -0,0 +1,28 @@
+// Markets other than BTC/USD. Predictions get an asset and quote currency,
+// and btc_prices becomes prices with the market as part of its key; every
+// existing row is BTC/USD.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, "ALTER TABLE predictions ADD COLUMN asset TEXT NOT NULL DEFAULT 'BTC'");
+    await run(db, "ALTER TABLE predictions ADD COLUMN quote_currency TEXT NOT NULL DEFAULT 'USD'");
+
+    await run(db, `CREATE TABLE prices (
+      asset TEXT NOT NULL,
+      quote_currency TEXT NOT NULL,
+      date TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      price REAL NOT NULL,
+      high REAL,
+      low REAL,
+      source TEXT,
+      is_daily INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (asset, quote_currency, date, timestamp)
+    )`);
+    await run(db, `INSERT INTO prices (asset, quote_currency, date, timestamp, price, high, low, source, is_daily, created_at)
+      SELECT 'BTC', 'USD', date, timestamp, price, high, low, source, is_daily, created_at FROM btc_prices`);
+    await run(db, 'DROP TABLE btc_prices');
+  }
+};
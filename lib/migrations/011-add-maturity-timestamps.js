@@ -0,0 +1,15 @@
+// Predictions mature at an exact UTC instant, stated in the predictor's
+// timezone (see lib/maturity.js). Existing predictions carried only a date
+// and the site said they matured at 11:59:59pm, so that is what they get, in
+// UTC. Those dates are kept as stored even though many are a day late (the
+// old form added one before saving); 021 flags the rows.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, 'ALTER TABLE predictions ADD COLUMN matures_at TEXT');
+    await run(db, "ALTER TABLE predictions ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC'");
+    await run(db, "UPDATE predictions SET matures_at = date || 'T23:59:59Z'");
+    await run(db, 'CREATE INDEX idx_predictions_matures_at ON predictions(matures_at)');
+  }
+};
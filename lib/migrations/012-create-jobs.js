@@ -0,0 +1,30 @@
+// Persistent job queue (see lib/jobs.js) and the resolution state of each
+// prediction. Only one queued or running job may exist per type and key, so
+// every server instance can enqueue the same work without duplicating it.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      key TEXT NOT NULL,
+      payload TEXT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      run_at INTEGER NOT NULL,
+      locked_by TEXT,
+      locked_until INTEGER,
+      last_error TEXT,
+      result TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME
+    )`);
+    await run(db, "CREATE UNIQUE INDEX idx_jobs_active ON jobs(type, key) WHERE status IN ('queued', 'running')");
+    await run(db, 'CREATE INDEX idx_jobs_status_run_at ON jobs(status, run_at)');
+    await run(db, 'ALTER TABLE predictions ADD COLUMN resolve_attempts INTEGER NOT NULL DEFAULT 0');
+    await run(db, 'ALTER TABLE predictions ADD COLUMN last_error TEXT');
+  }
+};
@@ -0,0 +1,33 @@
+// Webhook and email subscriptions to lifecycle events, and the log of every
+// notification delivered to them (see lib/notifications.js)
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE notification_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel TEXT NOT NULL,
+      address TEXT NOT NULL,
+      secret TEXT,
+      events TEXT NOT NULL DEFAULT '*',
+      description TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_by INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run(db, `CREATE TABLE notification_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL REFERENCES notification_subscriptions(id),
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME
+    )`);
+    await run(db, 'CREATE INDEX idx_notification_deliveries_subscription ON notification_deliveries(subscription_id, id)');
+    await run(db, 'CREATE INDEX idx_notification_deliveries_status ON notification_deliveries(status)');
+  }
+};
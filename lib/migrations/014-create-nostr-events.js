@@ -0,0 +1,21 @@
+// Signed Nostr notes about predictions (see lib/nostr.js). `event` is the
+// full signed event; relays and published_at stay NULL until a relay
+// accepted it.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE nostr_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prediction_id INTEGER NOT NULL REFERENCES predictions(id),
+      purpose TEXT NOT NULL,
+      event_id TEXT NOT NULL UNIQUE,
+      pubkey TEXT NOT NULL,
+      event TEXT NOT NULL,
+      relays TEXT,
+      published_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run(db, 'CREATE INDEX idx_nostr_events_prediction ON nostr_events(prediction_id, purpose)');
+  }
+};
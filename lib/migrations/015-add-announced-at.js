@@ -0,0 +1,12 @@
+// When a prediction was actually made (see parseAnnouncement in
+// lib/maturity.js), as a UTC ISO 8601 timestamp like matures_at. Until now
+// that was assumed to be the moment it was recorded, so existing predictions
+// get their created_at.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, 'ALTER TABLE predictions ADD COLUMN announced_at TEXT');
+    await run(db, "UPDATE predictions SET announced_at = REPLACE(created_at, ' ', 'T') || 'Z' WHERE created_at IS NOT NULL");
+  }
+};
@@ -0,0 +1,27 @@
+// Archived copies of prediction sources (see lib/evidence.js), so a deleted
+// tweet or video page still shows what was said. One row per capture
+// attempt; failed ones keep the HTTP status or error instead of content.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE evidence (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prediction_id INTEGER NOT NULL,
+      url TEXT NOT NULL,
+      final_url TEXT,
+      status TEXT NOT NULL,
+      http_status INTEGER,
+      content_type TEXT,
+      title TEXT,
+      text TEXT,
+      content BLOB,
+      content_hash TEXT,
+      size INTEGER,
+      truncated INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      captured_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run(db, 'CREATE INDEX idx_evidence_prediction ON evidence(prediction_id)');
+  }
+};
@@ -0,0 +1,16 @@
+// Review state for submissions held as possible spam (see lib/moderation.js)
+// and who made each submission, as an HMAC of the IP address for anonymous
+// ones. Existing predictions were all published without review.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, 'ALTER TABLE predictions ADD COLUMN review_status TEXT');
+    await run(db, 'ALTER TABLE predictions ADD COLUMN review_reasons TEXT');
+    await run(db, 'ALTER TABLE predictions ADD COLUMN reviewed_by INTEGER REFERENCES users(id)');
+    await run(db, 'ALTER TABLE predictions ADD COLUMN reviewed_at DATETIME');
+    await run(db, 'ALTER TABLE predictions ADD COLUMN submitter_hash TEXT');
+    await run(db, 'CREATE INDEX idx_predictions_review_status ON predictions(review_status)');
+    await run(db, 'CREATE INDEX idx_predictions_submitter ON predictions(submitter_hash, created_at)');
+  }
+};
@@ -0,0 +1,29 @@
+// Scores of the crowd consensus (see lib/consensus.js), one row per market
+// and maturity date once that date has passed, with the consensus as it
+// stood, the predictions it was built from and the score breakdown.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE consensus_scores (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      asset TEXT NOT NULL,
+      quote_currency TEXT NOT NULL,
+      date TEXT NOT NULL,
+      window_days INTEGER NOT NULL,
+      announced_at TEXT NOT NULL,
+      prediction_ids TEXT NOT NULL,
+      prediction_count INTEGER NOT NULL,
+      median REAL NOT NULL,
+      q1 REAL NOT NULL,
+      q3 REAL NOT NULL,
+      consensus REAL NOT NULL,
+      actual_price REAL NOT NULL,
+      score REAL NOT NULL,
+      score_model TEXT NOT NULL,
+      terms TEXT,
+      scored_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (asset, quote_currency, date, window_days)
+    )`);
+  }
+};
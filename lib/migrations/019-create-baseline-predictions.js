@@ -0,0 +1,26 @@
+// Forecasts of the built-in baseline predictors (see lib/baselines.js) for
+// every point prediction: what each naive model would have said at the same
+// announcement for the same maturity, and its score once the prediction is
+// scored. price stays NULL when a baseline has no forecast for the market,
+// or when making it failed, with the reason in last_error.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE baseline_predictions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prediction_id INTEGER NOT NULL REFERENCES predictions(id) ON DELETE CASCADE,
+      baseline TEXT NOT NULL,
+      price REAL,
+      score REAL,
+      score_model TEXT,
+      actual_price REAL,
+      percentage_error REAL,
+      terms TEXT,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      scored_at DATETIME,
+      UNIQUE (prediction_id, baseline)
+    )`);
+  }
+};
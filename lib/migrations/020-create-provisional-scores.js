@@ -0,0 +1,24 @@
+// Provisional marks of pending predictions (see lib/marks.js), one row per
+// prediction per UTC day, refreshed through the day. Kept apart from
+// prediction_scores so a provisional value can never be taken for a final
+// score; the rows of past days are the path a prediction took.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE provisional_scores (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prediction_id INTEGER NOT NULL REFERENCES predictions(id) ON DELETE CASCADE,
+      date TEXT NOT NULL,
+      price REAL NOT NULL,
+      progress REAL NOT NULL,
+      on_track_price REAL,
+      distance_percent REAL NOT NULL,
+      score REAL,
+      score_model TEXT,
+      terms TEXT,
+      marked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (prediction_id, date)
+    )`);
+  }
+};
@@ -0,0 +1,17 @@
+// Flags the predictions whose maturity came from a bare date before 011.
+// The old form added a day to the picked date before saving it, to work
+// around timezones, so for submitters in UTC or west of it the stored date
+// is one day after the intended one (east of UTC it came out right). Which
+// rows were shifted can't be told afterwards, so 011 kept the stored date and
+// these rows are marked instead. Editing a flagged prediction's maturity
+// clears the flag.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, 'ALTER TABLE predictions ADD COLUMN legacy_maturity INTEGER NOT NULL DEFAULT 0');
+    await run(db, `UPDATE predictions SET legacy_maturity = 1
+      WHERE timezone = 'UTC' AND matures_at = date || 'T23:59:59Z'
+        AND (created_at IS NULL OR created_at < (SELECT applied_at FROM schema_version WHERE version = 11))`);
+  }
+};
@@ -0,0 +1,13 @@
+// Hourly checks of unmatured touch predictions each used to leave a finished
+// resolve-prediction job behind. They now reuse one job per prediction (see
+// enqueue's `reuse` in lib/jobs.js); this drops the pile of earlier checks
+// that found nothing, keeping each prediction's latest finished job.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `DELETE FROM jobs
+      WHERE type = 'resolve-prediction' AND status = 'done' AND result = '{"settled":false}'
+        AND id NOT IN (SELECT MAX(id) FROM jobs WHERE type = 'resolve-prediction' AND status = 'done' GROUP BY key)`);
+  }
+};
@@ -0,0 +1,19 @@
+// Past consensus dates that had too few predictors to score (see scoreDue in
+// lib/consensus.js), so the hourly run doesn't recompute them every time.
+// A date is looked at again once a prediction near it is added later.
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE consensus_skips (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      asset TEXT NOT NULL,
+      quote_currency TEXT NOT NULL,
+      date TEXT NOT NULL,
+      window_days INTEGER NOT NULL,
+      prediction_count INTEGER NOT NULL,
+      skipped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (asset, quote_currency, date, window_days)
+    )`);
+  }
+};
@@ -0,0 +1,14 @@
+// Slugs of predictors merged into another one (see merge in
+// lib/predictors.js), so links to /predictor/<old-slug> keep working
+const { run } = require('../db');
+
+module.exports = {
+  async up(db) {
+    await run(db, `CREATE TABLE predictor_redirects (
+      slug TEXT PRIMARY KEY,
+      predictor_id INTEGER NOT NULL REFERENCES predictors(id) ON DELETE CASCADE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run(db, 'CREATE INDEX idx_predictor_redirects_predictor ON predictor_redirects(predictor_id)');
+  }
+};
@@ -0,0 +1,91 @@
+// Versioned schema migrations.
+//
+// Each file in lib/migrations is named NNN-description.js and exports an
+// async up(db). Migrations run in version order, each inside its own
+// transaction, and the applied versions are recorded in schema_version.
+const fs = require('fs');
+const path = require('path');
+const { run, all } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+class SchemaOutOfDateError extends Error {
+  constructor(pending) {
+    super(`Database schema is out of date, ${pending.length} pending migration(s): `
+      + `${pending.map(m => m.id).join(', ')}. Run 'npm run migrate' first.`);
+    this.name = 'SchemaOutOfDateError';
+    this.pending = pending;
+  }
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+-[\w-]+\.js$/.test(file))
+    .map(file => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+      return {
+        version: parseInt(file, 10),
+        id: file.replace(/\.js$/, ''),
+        up: migration.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureVersionTable(db) {
+  await run(db, `CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+async function getStatus(db, migrations = loadMigrations()) {
+  await ensureVersionTable(db);
+  const applied = new Set((await all(db, 'SELECT version FROM schema_version')).map(row => row.version));
+  const pending = migrations.filter(m => !applied.has(m.version));
+  return {
+    current: applied.size ? Math.max(...applied) : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    pending
+  };
+}
+
+// Apply every pending migration; returns the ids that were applied
+async function migrate(db, migrations = loadMigrations()) {
+  const { pending } = await getStatus(db, migrations);
+  const appliedIds = [];
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.id}...`);
+    await run(db, 'BEGIN');
+    try {
+      await migration.up(db);
+      await run(db, 'INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.id]);
+      await run(db, 'COMMIT');
+    } catch (error) {
+      await run(db, 'ROLLBACK');
+      throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+    }
+    appliedIds.push(migration.id);
+  }
+  return appliedIds;
+}
+
+async function assertSchemaCurrent(db, migrations = loadMigrations()) {
+  const { pending } = await getStatus(db, migrations);
+  if (pending.length) {
+    throw new SchemaOutOfDateError(pending);
+  }
+}
+
+module.exports = {
+  SchemaOutOfDateError,
+  loadMigrations,
+  getStatus,
+  migrate,
+  assertSchemaCurrent
+};
@@ -0,0 +1,252 @@
+// Duplicate and spam checks on new predictions, and the review queue for
+// suspicious ones.
+//
+// findDuplicate() matches a submission against published predictions and
+// ones awaiting review: the same source page (see sourceKey in
+// lib/validation.js), or the same predictor, market and type with targets
+// within DUPLICATE_PRICE_TOLERANCE and maturities within DUPLICATE_DAYS of
+// each other. POST /api/predictions answers those with 409 and the existing
+// prediction.
+//
+// assess() lists why a submission looks like spam:
+//   burst          - the submitter added MODERATION_BURST_LIMIT (default 5)
+//                    or more predictions in the past hour
+//   spam_text      - the name contains a link, an email address or a spam phrase
+//   extreme_target - the target is more than EXTREME_MULTIPLE times, or less
+//                    than 1/EXTREME_MULTIPLE of, the price when announced
+// Suspicious submissions are saved hidden with review_status 'pending' and
+// published only when an admin approves them; rejecting keeps them hidden.
+// Admins' own submissions are never held. Anonymous submitters are told
+// apart by an HMAC of their IP address (submitter_hash), keyed with
+// SUBMITTER_HASH_SECRET, so addresses themselves are not stored.
+//
+// The queue is at /api/admin/moderation.
+const crypto = require('crypto');
+const express = require('express');
+const { run, get, all } = require('./db');
+const { recordAudit } = require('./audit');
+const { isAdmin } = require('./auth');
+const { sourceKey } = require('./validation');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const DUPLICATE_PRICE_TOLERANCE = 0.02;
+const DUPLICATE_DAYS = 3;
+const EXTREME_MULTIPLE = 10;
+const BURST_WINDOW = '-1 hour';
+const SPAM_TEXT = /https?:\/\/|www\.|\S+@\S+\.\w|\b(airdrop|giveaway|casino|betting|telegram|whatsapp|dm me|free (btc|bitcoin|crypto)|guaranteed|promo code)\b/i;
+const MAX_PAGE_SIZE = 200;
+
+// Published predictions and ones awaiting review, not hidden or rejected ones
+const CANDIDATES = "(predictions.hidden_at IS NULL OR predictions.review_status = 'pending')";
+
+function near(a, b) {
+  return a !== null && b !== null && Math.abs(a - b) <= DUPLICATE_PRICE_TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+}
+
+function sameTarget(a, b) {
+  if (a.type === 'range') {
+    return near(a.price_low, b.price_low) && near(a.price_high, b.price_high);
+  }
+  return near(a.price, b.price);
+}
+
+function safeSourceKey(source) {
+  try {
+    return sourceKey(source);
+  } catch (error) {
+    return null;
+  }
+}
+
+// The most specific part of a source key to narrow the search with: its
+// longest path segment or query value. Never the host or a parameter name,
+// which a stored alias (youtu.be/<id> for youtube.com/watch?v=<id>) lacks.
+// Null for a bare host, which doesn't identify a post.
+function sourceNeedle(key) {
+  const [path, query = ''] = key.slice(key.search(/[/?]|$/)).split('?');
+  const parts = [...path.split('/'), ...query.split('&').map(pair => pair.split('=')[1])].filter(Boolean);
+  return parts.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+function formatReview(row) {
+  return row && { ...row, review_reasons: row.review_reasons ? JSON.parse(row.review_reasons) : [] };
+}
+
+// `text` with the LIKE wildcards and the escape character escaped, for
+// LIKE ... ESCAPE '\'
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+function createModeration({
+  db,
+  burstLimit = parseInt(process.env.MODERATION_BURST_LIMIT) || 5,
+  secret = process.env.SUBMITTER_HASH_SECRET || crypto.randomBytes(32).toString('hex')
+}) {
+  function submitterHash(ip) {
+    return ip ? crypto.createHmac('sha256', secret).update(String(ip)).digest('hex') : null;
+  }
+
+  // The id of an existing prediction the submission repeats, or null
+  async function findDuplicate(submission, { excludeId = null } = {}) {
+    if (submission.source) {
+      const key = safeSourceKey(submission.source);
+      // Narrow the search to rows sharing the most specific part of the URL
+      const needle = key ? sourceNeedle(key) : null;
+      if (needle) {
+        const rows = await all(db,
+          `SELECT id, source FROM predictions WHERE ${CANDIDATES} AND source LIKE ? ESCAPE '\\' AND id IS NOT ? ORDER BY id`,
+          [`%${escapeLike(needle)}%`, excludeId]);
+        const match = rows.find(row => safeSourceKey(row.source) === key);
+        if (match) {
+          return { id: match.id, reason: 'same source' };
+        }
+      }
+    }
+
+    if (submission.predictor_id) {
+      const rows = await all(db,
+        `SELECT id, type, price, price_low, price_high FROM predictions
+         WHERE ${CANDIDATES} AND predictor_id = ? AND asset = ? AND quote_currency = ? AND type = ? AND id IS NOT ?
+           AND ABS(julianday(matures_at) - julianday(?)) <= ?
+         ORDER BY id`,
+        [submission.predictor_id, submission.asset, submission.quote_currency, submission.type, excludeId,
+          submission.matures_at, DUPLICATE_DAYS]);
+      const match = rows.find(row => sameTarget(submission, row));
+      if (match) {
+        return { id: match.id, reason: 'same predictor, target and date' };
+      }
+    }
+    return null;
+  }
+
+  // Reasons to hold a submission for review, empty when it can be published
+  async function assess({ user, hash, name, target, currentPrice }) {
+    if (user && isAdmin(user)) {
+      return [];
+    }
+    const reasons = [];
+    const { count } = user
+      ? await get(db, `SELECT COUNT(*) AS count FROM predictions WHERE owner_id = ? AND created_at >= datetime('now', ?)`,
+        [user.id, BURST_WINDOW])
+      : await get(db, `SELECT COUNT(*) AS count FROM predictions WHERE submitter_hash = ? AND created_at >= datetime('now', ?)`,
+        [hash, BURST_WINDOW]);
+    if (count >= burstLimit) {
+      reasons.push('burst');
+    }
+    if (SPAM_TEXT.test(name || '')) {
+      reasons.push('spam_text');
+    }
+    const prices = target.type === 'range' ? [target.price_low, target.price_high] : [target.price];
+    if (currentPrice && prices.some(price => price > currentPrice * EXTREME_MULTIPLE || price < currentPrice / EXTREME_MULTIPLE)) {
+      reasons.push('extreme_target');
+    }
+    return reasons;
+  }
+
+  async function findReview(id) {
+    return formatReview(await get(db,
+      `SELECT predictions.*, predictors.display_name AS predictor_name, users.username AS owner
+       FROM predictions
+       LEFT JOIN predictors ON predictors.id = predictions.predictor_id
+       LEFT JOIN users ON users.id = predictions.owner_id
+       WHERE predictions.id = ?`,
+      [id]));
+  }
+
+  async function listQueue({ status = 'pending', limit = 50, offset = 0 } = {}) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw Object.assign(new Error(`status must be one of: ${REVIEW_STATUSES.join(', ')}`), { status: 400 });
+    }
+    const rows = await all(db,
+      `SELECT predictions.*, predictors.display_name AS predictor_name, users.username AS owner
+       FROM predictions
+       LEFT JOIN predictors ON predictors.id = predictions.predictor_id
+       LEFT JOIN users ON users.id = predictions.owner_id
+       WHERE predictions.review_status = ?
+       ORDER BY predictions.id ${status === 'pending' ? 'ASC' : 'DESC'} LIMIT ? OFFSET ?`,
+      [status, limit, offset]);
+    const { total } = await get(db, 'SELECT COUNT(*) AS total FROM predictions WHERE review_status = ?', [status]);
+    return { total, limit, offset, predictions: rows.map(formatReview) };
+  }
+
+  async function loadPending(id) {
+    const prediction = await findReview(id);
+    if (!prediction) {
+      throw Object.assign(new Error('Prediction not found'), { status: 404 });
+    }
+    if (prediction.review_status !== 'pending') {
+      throw Object.assign(new Error(`Prediction ${prediction.id} is not awaiting review`), { status: 409 });
+    }
+    return prediction;
+  }
+
+  async function approve(id, user) {
+    const prediction = await loadPending(id);
+    await run(db,
+      `UPDATE predictions SET review_status = 'approved', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+         hidden_at = NULL, hidden_reason = NULL WHERE id = ?`,
+      [user.id, prediction.id]);
+    await recordAudit(db, user, 'approve', 'prediction', prediction.id, { reasons: prediction.review_reasons });
+    return findReview(prediction.id);
+  }
+
+  async function reject(id, user, reason = null) {
+    const prediction = await loadPending(id);
+    await run(db,
+      `UPDATE predictions SET review_status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+         hidden_reason = ? WHERE id = ?`,
+      [user.id, reason || 'Rejected in review', prediction.id]);
+    await recordAudit(db, user, 'reject', 'prediction', prediction.id, { reasons: prediction.review_reasons, reason });
+    return findReview(prediction.id);
+  }
+
+  return {
+    submitterHash,
+    findDuplicate,
+    assess,
+    listQueue,
+    approve,
+    reject
+  };
+}
+
+// Admin-only, mounted at /api/admin/moderation. `onApprove(id)` publishes an
+// approved prediction the way a normal submission would have been.
+function createModerationRouter({ auth, moderation, onApprove }) {
+  const router = express.Router();
+  router.use(auth.requireRole('admin'));
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error(`Moderation error (${label}):`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+
+  router.get('/', handle('list', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    res.json(await moderation.listQueue({ status: req.query.status || 'pending', limit, offset }));
+  }));
+
+  router.post('/:id/approve', handle('approve', async (req, res) => {
+    const prediction = await moderation.approve(req.params.id, req.user);
+    await onApprove(prediction.id);
+    res.json(prediction);
+  }));
+
+  router.post('/:id/reject', handle('reject', async (req, res) => {
+    res.json(await moderation.reject(req.params.id, req.user, req.body.reason));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  createModeration,
+  createModerationRouter
+};
@@ -0,0 +1,328 @@
+// Nostr publishing: a signed text note (NIP-01, kind 1) when a prediction is
+// added and another when it is scored, so the record can be checked on any
+// relay rather than trusted to this site.
+//
+// NOSTR_SECRET_KEY (hex or nsec) and NOSTR_RELAYS (comma separated ws:// or
+// wss:// URLs) turn it on. PUBLIC_URL, when set, adds a link to the
+// prediction's public page (see lib/cards.js). Notes go out through the job queue, so relay
+// outages are retried with backoff; a note counts as published once at least
+// one relay accepts it. The signed event is stored in nostr_events before the
+// first attempt and reused on retries, so relays only ever see one event, and
+// the scored note refers to the announcement with an 'e' tag.
+//
+// Keys and signatures are BIP340 Schnorr over secp256k1 from @noble/curves,
+// npub/nsec/note encoding is bech32 from @scure/base and relays are spoken to
+// with ws.
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { schnorr } = require('@noble/curves/secp256k1');
+const { bech32 } = require('@scure/base');
+const { run, get, all } = require('./db');
+const { describeTarget } = require('./prediction-types');
+const { formatPrice } = require('./assets');
+
+// NIP-19 keys and ids run past bech32's usual 90 characters
+const BECH32_LIMIT = 5000;
+
+function bech32Encode(prefix, bytes) {
+  return bech32.encode(prefix, bech32.toWords(bytes), BECH32_LIMIT);
+}
+
+function bech32Decode(text) {
+  try {
+    const { prefix, words } = bech32.decode(String(text).toLowerCase(), BECH32_LIMIT);
+    return { hrp: prefix, bytes: Buffer.from(bech32.fromWords(words)) };
+  } catch (error) {
+    throw new Error(`Invalid bech32 string '${text}'`);
+  }
+}
+
+// x-only public key (32 bytes) of a secret key
+function getPublicKey(secretKey) {
+  return Buffer.from(schnorr.getPublicKey(secretKey));
+}
+
+// A secret key from 64 hex characters or an nsec
+function parseSecretKey(value) {
+  const text = String(value || '').trim();
+  let key;
+  if (/^nsec1/i.test(text)) {
+    const { hrp, bytes } = bech32Decode(text);
+    if (hrp !== 'nsec' || bytes.length !== 32) {
+      throw new Error('NOSTR_SECRET_KEY is not a valid nsec');
+    }
+    key = bytes;
+  } else if (/^[0-9a-f]{64}$/i.test(text)) {
+    key = Buffer.from(text, 'hex');
+  } else {
+    throw new Error('NOSTR_SECRET_KEY must be 64 hex characters or an nsec');
+  }
+  try {
+    getPublicKey(key);
+  } catch (error) {
+    throw new Error('NOSTR_SECRET_KEY is out of range for secp256k1');
+  }
+  return key;
+}
+
+function generateSecretKey() {
+  return Buffer.from(schnorr.utils.randomPrivateKey());
+}
+
+// NIP-01 event id: sha256 of the serialized [0, pubkey, created_at, kind, tags, content]
+function eventId(event) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([0, event.pubkey, event.created_at, event.kind, event.tags, event.content]))
+    .digest('hex');
+}
+
+// Add pubkey, id and sig to { kind, created_at, tags, content }
+function finalizeEvent(template, secretKey) {
+  const event = {
+    kind: template.kind,
+    created_at: template.created_at || Math.floor(Date.now() / 1000),
+    tags: template.tags || [],
+    content: template.content,
+    pubkey: getPublicKey(secretKey).toString('hex')
+  };
+  event.id = eventId(event);
+  event.sig = Buffer.from(schnorr.sign(event.id, secretKey)).toString('hex');
+  return event;
+}
+
+function verifyEvent(event) {
+  try {
+    return eventId(event) === event.id && schnorr.verify(event.sig, event.id, event.pubkey);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Send an event to one relay and wait for its OK (NIP-01). Resolves with
+// { accepted, message }; relays report events they already have as duplicates.
+function publishToRelay(url, event, { timeout = 10 * 1000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url, { handshakeTimeout: timeout });
+    let settled = false;
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      socket.close();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+    const timer = setTimeout(() => finish(new Error(`${url} did not answer within ${timeout / 1000}s`)), timeout);
+
+    socket.on('open', () => socket.send(JSON.stringify(['EVENT', event])));
+    socket.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return;
+      }
+      if (message[0] === 'OK' && message[1] === event.id) {
+        const accepted = message[2] === true || /^duplicate:/.test(message[3] || '');
+        finish(null, { accepted, message: message[3] || '' });
+      } else if (message[0] === 'NOTICE') {
+        console.log(`Notice from ${url}: ${message[1]}`);
+      }
+    });
+    socket.on('error', error => finish(error));
+    socket.on('close', () => finish(new Error(`${url} closed the connection`)));
+  });
+}
+
+function parseRelays(value) {
+  return String(value || '').split(',').map(relay => relay.trim()).filter(Boolean);
+}
+
+function formatMaturity(maturesAt) {
+  return String(maturesAt).replace('T', ' ').replace(/Z$/, ' UTC');
+}
+
+// The note for a prediction being added ('created') or scored ('scored')
+function buildNote(purpose, prediction, { score = null, announcement = null, publicUrl = null } = {}) {
+  const who = prediction.predictor_name || prediction.name;
+  const market = `${prediction.asset}/${prediction.quote_currency}`;
+  const lines = [
+    purpose === 'created' ? 'New prediction on Philify' : 'Prediction scored on Philify',
+    '',
+    `${who}: ${market} ${describeTarget(prediction)} by ${formatMaturity(prediction.matures_at)}`
+  ];
+  if (purpose === 'created') {
+    if (prediction.current_price) {
+      lines.push(`Price when added: ${formatPrice(prediction.current_price, prediction.quote_currency)}`);
+    }
+  } else {
+    lines.push(`Actual: ${formatPrice(score.actual_price, prediction.quote_currency)}`);
+    lines.push(`Score: ${score.score.toFixed(2)} (${score.model}@${score.model_version})`);
+  }
+  if (prediction.source) {
+    lines.push(`Source: ${prediction.source}`);
+  }
+  if (publicUrl) {
+    lines.push(`Verify: ${publicUrl.replace(/\/+$/, '')}/prediction/${prediction.id}`);
+  }
+  lines.push('', "Don't trust, verify. #philify #bitcoin");
+
+  const tags = [['t', 'philify'], ['t', 'bitcoin']];
+  if (prediction.source) {
+    tags.push(['r', prediction.source]);
+  }
+  if (announcement) {
+    tags.push(['e', announcement, '', 'mention']);
+  }
+  return { kind: 1, tags, content: lines.join('\n') };
+}
+
+const PURPOSES = ['created', 'scored'];
+
+// Resolves to null unless a key and at least one relay are configured.
+// `publish(relay, event)` can be swapped out, e.g. for a local relay stand-in.
+function createNostrPublisher({
+  db,
+  jobs,
+  secretKey = process.env.NOSTR_SECRET_KEY,
+  relays = parseRelays(process.env.NOSTR_RELAYS),
+  publicUrl = process.env.PUBLIC_URL || null,
+  publish = publishToRelay,
+  timeout = 10 * 1000
+}) {
+  if (!secretKey || !relays.length) {
+    return null;
+  }
+  const key = Buffer.isBuffer(secretKey) ? secretKey : parseSecretKey(secretKey);
+  const pubkey = getPublicKey(key).toString('hex');
+
+  async function loadPrediction(id) {
+    return get(db,
+      `SELECT predictions.*, predictors.display_name AS predictor_name FROM predictions
+       LEFT JOIN predictors ON predictors.id = predictions.predictor_id WHERE predictions.id = ?`,
+      [id]);
+  }
+
+  // The signed event for a note, the pending one from an earlier attempt if any
+  async function pendingEvent(purpose, prediction) {
+    const existing = await get(db,
+      `SELECT * FROM nostr_events WHERE prediction_id = ? AND purpose = ? AND published_at IS NULL
+       ORDER BY id DESC LIMIT 1`,
+      [prediction.id, purpose]);
+    if (existing) {
+      return JSON.parse(existing.event);
+    }
+    let score = null;
+    let announcement = null;
+    if (purpose === 'scored') {
+      score = await get(db, 'SELECT * FROM prediction_scores WHERE prediction_id = ? AND is_active = 1', [prediction.id]);
+      if (!score) {
+        return null;
+      }
+      const created = await get(db,
+        "SELECT event_id FROM nostr_events WHERE prediction_id = ? AND purpose = 'created' AND published_at IS NOT NULL ORDER BY id LIMIT 1",
+        [prediction.id]);
+      announcement = created ? created.event_id : null;
+    }
+    const event = finalizeEvent(buildNote(purpose, prediction, { score, announcement, publicUrl }), key);
+    await run(db,
+      'INSERT INTO nostr_events (prediction_id, purpose, event_id, pubkey, event) VALUES (?, ?, ?, ?, ?)',
+      [prediction.id, purpose, event.id, event.pubkey, JSON.stringify(event)]);
+    return event;
+  }
+
+  // Job handler; throws when no relay accepted the note so it is retried
+  async function publishPrediction({ purpose, prediction_id: predictionId }) {
+    const prediction = await loadPrediction(predictionId);
+    if (!prediction || prediction.hidden_at) {
+      return { skipped: prediction ? 'hidden' : 'deleted' };
+    }
+    const event = await pendingEvent(purpose, prediction);
+    if (!event) {
+      return { skipped: 'not scored' };
+    }
+    const results = await Promise.allSettled(relays.map(relay => publish(relay, event, { timeout })));
+    const accepted = relays.filter((relay, i) => results[i].status === 'fulfilled' && results[i].value.accepted);
+    const failures = relays
+      .map((relay, i) => {
+        const result = results[i];
+        if (result.status === 'rejected') {
+          return `${relay}: ${result.reason.message}`;
+        }
+        return result.value.accepted ? null : `${relay}: rejected ${result.value.message}`;
+      })
+      .filter(Boolean);
+    if (failures.length) {
+      console.error(`Nostr event ${event.id} not accepted by ${failures.join('; ')}`);
+    }
+    if (!accepted.length) {
+      throw new Error(`No relay accepted Nostr event ${event.id} (${failures.join('; ')})`);
+    }
+    await run(db,
+      'UPDATE nostr_events SET relays = ?, published_at = CURRENT_TIMESTAMP WHERE event_id = ?',
+      [JSON.stringify(accepted), event.id]);
+    console.log(`Published ${purpose} note for prediction ${prediction.id} to ${accepted.length} relay(s): ${event.id}`);
+    return { event_id: event.id, relays: accepted };
+  }
+
+  // Queue a note. A new score replaces a scored note that never made it out.
+  async function queue(purpose, predictionId) {
+    if (!PURPOSES.includes(purpose)) {
+      throw new Error(`Unknown Nostr note '${purpose}'`);
+    }
+    if (purpose === 'scored') {
+      await run(db,
+        "DELETE FROM nostr_events WHERE prediction_id = ? AND purpose = 'scored' AND published_at IS NULL",
+        [predictionId]);
+    }
+    await jobs.enqueue('publish-nostr', `${purpose}:${predictionId}`, { purpose, prediction_id: predictionId });
+    jobs.drain().catch(error => console.error('Error running jobs:', error.message));
+  }
+
+  // Published notes about a prediction, for anyone who wants to check them
+  async function listEvents(predictionId) {
+    const rows = await all(db,
+      'SELECT * FROM nostr_events WHERE prediction_id = ? AND published_at IS NOT NULL ORDER BY id',
+      [predictionId]);
+    return rows.map(row => ({
+      purpose: row.purpose,
+      event_id: row.event_id,
+      note: bech32Encode('note', Buffer.from(row.event_id, 'hex')),
+      relays: JSON.parse(row.relays),
+      published_at: row.published_at,
+      event: JSON.parse(row.event)
+    }));
+  }
+
+  if (jobs) {
+    jobs.register('publish-nostr', publishPrediction);
+  }
+
+  return {
+    pubkey,
+    npub: bech32Encode('npub', Buffer.from(pubkey, 'hex')),
+    relays,
+    queue,
+    publishPrediction,
+    listEvents
+  };
+}
+
+module.exports = {
+  getPublicKey,
+  bech32Encode,
+  bech32Decode,
+  parseSecretKey,
+  generateSecretKey,
+  finalizeEvent,
+  verifyEvent,
+  publishToRelay,
+  parseRelays,
+  buildNote,
+  createNostrPublisher
+};
@@ -0,0 +1,402 @@
+// Lifecycle notifications through webhooks and email.
+//
+// Events:
+//   prediction.created        - a prediction was added
+//   prediction.scored         - a prediction matured (or its touch target was
+//                               hit) and got its score
+//   predictor.rank_changed    - a predictor moved on the default scoreboard
+//   scoreboard.leader_changed - someone new tops the default scoreboard
+//   ping                      - test delivery sent from the admin console
+//
+// Admins subscribe a webhook URL or an email address to some or all events.
+// emit() stores a notification_deliveries row for every matching
+// subscription and queues a 'deliver-notification' job for it (lib/jobs.js),
+// so failed deliveries are retried with backoff and each outcome is logged.
+//
+// Webhooks receive the payload { id, event, created_at, data } as a JSON POST
+// with the headers
+//   X-Philify-Event      event name
+//   X-Philify-Delivery   delivery id, the same on every retry
+//   X-Philify-Timestamp  unix seconds when the request was signed
+//   X-Philify-Signature  sha256=<hex HMAC-SHA256 of `${timestamp}.${body}`>
+// keyed with the subscription's secret, which is only shown when the
+// subscription is created. Mounted at /api/admin/notifications.
+const crypto = require('crypto');
+const express = require('express');
+const defaultFetch = require('node-fetch');
+const { run, get, all } = require('./db');
+const { recordAudit } = require('./audit');
+const { isEmail } = require('./mail');
+const { describeTarget } = require('./prediction-types');
+
+const EVENTS = ['prediction.created', 'prediction.scored', 'predictor.rank_changed', 'scoreboard.leader_changed', 'ping'];
+const CHANNELS = ['webhook', 'email'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+const MAX_PAGE_SIZE = 200;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function notFound() {
+  return Object.assign(new Error('Subscription not found'), { status: 404 });
+}
+
+// '*' or a list (array or comma separated) of known events
+function parseEvents(value) {
+  if (value === undefined || value === null || value === '' || value === '*') {
+    return '*';
+  }
+  const events = (Array.isArray(value) ? value : String(value).split(','))
+    .map(event => String(event).trim())
+    .filter(Boolean);
+  const unknown = events.filter(event => !EVENTS.includes(event));
+  if (unknown.length) {
+    throw badRequest(`Unknown event(s) ${unknown.join(', ')}, use '*' or: ${EVENTS.join(', ')}`);
+  }
+  if (!events.length) {
+    throw badRequest('Subscribe to at least one event');
+  }
+  return [...new Set(events)].join(',');
+}
+
+function subscribesTo(subscription, event) {
+  // Pings always reach the subscription they are sent to
+  return event === 'ping' || subscription.events === '*' || subscription.events.split(',').includes(event);
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// One line describing an event, used as the email subject
+function summarize(event, data) {
+  switch (event) {
+    case 'prediction.created': {
+      const p = data.prediction;
+      return `${p.name} predicts ${p.asset} ${describeTarget(p)} by ${p.matures_at}`;
+    }
+    case 'prediction.scored':
+      return `${data.prediction.name}'s prediction ${data.prediction.id} scored ${Number(data.score).toFixed(2)}`;
+    case 'predictor.rank_changed':
+      return `${data.predictor.name} moved from #${data.previous_rank} to #${data.rank} on the ${data.method} scoreboard`;
+    case 'scoreboard.leader_changed':
+      return `${data.current.name} now leads the ${data.method} scoreboard`;
+    default:
+      return 'Test notification';
+  }
+}
+
+function publicSubscription(row) {
+  if (!row) {
+    return null;
+  }
+  const { secret, ...rest } = row;
+  return { ...rest, active: Boolean(row.active), has_secret: Boolean(secret) };
+}
+
+function createNotifier({ db, jobs, mailer = null, fetch = defaultFetch, timeout = 10 * 1000 }) {
+  async function findSubscription(id) {
+    return get(db, 'SELECT * FROM notification_subscriptions WHERE id = ?', [id]);
+  }
+
+  async function listSubscriptions() {
+    const rows = await all(db,
+      `SELECT notification_subscriptions.*,
+         (SELECT COUNT(*) FROM notification_deliveries d WHERE d.subscription_id = notification_subscriptions.id AND d.status = 'failed') AS failed_deliveries
+       FROM notification_subscriptions ORDER BY id`);
+    return rows.map(publicSubscription);
+  }
+
+  // Resolves with the new subscription including its webhook secret, the
+  // only time the secret is returned
+  async function createSubscription(body, user = null) {
+    const channel = body.channel || 'webhook';
+    if (!CHANNELS.includes(channel)) {
+      throw badRequest(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+    const address = String(body.address || '').trim();
+    if (channel === 'webhook' && !/^https?:\/\/[^\s]+$/i.test(address)) {
+      throw badRequest('A webhook address must be an http:// or https:// URL');
+    }
+    if (channel === 'email') {
+      if (!isEmail(address)) {
+        throw badRequest(`'${address}' is not an email address`);
+      }
+      if (!mailer) {
+        throw badRequest('Email is disabled, set MAIL_TRANSPORT to enable it');
+      }
+    }
+    const secret = channel === 'webhook' ? crypto.randomBytes(32).toString('hex') : null;
+    const { lastID } = await run(db,
+      'INSERT INTO notification_subscriptions (channel, address, secret, events, description, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [channel, address, secret, parseEvents(body.events), body.description || null, user ? user.id : null]);
+    return { ...publicSubscription(await findSubscription(lastID)), secret };
+  }
+
+  async function updateSubscription(id, body) {
+    const subscription = await findSubscription(id);
+    if (!subscription) {
+      throw notFound();
+    }
+    const fields = {};
+    if (body.events !== undefined) {
+      fields.events = parseEvents(body.events);
+    }
+    if (body.active !== undefined) {
+      fields.active = body.active ? 1 : 0;
+    }
+    if (body.description !== undefined) {
+      fields.description = body.description || null;
+    }
+    const columns = Object.keys(fields);
+    if (columns.length) {
+      await run(db,
+        `UPDATE notification_subscriptions SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => fields[column]), subscription.id]);
+    }
+    return publicSubscription(await findSubscription(subscription.id));
+  }
+
+  // Removes the subscription and its delivery log; queued deliveries are
+  // dropped when their job runs
+  async function deleteSubscription(id) {
+    const subscription = await findSubscription(id);
+    if (!subscription) {
+      throw notFound();
+    }
+    await run(db, 'DELETE FROM notification_deliveries WHERE subscription_id = ?', [subscription.id]);
+    await run(db, 'DELETE FROM notification_subscriptions WHERE id = ?', [subscription.id]);
+    return publicSubscription(subscription);
+  }
+
+  async function listDeliveries({ status, subscription_id: subscriptionId, event, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (status) {
+      if (!DELIVERY_STATUSES.includes(status)) {
+        throw badRequest(`Unknown delivery status '${status}', use one of: ${DELIVERY_STATUSES.join(', ')}`);
+      }
+      clauses.push('d.status = ?');
+      params.push(status);
+    }
+    if (subscriptionId) {
+      clauses.push('d.subscription_id = ?');
+      params.push(subscriptionId);
+    }
+    if (event) {
+      clauses.push('d.event = ?');
+      params.push(event);
+    }
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const rows = await all(db,
+      `SELECT d.*, s.channel, s.address FROM notification_deliveries d
+       JOIN notification_subscriptions s ON s.id = d.subscription_id
+       ${where} ORDER BY d.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]);
+    const { total } = await get(db, `SELECT COUNT(*) AS total FROM notification_deliveries d ${where}`, params);
+    return { total, deliveries: rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })) };
+  }
+
+  async function queueDelivery(deliveryId) {
+    await jobs.enqueue('deliver-notification', deliveryId, { delivery_id: deliveryId });
+  }
+
+  // Record and queue `event` for every active subscription to it (or only
+  // `subscriptionId`). Never throws, a notification must not break the
+  // action that triggered it. Resolves with the number of deliveries queued.
+  async function emit(event, data, { subscriptionId } = {}) {
+    try {
+      const subscriptions = await all(db,
+        `SELECT * FROM notification_subscriptions WHERE active = 1 ${subscriptionId ? 'AND id = ?' : ''}`,
+        subscriptionId ? [subscriptionId] : []);
+      const matching = subscriptions.filter(subscription => subscribesTo(subscription, event));
+      if (!matching.length) {
+        return 0;
+      }
+      const payload = JSON.stringify({ id: crypto.randomUUID(), event, created_at: new Date().toISOString(), data });
+      for (const subscription of matching) {
+        const { lastID } = await run(db,
+          'INSERT INTO notification_deliveries (subscription_id, event, payload) VALUES (?, ?, ?)',
+          [subscription.id, event, payload]);
+        await queueDelivery(lastID);
+      }
+      console.log(`Queued ${event} notification for ${matching.length} subscription(s)`);
+      // Deliver now rather than on the next poll; a running pass picks them up
+      jobs.drain().catch(error => console.error('Error running jobs:', error.message));
+      return matching.length;
+    } catch (error) {
+      console.error(`Error queueing ${event} notification:`, error.message);
+      return 0;
+    }
+  }
+
+  // Queue a failed delivery again with the same payload and delivery id
+  async function redeliver(id) {
+    const delivery = await get(db, 'SELECT * FROM notification_deliveries WHERE id = ?', [id]);
+    if (!delivery) {
+      throw Object.assign(new Error('Delivery not found'), { status: 404 });
+    }
+    if (delivery.status !== 'failed') {
+      throw Object.assign(new Error(`Delivery ${delivery.id} is ${delivery.status}, only failed deliveries can be sent again`), { status: 409 });
+    }
+    await run(db, "UPDATE notification_deliveries SET status = 'pending' WHERE id = ?", [delivery.id]);
+    await queueDelivery(delivery.id);
+    jobs.drain().catch(error => console.error('Error running jobs:', error.message));
+    return delivery;
+  }
+
+  async function postWebhook(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(delivery.address, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Philify-Webhooks',
+        'X-Philify-Event': delivery.event,
+        'X-Philify-Delivery': String(delivery.id),
+        'X-Philify-Timestamp': String(timestamp),
+        'X-Philify-Signature': sign(delivery.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      timeout
+    });
+    if (response.status < 200 || response.status >= 300) {
+      throw Object.assign(new Error(`${delivery.address} returned ${response.status} ${response.statusText}`),
+        { responseStatus: response.status });
+    }
+    return response.status;
+  }
+
+  async function sendEmail(delivery) {
+    if (!mailer) {
+      throw new Error('Email is disabled, set MAIL_TRANSPORT to enable it');
+    }
+    const { event, data } = JSON.parse(delivery.payload);
+    const summary = summarize(event, data);
+    await mailer.send({
+      to: delivery.address,
+      subject: `[Philify] ${summary}`,
+      text: `${summary}\n\nEvent: ${event}\n\n${JSON.stringify(data, null, 2)}\n`
+    });
+    return null;
+  }
+
+  // Job handler: one delivery attempt, thrown errors are retried by the queue
+  async function deliver({ delivery_id: deliveryId }, job) {
+    const delivery = await get(db,
+      `SELECT d.*, s.channel, s.address, s.secret, s.active FROM notification_deliveries d
+       JOIN notification_subscriptions s ON s.id = d.subscription_id WHERE d.id = ?`,
+      [deliveryId]);
+    if (!delivery || delivery.status === 'delivered' || delivery.status === 'cancelled') {
+      return { skipped: delivery ? delivery.status : 'deleted' };
+    }
+    if (!delivery.active) {
+      await run(db, "UPDATE notification_deliveries SET status = 'cancelled' WHERE id = ?", [delivery.id]);
+      return { skipped: 'inactive' };
+    }
+    try {
+      const responseStatus = delivery.channel === 'email' ? await sendEmail(delivery) : await postWebhook(delivery);
+      await run(db,
+        `UPDATE notification_deliveries SET status = 'delivered', attempts = attempts + 1, response_status = ?,
+           last_error = NULL, delivered_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [responseStatus, delivery.id]);
+      return { delivered: true, response_status: responseStatus };
+    } catch (error) {
+      await run(db,
+        'UPDATE notification_deliveries SET status = ?, attempts = attempts + 1, response_status = ?, last_error = ? WHERE id = ?',
+        [job.attempts >= job.max_attempts ? 'failed' : 'pending', error.responseStatus || null, error.message, delivery.id]);
+      throw error;
+    }
+  }
+
+  jobs.register('deliver-notification', deliver);
+
+  return {
+    emit,
+    redeliver,
+    listSubscriptions,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    listDeliveries
+  };
+}
+
+function createNotificationsRouter({ db, auth, notifier }) {
+  const router = express.Router();
+  router.use(auth.requireRole('admin'));
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error(`Notification error (${label}):`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+
+  router.get('/events', (req, res) => {
+    res.json(EVENTS);
+  });
+
+  router.get('/subscriptions', handle('list subscriptions', async (req, res) => {
+    res.json(await notifier.listSubscriptions());
+  }));
+
+  router.post('/subscriptions', handle('create subscription', async (req, res) => {
+    const subscription = await notifier.createSubscription(req.body, req.user);
+    await recordAudit(db, req.user, 'create_subscription', 'subscription', subscription.id,
+      { channel: subscription.channel, address: subscription.address, events: subscription.events });
+    res.status(201).json(subscription);
+  }));
+
+  router.put('/subscriptions/:id', handle('update subscription', async (req, res) => {
+    const subscription = await notifier.updateSubscription(req.params.id, req.body);
+    await recordAudit(db, req.user, 'update_subscription', 'subscription', subscription.id, req.body);
+    res.json(subscription);
+  }));
+
+  router.delete('/subscriptions/:id', handle('delete subscription', async (req, res) => {
+    const subscription = await notifier.deleteSubscription(req.params.id);
+    await recordAudit(db, req.user, 'delete_subscription', 'subscription', subscription.id,
+      { channel: subscription.channel, address: subscription.address });
+    res.json({ message: 'Subscription deleted' });
+  }));
+
+  router.post('/subscriptions/:id/test', handle('test subscription', async (req, res) => {
+    const subscription = await get(db, 'SELECT id, active FROM notification_subscriptions WHERE id = ?', [req.params.id]);
+    if (!subscription) {
+      throw notFound();
+    }
+    if (!subscription.active) {
+      throw badRequest('Subscription is paused');
+    }
+    await notifier.emit('ping', { message: 'Test notification from Philify', requested_by: req.user.username },
+      { subscriptionId: subscription.id });
+    res.json({ message: 'Test notification queued' });
+  }));
+
+  router.get('/deliveries', handle('list deliveries', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    res.json({ limit, offset, ...(await notifier.listDeliveries({ ...req.query, limit, offset })) });
+  }));
+
+  router.post('/deliveries/:id/redeliver', handle('redeliver', async (req, res) => {
+    const delivery = await notifier.redeliver(req.params.id);
+    await recordAudit(db, req.user, 'redeliver_notification', 'delivery', delivery.id, { event: delivery.event });
+    res.json({ message: 'Delivery queued' });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  EVENTS,
+  sign,
+  summarize,
+  createNotifier,
+  createNotificationsRouter
+};
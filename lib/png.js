@@ -0,0 +1,147 @@
+// A tiny RGB raster with a 5x7 bitmap font and a PNG encoder, enough to
+// draw the prediction cards in lib/cards.js as PNG for sites that don't
+// accept SVG previews. No image libraries needed: zlib does the compression.
+//
+// Only printable ASCII is drawn; anything else shows as '?'.
+const zlib = require('zlib');
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+// Seven rows per glyph as two hex digits each, leftmost pixel in bit 4
+const FONT = {
+  ' ': '00000000000000', '!': '04040404040004', '"': '0a0a0a00000000', '#': '0a0a1f0a1f0a0a',
+  '$': '040f140e051e04', '%': '18190204081303', '&': '0c12140815120d', "'": '0c040800000000',
+  '(': '02040808080402', ')': '08040202020408', '*': '0004150e150400', '+': '0004041f040400',
+  ',': '000000000c0408', '-': '0000001f000000', '.': '00000000000c0c', '/': '00010204081000',
+  '0': '0e11131519110e', '1': '040c040404040e', '2': '0e11010204081f', '3': '1f02040201110e',
+  '4': '02060a121f0202', '5': '1f101e0101110e', '6': '0608101e11110e', '7': '1f010204080808',
+  '8': '0e11110e11110e', '9': '0e11110f01020c', ':': '000c0c000c0c00', ';': '000c0c000c0408',
+  '<': '02040810080402', '=': '00001f001f0000', '>': '08040201020408', '?': '0e110102040004',
+  '@': '0e11010d15150e', 'A': '0e1111111f1111', 'B': '1e11111e11111e', 'C': '0e11101010110e',
+  'D': '1c12111111121c', 'E': '1f10101e10101f', 'F': '1f10101e101010', 'G': '0e11101711110f',
+  'H': '1111111f111111', 'I': '0e04040404040e', 'J': '0702020202120c', 'K': '11121418141211',
+  'L': '1010101010101f', 'M': '111b1515111111', 'N': '11111915131111', 'O': '0e11111111110e',
+  'P': '1e11111e101010', 'Q': '0e11111115120d', 'R': '1e11111e141211', 'S': '0f10100e01011e',
+  'T': '1f040404040404', 'U': '1111111111110e', 'V': '11111111110a04', 'W': '1111111515150a',
+  'X': '11110a040a1111', 'Y': '1111110a040404', 'Z': '1f01020408101f', '[': '0e08080808080e',
+  '\\': '00100804020100', ']': '0e02020202020e', '^': '040a1100000000', '_': '0000000000001f',
+  '`': '08040200000000', 'a': '00000e010f110f', 'b': '1010161911111e', 'c': '00000e1010110e',
+  'd': '01010d1311110f', 'e': '00000e111f100e', 'f': '0609081c080808', 'g': '000f11110f010e',
+  'h': '10101619111111', 'i': '04000c0404040e', 'j': '0200060202120c', 'k': '10101214181412',
+  'l': '0c04040404040e', 'm': '00001a15151111', 'n': '00001619111111', 'o': '00000e1111110e',
+  'p': '00001e111e1010', 'q': '00000d130f0101', 'r': '00001619101010', 's': '00000e100e011e',
+  't': '08081c08080906', 'u': '0000111111130d', 'v': '00001111110a04', 'w': '0000111115150a',
+  'x': '0000110a040a11', 'y': '000011110f010e', 'z': '00001f0204081f', '{': '02040408040402',
+  '|': '04040404040404', '}': '08040402040408', '~': '00000815020000'
+};
+
+function glyphRows(char) {
+  const hex = FONT[char] || FONT['?'];
+  const rows = [];
+  for (let i = 0; i < GLYPH_HEIGHT; i++) {
+    rows.push(parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+  }
+  return rows;
+}
+
+// '#rrggbb' to [r, g, b]
+function parseColor(color) {
+  const hex = color.replace('#', '');
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function createRaster(width, height, background = '#ffffff') {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  function fillRect(x, y, w, h, color) {
+    const [r, g, b] = parseColor(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(width, Math.round(x + w));
+    const y1 = Math.min(height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const offset = (py * width + px) * 3;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = b;
+      }
+    }
+  }
+
+  // Width in pixels of `text` drawn at `scale`
+  function measureText(text, scale) {
+    const length = [...text].length;
+    return length ? (length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+  }
+
+  // Draws `text` with its top left corner at (x, y), each font pixel
+  // `scale` pixels square
+  function drawText(text, x, y, scale, color) {
+    [...text].forEach((char, index) => {
+      const left = x + index * (GLYPH_WIDTH + 1) * scale;
+      glyphRows(char).forEach((bits, row) => {
+        for (let column = 0; column < GLYPH_WIDTH; column++) {
+          if (bits & (1 << (GLYPH_WIDTH - 1 - column))) {
+            fillRect(left + column * scale, y + row * scale, scale, scale, color);
+          }
+        }
+      });
+    });
+  }
+
+  function toPng() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolor RGB
+    const rowLength = width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+      raw[y * (rowLength + 1)] = 0; // no filter
+      pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', header),
+      chunk('IDAT', zlib.deflateSync(raw)),
+      chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  fillRect(0, 0, width, height, background);
+  return { width, height, fillRect, measureText, drawText, toPng };
+}
+
+module.exports = {
+  GLYPH_WIDTH,
+  GLYPH_HEIGHT,
+  createRaster
+};
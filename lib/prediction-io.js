@@ -0,0 +1,423 @@
+// Bulk import and export of predictions as CSV or JSON, for
+// POST /api/predictions/import, GET /api/predictions/export and predictions.js.
+//
+// Import rows use the export columns, so an export can be edited and fed
+// back. Only the target, market and maturity fields plus a predictor (name,
+// predictor_id or predictor_slug) are needed; announced_at says when a
+// prediction was made elsewhere, and current_price, when missing, is filled
+// in with the price as of then rather than a live quote. Every row is
+// validated on its own, with the same checks as the API (lib/validation.js),
+// and the import reports each one as accepted, duplicate (same predictor,
+// market, target and maturity as an existing prediction or an earlier row)
+// or rejected with its errors.
+// Imported predictions are not announced to subscribers or Nostr; matured
+// ones are scored by the resolution queue like any other, and sources are
+// archived when an evidence archiver is given.
+const express = require('express');
+const { run, get, all } = require('./db');
+const { parseTarget } = require('./prediction-types');
+const { parseMarket, marketOf, marketKey } = require('./assets');
+const { parseMaturity, parseAnnouncement } = require('./maturity');
+const { todayUTC } = require('./price-store');
+const { normalizeName } = require('./predictors');
+const { validateName, validateSource, validateTarget, validatePrice, validateDates } = require('./validation');
+
+const COLUMNS = [
+  'id', 'name', 'predictor_slug', 'predictor_name', 'asset', 'quote_currency', 'type', 'price', 'price_low',
+  'price_high', 'date', 'matures_at', 'timezone', 'announced_at', 'current_price', 'source', 'status', 'score', 'score_model',
+  'created_at'
+];
+const FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 1000;
+const BODY_LIMIT = '5mb';
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// RFC 4180 CSV: a header row, then records; quoted fields may contain
+// commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^﻿/, '');
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      record.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) {
+    throw badRequest('CSV ends inside a quoted field');
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  const rows = records.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!rows.length) {
+    return [];
+  }
+  const header = rows[0].map(cell => cell.trim());
+  return rows.slice(1).map(cells => {
+    const row = {};
+    header.forEach((column, i) => {
+      if (column && cells[i] !== undefined && cells[i].trim() !== '') {
+        row[column] = cells[i].trim();
+      }
+    });
+    return row;
+  });
+}
+
+// Quote fields that need it, and defuse text a spreadsheet would run as a formula
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// An exported row with just the export columns
+function exportRecord(row) {
+  return Object.fromEntries(COLUMNS.map(column => [column, row[column] === undefined ? null : row[column]]));
+}
+
+function toCsv(rows, columns = COLUMNS) {
+  return [columns.join(','), ...rows.map(row => columns.map(column => csvField(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+// Rows from a CSV string, a JSON array or { predictions: [...] }
+function parseImport(body, format) {
+  let rows;
+  if (format === 'csv' || typeof body === 'string') {
+    rows = parseCsv(body);
+  } else {
+    rows = Array.isArray(body) ? body : body && body.predictions;
+  }
+  if (!Array.isArray(rows) || !rows.length) {
+    throw badRequest('Send a CSV file with a header row, or a JSON array of predictions');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`At most ${MAX_IMPORT_ROWS} predictions per import, got ${rows.length}`);
+  }
+  return rows;
+}
+
+function createPredictionIO({ db, predictors, priceStore, evidence = null }) {
+  // Check one row without writing anything. Resolves with
+  // { errors, values, predictor, predictorName } where predictor is null for
+  // a name that will create a new predictor.
+  async function validateRow(raw) {
+    const errors = [];
+    const body = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { errors: ['Each prediction must be an object'] };
+    }
+    Object.entries(raw).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && String(value).trim() !== '') {
+        body[key] = typeof value === 'string' ? value.trim() : value;
+      }
+    });
+
+    const attempt = parse => {
+      try {
+        return parse();
+      } catch (error) {
+        errors.push(error.message);
+        return null;
+      }
+    };
+
+    let predictor = null;
+    let predictorName = body.name ? attempt(() => validateName(body.name)) : null;
+    if (body.predictor_id) {
+      predictor = await predictors.findById(body.predictor_id);
+      if (!predictor) {
+        errors.push(`Unknown predictor_id ${body.predictor_id}`);
+      }
+    } else if (body.predictor_slug) {
+      predictor = await predictors.findBySlug(body.predictor_slug);
+      if (!predictor) {
+        errors.push(`Unknown predictor_slug '${body.predictor_slug}'`);
+      }
+    } else if (predictorName) {
+      predictor = await predictors.findByName(predictorName);
+    } else {
+      errors.push('name, predictor_id or predictor_slug is required');
+    }
+    if (predictor) {
+      predictorName = predictorName || predictor.display_name;
+    }
+
+    const target = attempt(() => parseTarget(body));
+    const market = attempt(() => parseMarket(body));
+    let maturity = null;
+    if (!body.date && !body.matures_at) {
+      errors.push('date or matures_at is required');
+    } else {
+      maturity = attempt(() => parseMaturity(body));
+    }
+
+    const announcement = maturity ? attempt(() => parseAnnouncement(body, maturity)) : null;
+    if (maturity && announcement) {
+      attempt(() => validateDates({ ...maturity, ...announcement }));
+    }
+    if (target && market) {
+      attempt(() => validateTarget(target, market));
+    }
+    const source = attempt(() => validateSource(body.source));
+
+    let currentPrice = null;
+    if (body.current_price !== undefined) {
+      currentPrice = Number(body.current_price);
+      if (!Number.isFinite(currentPrice) || currentPrice <= 0) {
+        errors.push('current_price must be a positive number');
+      }
+    }
+
+    return {
+      errors,
+      predictor,
+      predictorName,
+      values: {
+        ...target,
+        ...market,
+        ...maturity,
+        ...announcement,
+        current_price: currentPrice,
+        source
+      }
+    };
+  }
+
+  // Identifies a prediction for duplicate detection
+  function duplicateKey(predictorKey, values) {
+    return [predictorKey, values.asset, values.quote_currency, values.type, values.price,
+      values.price_low, values.price_high, values.matures_at].join('|');
+  }
+
+  async function findExisting(predictorId, values) {
+    return get(db,
+      `SELECT id FROM predictions
+       WHERE predictor_id = ? AND asset = ? AND quote_currency = ? AND type = ? AND price = ?
+         AND IFNULL(price_low, -1) = IFNULL(?, -1) AND IFNULL(price_high, -1) = IFNULL(?, -1) AND matures_at = ?
+       LIMIT 1`,
+      [predictorId, values.asset, values.quote_currency, values.type, values.price,
+        values.price_low, values.price_high, values.matures_at]);
+  }
+
+  // The price as of each announcement: a stored intraday price near it,
+  // else the stored daily price of a past day (fetched once per day), else
+  // the price at that moment, so a large backdated import reads the
+  // backfilled history instead of asking the providers row by row
+  function createPriceLookup() {
+    const cache = new Map();
+    const once = (market, when, lookup) => {
+      const key = `${marketKey(market)} ${when}`;
+      if (!cache.has(key)) {
+        cache.set(key, lookup().catch(error => {
+          throw new Error(`No ${marketKey(market)} price for ${when}: ${error.message}`);
+        }));
+      }
+      return cache.get(key);
+    };
+    return async (values) => {
+      const market = marketOf(values);
+      const timestamp = Date.parse(values.announced_at);
+      const stored = await priceStore.getStoredPriceAt(timestamp, market);
+      if (stored !== null) {
+        return stored;
+      }
+      const day = values.announced_at.slice(0, 10);
+      if (day < todayUTC()) {
+        return once(market, day, () => priceStore.getDailyPrice(day, market));
+      }
+      return once(market, values.announced_at, () => priceStore.getPriceAsOf(timestamp, market));
+    };
+  }
+
+  // Resolves with the per-row report. With dryRun nothing is written.
+  async function importRows(rows, { ownerId = null, dryRun = false } = {}) {
+    const seen = new Map();
+    const priceFor = createPriceLookup();
+    const report = [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const entry = { row: i + 1 };
+      report.push(entry);
+      const { errors, values, predictor, predictorName } = await validateRow(rows[i]);
+      if (errors.length) {
+        Object.assign(entry, { status: 'rejected', errors });
+        continue;
+      }
+
+      const key = duplicateKey(predictor ? `id:${predictor.id}` : `name:${normalizeName(predictorName)}`, values);
+      const existing = predictor ? await findExisting(predictor.id, values) : null;
+      if (existing || seen.has(key)) {
+        Object.assign(entry, existing
+          ? { status: 'duplicate', duplicate_of: existing.id }
+          : { status: 'duplicate', duplicate_of_row: seen.get(key) });
+        continue;
+      }
+
+      try {
+        if (values.current_price === null) {
+          values.current_price = await priceFor(values);
+        }
+        validatePrice(values, values.current_price);
+      } catch (error) {
+        Object.assign(entry, { status: 'rejected', errors: [error.message] });
+        continue;
+      }
+      seen.set(key, entry.row);
+
+      if (dryRun) {
+        Object.assign(entry, { status: 'accepted', current_price: values.current_price });
+        continue;
+      }
+      const resolved = predictor || await predictors.findOrCreateByName(predictorName);
+      const { lastID } = await run(db,
+        `INSERT INTO predictions (name, asset, quote_currency, type, price, price_low, price_high, date, matures_at, timezone,
+           announced_at, status, current_price, source, owner_id, predictor_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)`,
+        [predictorName, values.asset, values.quote_currency, values.type, values.price, values.price_low, values.price_high,
+          values.date, values.matures_at, values.timezone, values.announced_at, values.current_price, values.source, ownerId,
+          resolved.id]);
+      Object.assign(entry, { status: 'accepted', id: lastID, current_price: values.current_price });
+      if (evidence && values.source) {
+        await evidence.queue(lastID);
+      }
+    }
+
+    const count = status => report.filter(entry => entry.status === status).length;
+    console.log(`Imported predictions${dryRun ? ' (dry run)' : ''}: ${count('accepted')} accepted, ${count('duplicate')} duplicate, ${count('rejected')} rejected`);
+    return {
+      dry_run: dryRun,
+      total: report.length,
+      accepted: count('accepted'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      rows: report
+    };
+  }
+
+  // Visible predictions matching the filters, oldest first
+  async function exportRows(query = {}) {
+    const clauses = ['predictions.hidden_at IS NULL'];
+    const params = [];
+    const filter = (sql, value) => {
+      if (value !== undefined && value !== '') {
+        clauses.push(sql);
+        params.push(value);
+      }
+    };
+    filter('predictions.status = ?', query.status);
+    filter('predictions.asset = ?', query.asset && String(query.asset).toUpperCase());
+    filter('predictions.quote_currency = ?', query.quote_currency && String(query.quote_currency).toUpperCase());
+    filter('predictions.type = ?', query.type);
+    filter('predictors.slug = ?', query.predictor);
+    filter('predictions.date >= ?', query.from);
+    filter('predictions.date <= ?', query.to);
+    return all(db,
+      `SELECT predictions.*, predictors.slug AS predictor_slug, predictors.display_name AS predictor_name
+       FROM predictions LEFT JOIN predictors ON predictors.id = predictions.predictor_id
+       WHERE ${clauses.join(' AND ')} ORDER BY predictions.id`,
+      params);
+  }
+
+  return {
+    validateRow,
+    importRows,
+    exportRows
+  };
+}
+
+// Body parsers for the import route. They run before the app-wide JSON
+// parser, so batches may be larger than ordinary requests.
+function importBodyParsers() {
+  return [
+    express.json({ limit: BODY_LIMIT }),
+    express.text({ type: ['text/csv', 'text/plain'], limit: BODY_LIMIT })
+  ];
+}
+
+// Mounted at /api/predictions. Importing is for admins since it can backdate
+// predictions; exports show what the public list shows.
+function createPredictionIORouter({ auth, io }) {
+  const router = express.Router();
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error(`Prediction ${label} error:`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+
+  router.post('/import', auth.requireRole('admin'), handle('import', async (req, res) => {
+    const format = typeof req.body === 'string' ? 'csv' : 'json';
+    const rows = parseImport(req.body, format);
+    const dryRun = req.query.dry_run === 'true' || req.query.dry_run === '1';
+    res.json(await io.importRows(rows, { ownerId: req.user.id, dryRun }));
+  }));
+
+  router.get('/export', handle('export', async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!FORMATS.includes(format)) {
+      throw badRequest(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+    const rows = await io.exportRows(req.query);
+    const filename = `philify-predictions-${todayUTC()}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(toCsv(rows));
+    } else {
+      res.json(rows.map(exportRecord));
+    }
+  }));
+
+  return router;
+}
+
+module.exports = {
+  COLUMNS,
+  FORMATS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  exportRecord,
+  toCsv,
+  parseImport,
+  createPredictionIO,
+  importBodyParsers,
+  createPredictionIORouter
+};
@@ -0,0 +1,68 @@
+// Prediction types and the target fields each one needs.
+//
+//   point  - BTC will be at `price` on `date`
+//   range  - BTC will be between `price_low` and `price_high` on `date`
+//   above  - BTC will be at or above `price` on `date`
+//   below  - BTC will be at or below `price` on `date`
+//   touch  - BTC will reach `price` at any point before `date`
+//
+// `price` is always set so lists and charts have one number to show: the
+// threshold, or the midpoint of a range.
+const { formatPrice } = require('./assets');
+
+const TYPES = ['point', 'range', 'above', 'below', 'touch'];
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function positivePrice(value, field) {
+  const price = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(price) || price <= 0) {
+    throw badRequest(`${field} must be a positive number`);
+  }
+  return price;
+}
+
+// The target columns for a submission. On edits `existing` supplies whatever
+// the body leaves out.
+function parseTarget(body, existing = {}) {
+  const pick = field => (body[field] !== undefined ? body[field] : existing[field]);
+  const type = pick('type') || 'point';
+  if (!TYPES.includes(type)) {
+    throw badRequest(`Unknown prediction type '${type}', use one of: ${TYPES.join(', ')}`);
+  }
+
+  if (type === 'range') {
+    const low = positivePrice(pick('price_low'), 'price_low');
+    const high = positivePrice(pick('price_high'), 'price_high');
+    if (low >= high) {
+      throw badRequest('price_low must be below price_high');
+    }
+    return { type, price: (low + high) / 2, price_low: low, price_high: high };
+  }
+  return { type, price: positivePrice(pick('price'), 'price'), price_low: null, price_high: null };
+}
+
+// The target in words, e.g. 'at or above 150,000 USD'
+function describeTarget(prediction) {
+  const quote = prediction.quote_currency;
+  switch (prediction.type) {
+    case 'range':
+      return `between ${formatPrice(prediction.price_low, quote)} and ${formatPrice(prediction.price_high, quote)}`;
+    case 'above':
+      return `at or above ${formatPrice(prediction.price, quote)}`;
+    case 'below':
+      return `at or below ${formatPrice(prediction.price, quote)}`;
+    case 'touch':
+      return `touching ${formatPrice(prediction.price, quote)}`;
+    default:
+      return `at ${formatPrice(prediction.price, quote)}`;
+  }
+}
+
+module.exports = {
+  TYPES,
+  parseTarget,
+  describeTarget
+};
@@ -0,0 +1,166 @@
+// A predictor's track record, for GET /api/predictors/:slug/profile and the
+// /predictor/:slug page.
+//
+// Every visible prediction is listed with its target, the price it settled
+// at and, for point and range predictions, the signed error: how far the
+// target (the nearest end of a range, zero inside it) was from the actual
+// price. The directional types (above, below, touch) have no error, since
+// the distance from their threshold says nothing about how far off the call
+// was. Bias statistics use the scored predictions that have one:
+//   bias_pct               - mean signed error, positive when targets ran high
+//   average_overshoot_pct  - mean error of the targets that were too high
+//   average_undershoot_pct - mean error of the targets that were too low
+//   hit_rate_5, hit_rate_10 - share within 5% and 10% of the actual price
+// Horizons run from announcement to maturity and cover every prediction.
+// average_skill_score averages the skill of the scored point predictions
+// against the naive baseline (see lib/baselines.js).
+const express = require('express');
+const { all } = require('./db');
+const { skillScore, NAIVE_BASELINE } = require('./baselines');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRICE_TARGET_TYPES = ['point', 'range'];
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function median(values) {
+  if (!values.length) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function horizonDays(prediction) {
+  if (!prediction.announced_at || !prediction.matures_at) {
+    return null;
+  }
+  return Math.max(0, (Date.parse(prediction.matures_at) - Date.parse(prediction.announced_at)) / DAY_MS);
+}
+
+// Signed percentage by which the target missed, null until settled
+function errorPct(prediction) {
+  const actual = prediction.actual_price;
+  if (actual === null || !PRICE_TARGET_TYPES.includes(prediction.type)) {
+    return null;
+  }
+  let target = prediction.price;
+  if (prediction.type === 'range') {
+    target = Math.min(Math.max(actual, prediction.price_low), prediction.price_high);
+  }
+  return (target - actual) / actual * 100;
+}
+
+// rows: predictions with actual_price from their active score
+function profileStats(rows) {
+  const scored = rows.filter(row => row.status === 'completed' && row.score !== null);
+  const errors = scored.map(row => row.error_pct).filter(error => error !== null);
+  const over = errors.filter(error => error > 0);
+  const under = errors.filter(error => error < 0);
+  const within = limit => (errors.length ? errors.filter(error => Math.abs(error) <= limit).length / errors.length : null);
+  const horizons = rows.map(row => row.horizon_days).filter(days => days !== null);
+
+  return {
+    prediction_count: rows.length,
+    scored_count: scored.length,
+    pending_count: rows.filter(row => row.status === 'pending').length,
+    average_score: mean(scored.map(row => row.score)),
+    price_target_count: errors.length,
+    bias_pct: mean(errors),
+    average_absolute_error_pct: mean(errors.map(Math.abs)),
+    overshoot_count: over.length,
+    undershoot_count: under.length,
+    average_overshoot_pct: mean(over),
+    average_undershoot_pct: mean(under),
+    hit_rate_5: within(5),
+    hit_rate_10: within(10),
+    average_skill_score: mean(scored.map(row => row.skill_score).filter(skill => skill !== null && skill !== undefined)),
+    median_horizon_days: median(horizons),
+    average_horizon_days: mean(horizons)
+  };
+}
+
+// Scores in maturity order with the running average after each
+function scoreHistory(rows) {
+  let total = 0;
+  return rows
+    .filter(row => row.status === 'completed' && row.score !== null)
+    .sort((a, b) => a.matures_at.localeCompare(b.matures_at))
+    .map((row, index) => {
+      total += row.score;
+      return {
+        id: row.id,
+        matures_at: row.matures_at,
+        score: row.score,
+        running_average: total / (index + 1)
+      };
+    });
+}
+
+function createPredictorProfiles({ db, predictors }) {
+  async function load(slug) {
+    const predictor = await predictors.findBySlug(slug);
+    if (!predictor) {
+      return null;
+    }
+    const rows = await all(db,
+      `SELECT predictions.id, predictions.name, predictions.asset, predictions.quote_currency, predictions.type,
+         predictions.price, predictions.price_low, predictions.price_high, predictions.date, predictions.matures_at,
+         predictions.timezone, predictions.announced_at, predictions.status, predictions.score,
+         predictions.score_model, predictions.current_price, predictions.source, prediction_scores.actual_price,
+         prediction_scores.percentage_error,
+         (SELECT percentage_error FROM baseline_predictions WHERE baseline_predictions.prediction_id = predictions.id
+           AND baseline_predictions.baseline = ?) AS baseline_error
+       FROM predictions
+       LEFT JOIN prediction_scores ON prediction_scores.prediction_id = predictions.id AND prediction_scores.is_active = 1
+       WHERE predictions.predictor_id = ? AND predictions.hidden_at IS NULL
+       ORDER BY predictions.matures_at DESC, predictions.id DESC`,
+      [NAIVE_BASELINE, predictor.id]);
+    const predictions = rows.map(row => ({
+      ...row,
+      skill_score: skillScore(row.percentage_error, row.baseline_error),
+      error_pct: errorPct(row),
+      horizon_days: horizonDays(row)
+    }));
+
+    return {
+      predictor,
+      stats: profileStats(predictions),
+      score_history: scoreHistory(predictions),
+      predictions
+    };
+  }
+
+  return { load };
+}
+
+// Mounted at /api/predictors next to the predictors router
+function createPredictorProfileRouter({ profiles }) {
+  const router = express.Router();
+
+  router.get('/:slug/profile', async (req, res) => {
+    try {
+      const profile = await profiles.load(req.params.slug);
+      if (!profile) {
+        res.status(404).json({ error: 'Predictor not found' });
+        return;
+      }
+      res.json(profile);
+    } catch (error) {
+      console.error('Error loading predictor profile:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  profileStats,
+  scoreHistory,
+  createPredictorProfiles,
+  createPredictorProfileRouter
+};
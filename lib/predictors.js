@@ -0,0 +1,267 @@
+// Predictors: the canonical identity behind each prediction's free-text name.
+//
+// Every predictor has a unique slug, a display name and any number of
+// aliases. Names are matched on their normalized form (trimmed, single
+// spaced, lower case), so "Saylor", "saylor " and "SAYLOR" resolve to the
+// same predictor. Slugs of merged predictors keep resolving to the predictor
+// they were merged into. Mounted at /api/predictors.
+const express = require('express');
+const { run, get, all, transaction } = require('./db');
+const { recordAudit } = require('./audit');
+const { validateName } = require('./validation');
+
+const LINK_FIELDS = ['x_handle', 'nostr_npub', 'website'];
+
+function normalizeName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function slugify(name) {
+  return normalizeName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'predictor';
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Profile links are optional; website must be an http(s) URL
+function cleanLinks(body) {
+  const links = {};
+  LINK_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      links[field] = body[field] ? String(body[field]).trim() : null;
+    }
+  });
+  if (links.website && !/^https?:\/\//i.test(links.website)) {
+    throw badRequest('website must start with http:// or https://');
+  }
+  if (links.x_handle) {
+    links.x_handle = links.x_handle.replace(/^@/, '');
+  }
+  return links;
+}
+
+function createPredictorService(db) {
+  async function withAliases(predictor) {
+    if (!predictor) {
+      return null;
+    }
+    const aliases = await all(db, 'SELECT alias FROM predictor_aliases WHERE predictor_id = ? ORDER BY id', [predictor.id]);
+    return { ...predictor, aliases: aliases.map(row => row.alias) };
+  }
+
+  async function uniqueSlug(name) {
+    const base = slugify(name);
+    let slug = base;
+    const taken = candidate => get(db,
+      'SELECT slug FROM predictors WHERE slug = ? UNION SELECT slug FROM predictor_redirects WHERE slug = ?',
+      [candidate, candidate]);
+    for (let n = 2; await taken(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    return slug;
+  }
+
+  async function findByName(name) {
+    return get(db,
+      `SELECT predictors.* FROM predictor_aliases
+       JOIN predictors ON predictors.id = predictor_aliases.predictor_id
+       WHERE predictor_aliases.normalized = ?`,
+      [normalizeName(name)]);
+  }
+
+  async function findById(id) {
+    return withAliases(await get(db, 'SELECT * FROM predictors WHERE id = ?', [id]));
+  }
+
+  // The predictor by its slug, or by the slug of a predictor merged into it
+  async function findBySlug(slug) {
+    return withAliases(await get(db,
+      `SELECT * FROM predictors WHERE slug = ?
+       UNION ALL
+       SELECT predictors.* FROM predictor_redirects JOIN predictors ON predictors.id = predictor_redirects.predictor_id
+       WHERE predictor_redirects.slug = ?
+       LIMIT 1`,
+      [slug, slug]));
+  }
+
+  // Add an alias unless that spelling already points at a predictor
+  async function addAlias(predictorId, alias) {
+    const cleaned = validateName(alias);
+    if (!cleaned) {
+      return;
+    }
+    const existing = await findByName(cleaned);
+    if (existing && existing.id !== predictorId) {
+      throw Object.assign(new Error(`'${cleaned}' is already used by predictor ${existing.slug}`), { status: 409 });
+    }
+    await run(db, 'INSERT OR IGNORE INTO predictor_aliases (predictor_id, alias, normalized) VALUES (?, ?, ?)',
+      [predictorId, cleaned, normalizeName(cleaned)]);
+  }
+
+  async function create({ display_name: displayName, aliases = [], ...rest }) {
+    const name = validateName(displayName);
+    if (!name) {
+      throw badRequest('display_name is required');
+    }
+    const existing = await findByName(name);
+    if (existing) {
+      throw Object.assign(new Error(`A predictor named '${name}' already exists (${existing.slug})`), { status: 409, predictor: existing });
+    }
+    const links = cleanLinks(rest);
+    const { lastID } = await run(db,
+      'INSERT INTO predictors (slug, display_name, x_handle, nostr_npub, website) VALUES (?, ?, ?, ?, ?)',
+      [await uniqueSlug(name), name, links.x_handle || null, links.nostr_npub || null, links.website || null]);
+    await addAlias(lastID, name);
+    for (const alias of aliases) {
+      await addAlias(lastID, alias);
+    }
+    return findById(lastID);
+  }
+
+  // Predictor for a submitted name, created on first use
+  async function findOrCreateByName(name) {
+    const existing = await findByName(name);
+    if (existing) {
+      return existing;
+    }
+    return create({ display_name: name });
+  }
+
+  async function update(id, body) {
+    const predictor = await findById(id);
+    if (!predictor) {
+      return null;
+    }
+    const links = cleanLinks(body);
+    const displayName = body.display_name ? validateName(body.display_name) : predictor.display_name;
+    const fields = { ...links, display_name: displayName };
+    const columns = Object.keys(fields);
+    await run(db,
+      `UPDATE predictors SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => fields[column]), id]);
+    await addAlias(id, displayName);
+    for (const alias of body.aliases || []) {
+      await addAlias(id, alias);
+    }
+    return findById(id);
+  }
+
+  async function search(q, { limit = 20 } = {}) {
+    const pattern = `%${normalizeName(q || '')}%`;
+    return all(db,
+      `SELECT predictors.*, COUNT(DISTINCT predictions.id) AS prediction_count
+       FROM predictors
+       LEFT JOIN predictions ON predictions.predictor_id = predictors.id
+       WHERE predictors.id IN (
+         SELECT predictor_id FROM predictor_aliases WHERE normalized LIKE ?
+       ) OR predictors.slug LIKE ?
+       GROUP BY predictors.id
+       ORDER BY prediction_count DESC, predictors.display_name
+       LIMIT ?`,
+      [pattern, pattern, limit]);
+  }
+
+  // Fold the `sourceIds` predictors into `targetId`: their predictions,
+  // aliases and slugs move over and the source predictors are deleted. The
+  // statements run as one batch on the shared connection (see transaction in
+  // lib/db.js), so they take ids inlined rather than as parameters.
+  async function merge(targetId, sourceIds) {
+    const target = await findById(targetId);
+    if (!target) {
+      throw Object.assign(new Error('Target predictor not found'), { status: 404 });
+    }
+    const sources = [...new Set(sourceIds.map(Number))].filter(id => Number.isInteger(id) && id > 0 && id !== target.id);
+    if (!sources.length) {
+      throw badRequest('Provide at least one other predictor id to merge');
+    }
+
+    const ids = sources.join(', ');
+    const { moved } = await get(db, `SELECT COUNT(*) AS moved FROM predictions WHERE predictor_id IN (${ids})`);
+    const { removed } = await get(db, `SELECT COUNT(*) AS removed FROM predictors WHERE id IN (${ids})`);
+    await transaction(db, [
+      `UPDATE predictions SET predictor_id = ${target.id} WHERE predictor_id IN (${ids})`,
+      `UPDATE predictor_aliases SET predictor_id = ${target.id} WHERE predictor_id IN (${ids})`,
+      `UPDATE predictor_redirects SET predictor_id = ${target.id} WHERE predictor_id IN (${ids})`,
+      `INSERT INTO predictor_redirects (slug, predictor_id) SELECT slug, ${target.id} FROM predictors WHERE id IN (${ids})`,
+      `DELETE FROM predictors WHERE id IN (${ids})`
+    ]);
+    return { predictor: await findById(target.id), moved, removed };
+  }
+
+  return {
+    findById,
+    findBySlug,
+    findByName,
+    findOrCreateByName,
+    create,
+    update,
+    search,
+    merge
+  };
+}
+
+function createPredictorsRouter({ db, auth, predictors }) {
+  const router = express.Router();
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error(`Predictor error (${label}):`, error.message);
+      const body = { error: error.message };
+      if (error.predictor) {
+        body.predictor = error.predictor;
+      }
+      res.status(error.status || 500).json(body);
+    }
+  };
+
+  router.get('/', handle('search', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    res.json(await predictors.search(req.query.q, { limit }));
+  }));
+
+  router.get('/:slug', handle('get', async (req, res) => {
+    const predictor = await predictors.findBySlug(req.params.slug);
+    if (!predictor) {
+      res.status(404).json({ error: 'Predictor not found' });
+      return;
+    }
+    res.json(predictor);
+  }));
+
+  router.post('/', auth.requireUser, handle('create', async (req, res) => {
+    const predictor = await predictors.create(req.body);
+    console.log('Created predictor:', predictor.slug);
+    res.status(201).json(predictor);
+  }));
+
+  router.put('/:id', auth.requireRole('admin'), handle('update', async (req, res) => {
+    const predictor = await predictors.update(req.params.id, req.body);
+    if (!predictor) {
+      res.status(404).json({ error: 'Predictor not found' });
+      return;
+    }
+    await recordAudit(db, req.user, 'update_predictor', 'predictor', predictor.id, req.body);
+    res.json(predictor);
+  }));
+
+  // Body: { from: [predictor ids] } merged into :id
+  router.post('/:id/merge', auth.requireRole('admin'), handle('merge', async (req, res) => {
+    const from = Array.isArray(req.body.from) ? req.body.from : [];
+    const result = await predictors.merge(Number(req.params.id), from);
+    await recordAudit(db, req.user, 'merge_predictors', 'predictor', result.predictor.id,
+      { from, moved: result.moved });
+    res.json(result);
+  }));
+
+  return router;
+}
+
+module.exports = {
+  normalizeName,
+  slugify,
+  createPredictorService,
+  createPredictorsRouter
+};
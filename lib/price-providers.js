@@ -0,0 +1,310 @@
+// Price providers
+//
+// Every provider exposes the same interface, where `market` is an
+// { asset, quote } pair from lib/assets.js (BTC/USD when omitted):
+//   name                             - short identifier used in PRICE_PROVIDERS
+//   getCurrentPrice(market)          - latest spot price
+//   getHistoricalPrice(date, market) - daily price for a 'YYYY-MM-DD' date,
+//                                      or { price, high, low } when the
+//                                      provider also knows the day's range
+//   getPriceAt(timestamp, market)    - price at an instant (epoch ms), from
+//                                      the nearest data point the provider has
+// A provider that doesn't cover a market throws like any other failure.
+//
+// createPriceService() wraps a list of providers and falls back to the next
+// one whenever a provider throws, so a single API outage doesn't break
+// prediction submission or scoring.
+const fs = require('fs');
+const path = require('path');
+const defaultFetch = require('node-fetch');
+const { ASSETS, DEFAULT_MARKET, marketKey } = require('./assets');
+
+const DEFAULT_PROVIDER_ORDER = ['coingecko', 'coinbase', 'local'];
+
+// Turn a 'YYYY-MM-DD' string into a Date at 00:00 UTC, rejecting anything else
+function parseDay(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error(`Invalid date '${date}', expected YYYY-MM-DD`);
+  }
+  const dateObj = new Date(`${date}T00:00:00Z`);
+  if (isNaN(dateObj.getTime())) {
+    throw new Error(`Invalid date '${date}'`);
+  }
+  return dateObj;
+}
+
+// The [time, value] point closest to `timestamp`
+function nearestPoint(points, timestamp) {
+  return points.reduce((best, point) =>
+    (Math.abs(point[0] - timestamp) < Math.abs(best[0] - timestamp) ? point : best));
+}
+
+async function fetchJson(fetch, url, options = {}) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${url} returned ${response.status} ${response.statusText}: ${errorText}`);
+  }
+  return response.json();
+}
+
+function createCoinGeckoProvider({ fetch = defaultFetch, apiKey = process.env.COINGECKO_API_KEY } = {}) {
+  const baseUrl = 'https://api.coingecko.com/api/v3';
+  const options = {
+    headers: {
+      'x-cg-pro-api-key': apiKey || ''
+    }
+  };
+
+  function coinUrl(market) {
+    const asset = ASSETS[market.asset];
+    if (!asset || !asset.coingeckoId) {
+      throw new Error(`CoinGecko has no coin for ${marketKey(market)}`);
+    }
+    return `${baseUrl}/coins/${asset.coingeckoId}`;
+  }
+
+  return {
+    name: 'coingecko',
+
+    async getCurrentPrice(market = DEFAULT_MARKET) {
+      // Dominance comes from the global market data, there is no history for it
+      if (market.asset === 'BTC.D') {
+        const data = await fetchJson(fetch, `${baseUrl}/global`, options);
+        if (!data.data || !data.data.market_cap_percentage || !data.data.market_cap_percentage.btc) {
+          throw new Error('Unexpected data format from CoinGecko (bitcoin dominance)');
+        }
+        return data.data.market_cap_percentage.btc;
+      }
+      const data = await fetchJson(fetch, `${coinUrl(market)}/market_chart?vs_currency=${market.quote.toLowerCase()}&days=1`, options);
+      if (!data.prices || !data.prices.length) {
+        throw new Error('Unexpected data format from CoinGecko (current price)');
+      }
+      // Points are ordered oldest first, so the last one is the most recent
+      return data.prices[data.prices.length - 1][1];
+    },
+
+    async getHistoricalPrice(date, market = DEFAULT_MARKET) {
+      parseDay(date);
+      const [year, month, day] = date.split('-');
+      const data = await fetchJson(fetch, `${coinUrl(market)}/history?date=${day}-${month}-${year}`, options);
+      const quote = market.quote.toLowerCase();
+      if (!data.market_data || !data.market_data.current_price || !data.market_data.current_price[quote]) {
+        throw new Error('Unexpected data format from CoinGecko (historical price)');
+      }
+      return data.market_data.current_price[quote];
+    },
+
+    // A one-day range around the instant comes back hourly (5-minutely
+    // close to now)
+    async getPriceAt(timestamp, market = DEFAULT_MARKET) {
+      const seconds = Math.floor(timestamp / 1000);
+      const url = `${coinUrl(market)}/market_chart/range?vs_currency=${market.quote.toLowerCase()}`
+        + `&from=${seconds - 12 * 60 * 60}&to=${seconds + 12 * 60 * 60}`;
+      const data = await fetchJson(fetch, url, options);
+      if (!data.prices || !data.prices.length) {
+        throw new Error('Unexpected data format from CoinGecko (price range)');
+      }
+      return nearestPoint(data.prices, timestamp)[1];
+    }
+  };
+}
+
+// Coinbase Exchange public API, no key required. Candles are
+// [time, low, high, open, close, volume] with time in epoch seconds.
+function createCoinbaseProvider({ fetch = defaultFetch } = {}) {
+  const baseUrl = 'https://api.exchange.coinbase.com/products';
+  const options = {
+    headers: {
+      'User-Agent': 'philify',
+      'Accept': 'application/json'
+    }
+  };
+
+  // Products are named like BTC-EUR; Coinbase has no dominance index
+  function productUrl(market) {
+    if (!ASSETS[market.asset] || ASSETS[market.asset].index) {
+      throw new Error(`Coinbase has no product for ${marketKey(market)}`);
+    }
+    return `${baseUrl}/${market.asset}-${market.quote}`;
+  }
+
+  return {
+    name: 'coinbase',
+
+    async getCurrentPrice(market = DEFAULT_MARKET) {
+      const data = await fetchJson(fetch, `${productUrl(market)}/ticker`, options);
+      const price = parseFloat(data.price);
+      if (!price) {
+        throw new Error('Unexpected data format from Coinbase (current price)');
+      }
+      return price;
+    },
+
+    async getHistoricalPrice(date, market = DEFAULT_MARKET) {
+      const start = parseDay(date);
+      const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+      const url = `${productUrl(market)}/candles?granularity=86400&start=${start.toISOString()}&end=${end.toISOString()}`;
+      const candles = await fetchJson(fetch, url, options);
+      const candle = Array.isArray(candles)
+        && candles.find(c => c[0] === start.getTime() / 1000);
+      if (!candle) {
+        throw new Error(`No Coinbase candle for ${date}`);
+      }
+      return { price: candle[4], high: candle[2], low: candle[1] };
+    },
+
+    // One-minute candles around the instant; a candle closes 60s after it opens
+    async getPriceAt(timestamp, market = DEFAULT_MARKET) {
+      const start = new Date(timestamp - 10 * 60 * 1000);
+      const end = new Date(timestamp + 10 * 60 * 1000);
+      const url = `${productUrl(market)}/candles?granularity=60&start=${start.toISOString()}&end=${end.toISOString()}`;
+      const candles = await fetchJson(fetch, url, options);
+      if (!Array.isArray(candles) || !candles.length) {
+        throw new Error(`No Coinbase candles around ${new Date(timestamp).toISOString()}`);
+      }
+      return nearestPoint(candles.map(c => [(c[0] + 60) * 1000, c[4]]), timestamp)[1];
+    }
+  };
+}
+
+// Offline provider backed by CSV files with 'date,price' rows, optionally
+// followed by ',high,low' (a header row is optional). `file` holds BTC/USD;
+// other markets are read from prices-<ASSET>-<QUOTE>.csv next to it, e.g.
+// prices-ETH-EUR.csv. Useful for development without network access and for
+// re-scoring against a fixed price history.
+function createLocalProvider({ file = process.env.LOCAL_PRICE_FILE || 'prices.csv' } = {}) {
+  const defaultPath = path.resolve(file);
+  const cache = new Map();
+
+  function fileFor(market) {
+    if (market.asset === DEFAULT_MARKET.asset && market.quote === DEFAULT_MARKET.quote) {
+      return defaultPath;
+    }
+    return path.join(path.dirname(defaultPath), `prices-${market.asset}-${market.quote}.csv`);
+  }
+
+  function load(filePath) {
+    const stat = fs.statSync(filePath);
+    const cached = cache.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+      return cached.prices;
+    }
+
+    const prices = new Map();
+    fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach(line => {
+      const [date, price, high, low] = line.split(',').map(field => field && field.trim());
+      const value = parseFloat(price);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(date) && value > 0) {
+        const range = { high: parseFloat(high), low: parseFloat(low) };
+        prices.set(date, range.high > 0 && range.low > 0 ? { price: value, ...range } : value);
+      }
+    });
+    cache.set(filePath, { mtimeMs: stat.mtimeMs, prices });
+    return prices;
+  }
+
+  return {
+    name: 'local',
+
+    async getCurrentPrice(market = DEFAULT_MARKET) {
+      const filePath = fileFor(market);
+      const prices = load(filePath);
+      if (!prices.size) {
+        throw new Error(`No prices in ${filePath}`);
+      }
+      const latest = prices.get([...prices.keys()].sort().pop());
+      return typeof latest === 'number' ? latest : latest.price;
+    },
+
+    async getHistoricalPrice(date, market = DEFAULT_MARKET) {
+      parseDay(date);
+      const filePath = fileFor(market);
+      const price = load(filePath).get(date);
+      if (price === undefined) {
+        throw new Error(`No local price for ${date} in ${filePath}`);
+      }
+      return price;
+    },
+
+    // Files only hold daily prices, so the instant's UTC day is the nearest
+    async getPriceAt(timestamp, market = DEFAULT_MARKET) {
+      const day = await this.getHistoricalPrice(new Date(timestamp).toISOString().split('T')[0], market);
+      return typeof day === 'number' ? day : day.price;
+    }
+  };
+}
+
+const providerFactories = {
+  coingecko: createCoinGeckoProvider,
+  coinbase: createCoinbaseProvider,
+  local: createLocalProvider
+};
+
+function parseProviderOrder(value) {
+  if (!value) {
+    return DEFAULT_PROVIDER_ORDER;
+  }
+  return value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+// Build a price service that tries each provider in order. `providers` may be
+// a list of names (see providerFactories) or ready-made provider objects.
+function createPriceService({ providers = parseProviderOrder(process.env.PRICE_PROVIDERS), fetch } = {}) {
+  const chain = providers.map(provider => {
+    if (typeof provider !== 'string') {
+      return provider;
+    }
+    const factory = providerFactories[provider];
+    if (!factory) {
+      throw new Error(`Unknown price provider '${provider}'`);
+    }
+    return factory(fetch ? { fetch } : {});
+  });
+
+  if (!chain.length) {
+    throw new Error('At least one price provider is required');
+  }
+
+  async function tryEach(method, args, label) {
+    const failures = [];
+    for (const provider of chain) {
+      try {
+        const answer = await provider[method](...args);
+        const quote = typeof answer === 'number' ? { price: answer } : answer;
+        console.log(`Price for ${label} from ${provider.name}: ${quote.price}`);
+        return { ...quote, source: provider.name };
+      } catch (error) {
+        console.error(`Price provider ${provider.name} failed for ${label}:`, error.message);
+        failures.push(`${provider.name}: ${error.message}`);
+      }
+    }
+    throw new Error(`All price providers failed for ${label} (${failures.join('; ')})`);
+  }
+
+  // The *Quote variants also report which provider answered, and historical
+  // quotes carry the day's high and low when the provider has them
+  const getCurrentQuote = (market = DEFAULT_MARKET) =>
+    tryEach('getCurrentPrice', [market], `current ${marketKey(market)} price`);
+  const getHistoricalQuote = (date, market = DEFAULT_MARKET) =>
+    tryEach('getHistoricalPrice', [date, market], `${marketKey(market)} on ${date}`);
+  const getQuoteAt = (timestamp, market = DEFAULT_MARKET) =>
+    tryEach('getPriceAt', [timestamp, market], `${marketKey(market)} at ${new Date(timestamp).toISOString()}`);
+
+  return {
+    providers: chain.map(provider => provider.name),
+    getCurrentQuote,
+    getHistoricalQuote,
+    getQuoteAt,
+    getCurrentPrice: async market => (await getCurrentQuote(market)).price,
+    getHistoricalPrice: async (date, market) => (await getHistoricalQuote(date, market)).price
+  };
+}
+
+module.exports = {
+  createPriceService,
+  createCoinGeckoProvider,
+  createCoinbaseProvider,
+  createLocalProvider,
+  parseProviderOrder
+};
@@ -0,0 +1,264 @@
+// Persistent price history backed by the prices table (created by
+// lib/migrations/010-add-markets.js), one series per market. Every method
+// takes an optional { asset, quote } market and defaults to BTC/USD.
+//
+// Daily rows (is_daily = 1) hold one price per settled UTC day, plus its high
+// and low when the provider reports them, and are written once, so
+// re-scoring always sees the same number. Intraday rows
+// (is_daily = 0) record "current" spot prices and are reused while fresh.
+// Providers are only called when the table has no usable row.
+//
+// Index markets (BTC.D) have no history at any provider, only a current
+// value, so recordIndexSnapshots() stores that value every hour as an
+// intraday row. When the providers can't answer for an index market, a
+// day's price is its last snapshot and an instant's price the nearest one
+// within SNAPSHOT_TOLERANCE.
+const { run, get, all } = require('./db');
+const { ASSETS, DEFAULT_MARKET, marketKey } = require('./assets');
+
+const CURRENT_PRICE_MAX_AGE = 5 * 60 * 1000; // 5 minutes
+const RESOLUTION_TOLERANCE = 5 * 60 * 1000; // 5 minutes
+const SNAPSHOT_TOLERANCE = 90 * 60 * 1000; // 90 minutes, snapshots are hourly
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function todayUTC() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const dateObj = new Date(`${date}T00:00:00Z`);
+  return new Date(dateObj.getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function isIndex(market) {
+  return Boolean(ASSETS[market.asset] && ASSETS[market.asset].index);
+}
+
+function createPriceStore(db, priceService) {
+  async function getStoredDay(date, market) {
+    return get(db,
+      'SELECT price, high, low FROM prices WHERE asset = ? AND quote_currency = ? AND date = ? AND is_daily = 1',
+      [market.asset, market.quote, date]);
+  }
+
+  async function saveDailyPrice(date, market, { price, high, low, source }) {
+    const timestamp = new Date(`${date}T00:00:00Z`).getTime();
+    await run(db,
+      `INSERT OR IGNORE INTO prices (asset, quote_currency, date, timestamp, price, high, low, source, is_daily)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+      [market.asset, market.quote, date, timestamp, price, high || null, low || null, source]);
+  }
+
+  // Price for a settled day. Reads the prices table first and only asks the
+  // providers (then stores the answer) when the day is missing.
+  async function getDailyPrice(date, market = DEFAULT_MARKET) {
+    const stored = await getStoredDay(date, market);
+    if (stored) {
+      console.log(`Using stored ${marketKey(market)} price for ${date}: ${stored.price}`);
+      return stored.price;
+    }
+
+    if (date >= todayUTC()) {
+      throw new Error(`${date} has not settled yet, no daily price available`);
+    }
+
+    let quote;
+    try {
+      quote = await priceService.getHistoricalQuote(date, market);
+    } catch (error) {
+      const snapshot = isIndex(market) && await get(db,
+        `SELECT price FROM prices WHERE asset = ? AND quote_currency = ? AND date = ? AND is_daily = 0
+         ORDER BY timestamp DESC LIMIT 1`,
+        [market.asset, market.quote, date]);
+      if (!snapshot) {
+        throw error;
+      }
+      quote = { price: snapshot.price, source: 'snapshot' };
+    }
+    await saveDailyPrice(date, market, quote);
+    return quote.price;
+  }
+
+  async function getCurrentPrice({ maxAge = CURRENT_PRICE_MAX_AGE, market = DEFAULT_MARKET } = {}) {
+    const now = Date.now();
+    const row = await get(db,
+      `SELECT price, timestamp FROM prices
+       WHERE asset = ? AND quote_currency = ? AND is_daily = 0 AND timestamp >= ?
+       ORDER BY timestamp DESC LIMIT 1`,
+      [market.asset, market.quote, now - maxAge]);
+    if (row) {
+      console.log(`Using stored current ${marketKey(market)} price from ${new Date(row.timestamp).toISOString()}: ${row.price}`);
+      return row.price;
+    }
+
+    const { price, source } = await priceService.getCurrentQuote(market);
+    await run(db,
+      `INSERT OR REPLACE INTO prices (asset, quote_currency, date, timestamp, price, source, is_daily)
+       VALUES (?, ?, ?, ?, ?, ?, 0)`,
+      [market.asset, market.quote, new Date(now).toISOString().split('T')[0], now, price, source]);
+    return price;
+  }
+
+  // The stored intraday price nearest to an instant (epoch ms) within
+  // RESOLUTION_TOLERANCE, null when there is none. Never calls the providers.
+  async function getStoredPriceAt(timestamp, market = DEFAULT_MARKET) {
+    const row = await get(db,
+      `SELECT price, timestamp FROM prices
+       WHERE asset = ? AND quote_currency = ? AND is_daily = 0 AND timestamp BETWEEN ? AND ?
+       ORDER BY ABS(timestamp - ?) LIMIT 1`,
+      [market.asset, market.quote, timestamp - RESOLUTION_TOLERANCE, timestamp + RESOLUTION_TOLERANCE, timestamp]);
+    if (!row) {
+      return null;
+    }
+    console.log(`Using stored ${marketKey(market)} price from ${new Date(row.timestamp).toISOString()}: ${row.price}`);
+    return row.price;
+  }
+
+  // Price at an instant (epoch ms), used to resolve predictions at their
+  // exact maturity. A stored intraday price within RESOLUTION_TOLERANCE is
+  // reused; otherwise the providers' nearest data point is stored under the
+  // instant itself, so re-scoring sees the same number.
+  async function getPriceAt(timestamp, market = DEFAULT_MARKET) {
+    if (timestamp > Date.now()) {
+      throw new Error(`${new Date(timestamp).toISOString()} is in the future, no price available`);
+    }
+    const stored = await getStoredPriceAt(timestamp, market);
+    if (stored !== null) {
+      return stored;
+    }
+
+    let quote;
+    try {
+      quote = await priceService.getQuoteAt(timestamp, market);
+    } catch (error) {
+      const snapshot = isIndex(market) && await get(db,
+        `SELECT price FROM prices
+         WHERE asset = ? AND quote_currency = ? AND is_daily = 0 AND timestamp BETWEEN ? AND ?
+         ORDER BY ABS(timestamp - ?) LIMIT 1`,
+        [market.asset, market.quote, timestamp - SNAPSHOT_TOLERANCE, timestamp + SNAPSHOT_TOLERANCE, timestamp]);
+      if (!snapshot) {
+        throw error;
+      }
+      quote = { price: snapshot.price, source: 'snapshot' };
+    }
+    await run(db,
+      `INSERT OR REPLACE INTO prices (asset, quote_currency, date, timestamp, price, source, is_daily)
+       VALUES (?, ?, ?, ?, ?, ?, 0)`,
+      [market.asset, market.quote, new Date(timestamp).toISOString().split('T')[0], timestamp, quote.price, quote.source]);
+    return quote.price;
+  }
+
+  // Price when a prediction was announced: the current price if that was
+  // just now, otherwise the price at that instant as for maturities
+  async function getPriceAsOf(timestamp, market = DEFAULT_MARKET) {
+    if (Date.now() - timestamp <= CURRENT_PRICE_MAX_AGE) {
+      return getCurrentPrice({ market });
+    }
+    return getPriceAt(timestamp, market);
+  }
+
+  // { date, price, high, low } for every day from `from` to `to`, filling
+  // missing settled days from the providers. Days stored without a range use
+  // their price for both ends, and today uses the spot prices seen so far.
+  async function getPriceWindow(from, to, market = DEFAULT_MARKET) {
+    const today = todayUTC();
+    const window = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      if (date >= today) {
+        const price = await getCurrentPrice({ market });
+        const seen = await get(db,
+          `SELECT MAX(price) AS high, MIN(price) AS low FROM prices
+           WHERE asset = ? AND quote_currency = ? AND date = ? AND is_daily = 0`,
+          [market.asset, market.quote, today]);
+        window.push({ date: today, price, high: Math.max(price, seen.high || price), low: Math.min(price, seen.low || price) });
+        break;
+      }
+      await getDailyPrice(date, market);
+      const row = await getStoredDay(date, market);
+      window.push({ date, price: row.price, high: row.high || row.price, low: row.low || row.price });
+    }
+    return window;
+  }
+
+  // { date, price } for the stored days from `from` to `to`, without asking
+  // the providers for missing ones. Today is the latest spot price seen.
+  async function getStoredHistory(from, to, market = DEFAULT_MARKET) {
+    const rows = await all(db,
+      `SELECT date, price FROM prices
+       WHERE asset = ? AND quote_currency = ? AND date >= ? AND date <= ? AND is_daily = 1
+       ORDER BY date`,
+      [market.asset, market.quote, from, to]);
+    const today = todayUTC();
+    if (today >= from && today <= to && !rows.some(row => row.date === today)) {
+      const spot = await get(db,
+        `SELECT price FROM prices WHERE asset = ? AND quote_currency = ? AND date = ? AND is_daily = 0
+         ORDER BY timestamp DESC LIMIT 1`,
+        [market.asset, market.quote, today]);
+      if (spot) {
+        rows.push({ date: today, price: spot.price });
+      }
+    }
+    return rows;
+  }
+
+  // Store the current value of every index market, the only history they
+  // get. Resolves with the number of markets recorded.
+  async function recordIndexSnapshots() {
+    let recorded = 0;
+    for (const [asset, { index, quotes }] of Object.entries(ASSETS)) {
+      for (const quote of index ? quotes : []) {
+        try {
+          await getCurrentPrice({ market: { asset, quote } });
+          recorded++;
+        } catch (error) {
+          console.error(`Error recording a ${asset}/${quote} snapshot:`, error.message);
+        }
+      }
+    }
+    return recorded;
+  }
+
+  // Fill every missing settled day between `from` and `to` (inclusive).
+  // `delay` spaces out provider calls to stay under API rate limits.
+  async function backfill(from, to, { delay = 0, market = DEFAULT_MARKET } = {}) {
+    const lastSettled = addDays(todayUTC(), -1);
+    const end = to < lastSettled ? to : lastSettled;
+    const result = { stored: 0, skipped: 0, failed: [] };
+
+    for (let date = from; date <= end; date = addDays(date, 1)) {
+      if (await getStoredDay(date, market)) {
+        result.skipped++;
+        continue;
+      }
+      try {
+        await getDailyPrice(date, market);
+        result.stored++;
+      } catch (error) {
+        console.error(`Backfill failed for ${date}:`, error.message);
+        result.failed.push(date);
+      }
+      if (delay) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+    return result;
+  }
+
+  return {
+    getDailyPrice,
+    getCurrentPrice,
+    getStoredPriceAt,
+    getPriceAt,
+    getPriceAsOf,
+    getPriceWindow,
+    getStoredHistory,
+    recordIndexSnapshots,
+    backfill
+  };
+}
+
+module.exports = {
+  createPriceStore,
+  todayUTC,
+  addDays
+};
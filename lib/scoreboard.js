@@ -0,0 +1,297 @@
+// Server-side scoreboard, mounted at /api/scoreboard.
+//
+// Ranking methods:
+//   mean      - plain average of a predictor's scores
+//   bayesian  - average shrunk towards the overall mean, as if every predictor
+//               also had `prior_weight` predictions scoring exactly that mean;
+//               one lucky prediction no longer tops the board
+//   recency   - average weighted by 0.5^(age / half_life_days), where age is
+//               the number of days since the prediction matured
+// Predictors with fewer than `min_predictions` scored predictions are left out.
+// `asset` and `quote_currency` restrict the board to one market's predictions.
+//
+// The standard configuration of each method is snapshotted into
+// scoreboard_snapshots (one snapshot per day, refreshed hourly) so responses
+// can include rank movement since the previous day. Boards filtered to a
+// market are not snapshotted and have no movement.
+//
+// With `baselines` (see lib/baselines.js) responses also list the baseline
+// predictors under `baselines`, scored by the same method as if they were on
+// the board but without a rank, so they never move anyone's rank.
+const express = require('express');
+const { run, all } = require('./db');
+const { todayUTC } = require('./price-store');
+const { ASSETS } = require('./assets');
+
+const METHODS = ['mean', 'bayesian', 'recency'];
+const DEFAULTS = {
+  method: 'mean',
+  prior_weight: 5,
+  half_life_days: 365,
+  min_predictions: 1
+};
+const MAX_PAGE_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseOptions(query = {}) {
+  const method = query.method || DEFAULTS.method;
+  if (!METHODS.includes(method)) {
+    throw badRequest(`Unknown ranking method '${method}', use one of: ${METHODS.join(', ')}`);
+  }
+  const number = (name, min) => {
+    if (query[name] === undefined || query[name] === '') {
+      return DEFAULTS[name];
+    }
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < min) {
+      throw badRequest(`${name} must be a number >= ${min}`);
+    }
+    return value;
+  };
+  const asset = query.asset ? String(query.asset).toUpperCase() : null;
+  if (asset && !ASSETS[asset]) {
+    throw badRequest(`Unknown asset '${asset}', use one of: ${Object.keys(ASSETS).join(', ')}`);
+  }
+  return {
+    method,
+    prior_weight: number('prior_weight', 0),
+    half_life_days: number('half_life_days', 1),
+    min_predictions: Math.floor(number('min_predictions', 1)),
+    asset,
+    quote_currency: query.quote_currency ? String(query.quote_currency).toUpperCase() : null
+  };
+}
+
+// Identifies a ranking configuration; only the parameters a method uses count
+function methodKey(options) {
+  const parts = [options.method];
+  if (options.method === 'bayesian') {
+    parts.push(`prior=${options.prior_weight}`);
+  }
+  if (options.method === 'recency') {
+    parts.push(`half_life=${options.half_life_days}`);
+  }
+  parts.push(`min=${options.min_predictions}`);
+  if (options.asset) {
+    parts.push(`asset=${options.asset}`);
+  }
+  if (options.quote_currency) {
+    parts.push(`quote=${options.quote_currency}`);
+  }
+  return parts.join(':');
+}
+
+const STANDARD_KEYS = new Set(METHODS.map(method => methodKey({ ...DEFAULTS, method })));
+
+// rows: scored predictions with predictor_id, predictor_name, predictor_slug, score, date
+function rankPredictors(rows, options, today = todayUTC()) {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row.predictor_id)) {
+      groups.set(row.predictor_id, {
+        predictor_id: row.predictor_id,
+        slug: row.predictor_slug,
+        name: row.predictor_name,
+        scores: []
+      });
+    }
+    groups.get(row.predictor_id).scores.push(row);
+  });
+
+  const allScores = rows.map(row => row.score);
+  const globalMean = allScores.length ? allScores.reduce((sum, s) => sum + s, 0) / allScores.length : 0;
+  const todayMs = new Date(`${today}T00:00:00Z`).getTime();
+
+  const ranked = [...groups.values()]
+    .filter(group => group.scores.length >= options.min_predictions)
+    .map(group => {
+      const count = group.scores.length;
+      const mean = group.scores.reduce((sum, row) => sum + row.score, 0) / count;
+      let rankingScore = mean;
+
+      if (options.method === 'bayesian') {
+        rankingScore = (count * mean + options.prior_weight * globalMean) / (count + options.prior_weight);
+      } else if (options.method === 'recency') {
+        let weightSum = 0;
+        let weighted = 0;
+        group.scores.forEach(row => {
+          const ageDays = Math.max(0, (todayMs - new Date(`${row.date}T00:00:00Z`).getTime()) / DAY_MS);
+          const weight = Math.pow(0.5, ageDays / options.half_life_days);
+          weightSum += weight;
+          weighted += weight * row.score;
+        });
+        rankingScore = weightSum > 0 ? weighted / weightSum : mean;
+      }
+
+      return {
+        predictor_id: group.predictor_id,
+        slug: group.slug,
+        name: group.name,
+        score: rankingScore,
+        average_score: mean,
+        scored_count: count
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.scored_count - a.scored_count || a.name.localeCompare(b.name));
+
+  ranked.forEach((entry, index) => {
+    entry.rank = index + 1;
+  });
+  return ranked;
+}
+
+function createScoreboard(db, { baselines = null } = {}) {
+  async function loadScoredPredictions({ asset, quote_currency: quote } = {}) {
+    const clauses = ['predictions.score IS NOT NULL', 'predictions.hidden_at IS NULL'];
+    const params = [];
+    if (asset) {
+      clauses.push('predictions.asset = ?');
+      params.push(asset);
+    }
+    if (quote) {
+      clauses.push('predictions.quote_currency = ?');
+      params.push(quote);
+    }
+    return all(db,
+      `SELECT predictions.predictor_id, predictions.score, predictions.date,
+         predictors.display_name AS predictor_name, predictors.slug AS predictor_slug
+       FROM predictions
+       JOIN predictors ON predictors.id = predictions.predictor_id
+       WHERE ${clauses.join(' AND ')}`,
+      params);
+  }
+
+  // Replaces the snapshot for `date`. A single multi-row INSERT rather than a
+  // transaction, since the shared connection may already be inside one.
+  async function saveSnapshot(key, ranked, date = todayUTC()) {
+    await run(db, 'DELETE FROM scoreboard_snapshots WHERE date = ? AND method_key = ?', [date, key]);
+    if (!ranked.length) {
+      return;
+    }
+    await run(db,
+      `INSERT INTO scoreboard_snapshots (date, method_key, predictor_id, rank, score) VALUES
+       ${ranked.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+      ranked.flatMap(entry => [date, key, entry.predictor_id, entry.rank, entry.score]));
+  }
+
+  // Ranks from the latest snapshot taken before `date`, or up to and
+  // including it with `inclusive`
+  async function previousRanks(key, date = todayUTC(), { inclusive = false } = {}) {
+    const rows = await all(db,
+      `SELECT predictor_id, rank FROM scoreboard_snapshots
+       WHERE method_key = ? AND date = (
+         SELECT MAX(date) FROM scoreboard_snapshots WHERE method_key = ? AND date ${inclusive ? '<=' : '<'} ?
+       )`,
+      [key, key, date]);
+    return rows.length ? new Map(rows.map(row => [row.predictor_id, row.rank])) : null;
+  }
+
+  async function getScoreboard(query = {}) {
+    const options = parseOptions(query);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    const key = methodKey(options);
+
+    const rows = await loadScoredPredictions(options);
+    const ranked = rankPredictors(rows, options);
+    const previous = STANDARD_KEYS.has(key) ? await previousRanks(key) : null;
+
+    const entries = ranked.slice(offset, offset + limit).map(entry => {
+      const previousRank = previous ? previous.get(entry.predictor_id) : undefined;
+      return {
+        ...entry,
+        previous_rank: previousRank === undefined ? null : previousRank,
+        // Positive means the predictor climbed since the previous day
+        movement: previousRank === undefined ? null : previousRank - entry.rank
+      };
+    });
+
+    // Ranked alongside everyone's scores, then only their own entries kept
+    let baselineEntries = [];
+    if (baselines) {
+      const baselineRows = await baselines.loadScoredRows(options);
+      const keys = new Map(baselineRows.map(row => [row.predictor_id, row.baseline]));
+      baselineEntries = rankPredictors([...rows, ...baselineRows], { ...options, min_predictions: 1 })
+        .filter(entry => keys.has(entry.predictor_id))
+        .map(entry => ({
+          baseline: keys.get(entry.predictor_id),
+          name: entry.name,
+          score: entry.score,
+          average_score: entry.average_score,
+          scored_count: entry.scored_count
+        }));
+    }
+
+    return {
+      ...options,
+      movement_available: Boolean(previous),
+      total: ranked.length,
+      limit,
+      offset,
+      entries,
+      baselines: baselineEntries
+    };
+  }
+
+  // Store today's ranking for every standard method. Resolves with what
+  // changed since the last snapshot, per method: { method, changes, leader }
+  // where changes lists predictors whose rank moved and leader is
+  // { previous, current } when someone new tops the board. Methods without
+  // an earlier snapshot report nothing.
+  async function snapshotStandardMethods() {
+    const rows = await loadScoredPredictions();
+    const report = [];
+    for (const method of METHODS) {
+      const options = { ...DEFAULTS, method };
+      const key = methodKey(options);
+      const ranked = rankPredictors(rows, options);
+      const before = await previousRanks(key, todayUTC(), { inclusive: true });
+      await saveSnapshot(key, ranked);
+      if (!before) {
+        continue;
+      }
+      const changes = ranked
+        .filter(entry => before.has(entry.predictor_id) && before.get(entry.predictor_id) !== entry.rank)
+        .map(entry => ({ ...entry, previous_rank: before.get(entry.predictor_id) }));
+      const previousLeader = [...before].find(([, rank]) => rank === 1);
+      let leader = null;
+      if (ranked[0] && (!previousLeader || previousLeader[0] !== ranked[0].predictor_id)) {
+        const previous = previousLeader
+          ? ranked.find(entry => entry.predictor_id === previousLeader[0]) || { predictor_id: previousLeader[0] }
+          : null;
+        leader = { previous, current: ranked[0] };
+      }
+      report.push({ method, changes, leader });
+    }
+    return report;
+  }
+
+  const router = express.Router();
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await getScoreboard(req.query));
+    } catch (error) {
+      console.error('Error building scoreboard:', error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return {
+    getScoreboard,
+    snapshotStandardMethods,
+    router
+  };
+}
+
+module.exports = {
+  METHODS,
+  DEFAULTS,
+  parseOptions,
+  methodKey,
+  rankPredictors,
+  createScoreboard
+};
@@ -0,0 +1,152 @@
+// Scoring models, registered by name and version.
+//
+// A model is { name, version, types, description, score(context) } where
+// `types` lists the prediction types it scores (default ['point']), context
+// is { prediction, actualPrice, today, matured, window } and score() returns
+// { score, terms }, or null while the prediction can't be settled yet.
+// `window` is only fetched for models with a priceWindow(prediction, today)
+// method returning the { from, to } days whose high and low they need.
+// `terms` holds the intermediate values (percentage error, horizon, bonuses)
+// and is stored next to every score in prediction_scores, so any score can be
+// explained and history can be re-scored under a new version while the old
+// rows are kept. predictions.score always mirrors the active row.
+const { run, all } = require('../db');
+const { todayUTC } = require('../price-store');
+const { marketOf } = require('../assets');
+const { maturityTime, isMatured } = require('../maturity');
+
+const models = new Map();
+
+function modelId(model) {
+  return `${model.name}@${model.version}`;
+}
+
+function registerModel(model) {
+  if (!model.name || !Number.isInteger(model.version) || typeof model.score !== 'function') {
+    throw new Error('A scoring model needs a name, an integer version and a score() function');
+  }
+  models.set(modelId(model), { types: ['point'], ...model });
+}
+
+// Accepts 'name@version' or a bare name for its latest version
+function getModel(id) {
+  if (models.has(id)) {
+    return models.get(id);
+  }
+  const candidates = [...models.values()].filter(model => model.name === id);
+  if (!candidates.length) {
+    throw new Error(`Unknown scoring model '${id}'`);
+  }
+  return candidates.sort((a, b) => b.version - a.version)[0];
+}
+
+// Model used for new scores, SCORING_MODEL=name@version (default philify@3)
+function getActiveModel() {
+  return getModel(process.env.SCORING_MODEL || 'philify@3');
+}
+
+// The active model scores the types it supports, the latest model that
+// supports a type scores the rest
+function getModelFor(type = 'point') {
+  const active = getActiveModel();
+  if (active.types.includes(type)) {
+    return active;
+  }
+  const candidates = [...models.values()].filter(model => model.types.includes(type));
+  if (!candidates.length) {
+    throw new Error(`No scoring model for '${type}' predictions`);
+  }
+  return candidates.sort((a, b) => b.version - a.version)[0];
+}
+
+function listModels() {
+  return [...models.values()].map(model => ({
+    id: modelId(model),
+    name: model.name,
+    version: model.version,
+    types: model.types,
+    description: model.description,
+    active: model.types.some(type => getModelFor(type) === model)
+  }));
+}
+
+registerModel(require('./philify-v1'));
+registerModel(require('./philify-v2'));
+registerModel(require('./philify-v3'));
+registerModel(require('./philify-target-v1'));
+registerModel(require('./philify-target-v2'));
+
+function createScorer({ db, priceStore }) {
+  // Fail at startup rather than on the first score if SCORING_MODEL is wrong
+  getActiveModel();
+
+  // Score a prediction under `model` (default: the active one for its type).
+  // Resolves with null while it can't be settled yet and throws when no
+  // price is available, callers decide whether that is fatal.
+  async function score(prediction, model = getModelFor(prediction.type)) {
+    const today = todayUTC();
+    const market = marketOf(prediction);
+    // The price at the exact maturity instant, or the live price before it
+    const matured = isMatured(prediction);
+    const actualPrice = matured
+      ? await priceStore.getPriceAt(maturityTime(prediction), market)
+      : await priceStore.getCurrentPrice({ market });
+    const range = model.priceWindow ? model.priceWindow(prediction, today) : null;
+    const window = range ? await priceStore.getPriceWindow(range.from, range.to, market) : null;
+    const result = model.score({ prediction, actualPrice, today, matured, window });
+    if (!result) {
+      console.log(`Prediction ${prediction.id || '(new)'} can't be settled yet`);
+      return null;
+    }
+    console.log(`Scored prediction ${prediction.id || '(new)'} with ${modelId(model)}: ${result.score.toFixed(2)}`);
+    return {
+      model: model.name,
+      model_version: model.version,
+      score: result.score,
+      actual_price: actualPrice,
+      terms: result.terms
+    };
+  }
+
+  // Store a score with its breakdown. With `activate` it becomes the
+  // prediction's current score and the prediction is marked completed.
+  async function record(predictionId, result, { activate = true } = {}) {
+    if (activate) {
+      await run(db, 'UPDATE prediction_scores SET is_active = 0 WHERE prediction_id = ?', [predictionId]);
+    }
+    await run(db,
+      `INSERT INTO prediction_scores
+         (prediction_id, model, model_version, score, actual_price, percentage_error, horizon_days, terms, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [predictionId, result.model, result.model_version, result.score, result.actual_price,
+        result.terms.percentage_error, result.terms.horizon_days, JSON.stringify(result.terms), activate ? 1 : 0]);
+    if (activate) {
+      await run(db,
+        "UPDATE predictions SET status = 'completed', score = ?, score_model = ? WHERE id = ?",
+        [result.score, `${result.model}@${result.model_version}`, predictionId]);
+    }
+  }
+
+  async function history(predictionId) {
+    const rows = await all(db,
+      'SELECT * FROM prediction_scores WHERE prediction_id = ? ORDER BY scored_at DESC, id DESC',
+      [predictionId]);
+    return rows.map(row => ({ ...row, is_active: Boolean(row.is_active), terms: row.terms ? JSON.parse(row.terms) : null }));
+  }
+
+  return {
+    score,
+    record,
+    history
+  };
+}
+
+module.exports = {
+  registerModel,
+  getModel,
+  getActiveModel,
+  getModelFor,
+  listModels,
+  modelId,
+  createScorer
+};
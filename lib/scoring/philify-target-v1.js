@@ -0,0 +1,107 @@
+// Hit/miss scoring for range and directional predictions.
+//
+// A hit scores its base score; a miss keeps at most half of it, losing a
+// further 2.5% of the base per percent the price ended up from the target,
+// so a miss by 20% or more scores 0. The base score rewards ambition:
+//   range        - 100 minus half the range's width as a percentage of its
+//                  midpoint, so "$0 to $1M" earns nothing
+//   above/below/ - 50 plus up to 50 more for how far the price had to move
+//   touch          from the price when the prediction was recorded (25% or
+//                  more earns the full 100)
+// range/above/below are judged on the price at the maturity instant. touch is tested
+// against every day's high (or low, for a target below the starting price)
+// from the day it was recorded until maturity, and settles as soon as it hits.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FULL_BOLDNESS_PERCENT = 25;
+const ZERO_SCORE_MISS_PERCENT = 20;
+
+function recordedOn(prediction) {
+  const recorded = (prediction.created_at || prediction.date).slice(0, 10);
+  return recorded < prediction.date ? recorded : prediction.date;
+}
+
+// Percentage move from the recorded price the prediction needed, 0 if none
+function boldness(prediction, direction) {
+  if (!prediction.current_price) {
+    return 0;
+  }
+  const move = (prediction.price - prediction.current_price) / prediction.current_price * 100;
+  return Math.max(0, direction === 'up' ? move : -move);
+}
+
+function directionalBase(boldnessPercent) {
+  return 50 + 50 * Math.min(1, boldnessPercent / FULL_BOLDNESS_PERCENT);
+}
+
+function missScore(base, distancePercent) {
+  return base * Math.max(0, 0.5 - distancePercent / ZERO_SCORE_MISS_PERCENT / 2);
+}
+
+function touchDirection(prediction) {
+  return prediction.current_price && prediction.price < prediction.current_price ? 'down' : 'up';
+}
+
+module.exports = {
+  name: 'philify-target',
+  version: 1,
+  types: ['range', 'above', 'below', 'touch'],
+  description: 'Hit/miss for range, above, below and touch predictions, with a distance penalty on misses and a bonus for bold targets',
+
+  // touch predictions need every day's high and low up to maturity or today
+  priceWindow(prediction, today) {
+    if (prediction.type !== 'touch') {
+      return null;
+    }
+    return { from: recordedOn(prediction), to: prediction.date < today ? prediction.date : today };
+  },
+
+  score({ prediction, actualPrice, matured, window }) {
+    const horizonDays = (new Date(prediction.date) - new Date(recordedOn(prediction))) / DAY_MS;
+    let hit;
+    let distance;
+    let base;
+    let terms;
+
+    if (prediction.type === 'range') {
+      const width = (prediction.price_high - prediction.price_low) / prediction.price * 100;
+      base = Math.max(0, 100 - width / 2);
+      hit = actualPrice >= prediction.price_low && actualPrice <= prediction.price_high;
+      const nearest = actualPrice < prediction.price_low ? prediction.price_low : prediction.price_high;
+      distance = hit ? 0 : Math.abs(actualPrice - nearest) / actualPrice * 100;
+      terms = { range_width_percent: width };
+    } else if (prediction.type === 'touch') {
+      const direction = touchDirection(prediction);
+      const extreme = direction === 'up'
+        ? Math.max(...window.map(day => day.high))
+        : Math.min(...window.map(day => day.low));
+      hit = direction === 'up' ? extreme >= prediction.price : extreme <= prediction.price;
+      if (!hit && !matured) {
+        return null; // can still hit before maturity
+      }
+      const boldnessPercent = boldness(prediction, direction);
+      base = directionalBase(boldnessPercent);
+      distance = hit ? 0 : Math.abs(prediction.price - extreme) / prediction.price * 100;
+      terms = { direction, boldness_percent: boldnessPercent, closest_price: extreme, window_days: window.length };
+    } else {
+      const direction = prediction.type === 'above' ? 'up' : 'down';
+      hit = direction === 'up' ? actualPrice >= prediction.price : actualPrice <= prediction.price;
+      const boldnessPercent = boldness(prediction, direction);
+      base = directionalBase(boldnessPercent);
+      distance = hit ? 0 : Math.abs(actualPrice - prediction.price) / actualPrice * 100;
+      terms = { direction, boldness_percent: boldnessPercent };
+    }
+
+    const score = hit ? base : missScore(base, distance);
+    return {
+      score: Math.max(0, Math.min(100, score)),
+      terms: {
+        type: prediction.type,
+        hit,
+        percentage_error: distance,
+        horizon_days: horizonDays,
+        base_score: base,
+        ...terms
+      }
+    };
+  }
+};
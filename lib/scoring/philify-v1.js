@@ -0,0 +1,38 @@
+// The original Philify formula. The "horizon" is the number of days between
+// the maturity date and the day the score is calculated, so a prediction
+// scored on time gets the full short-term bonus.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  name: 'philify',
+  version: 1,
+  description: 'Percentage error with a square-root time weight, short-term bonus and accuracy bonus, capped to 0-100',
+
+  score({ prediction, actualPrice, today }) {
+    const horizonDays = Math.max(0, (new Date(today) - new Date(prediction.date)) / DAY_MS);
+    const percentageError = Math.abs(prediction.price - actualPrice) / actualPrice * 100;
+
+    // Base time weight with exponential growth
+    const timeWeight = Math.pow(horizonDays + 1, 0.5) / Math.pow(365 + 1, 0.5);
+
+    // Short-term bonus (up to 0.7x for very short predictions)
+    const shortTermBonus = horizonDays <= 7 ? (7 - horizonDays) * 0.1 : 0;
+
+    // Accuracy bonus for short-term predictions
+    const accuracyBonus = horizonDays <= 7 && percentageError < 5 ? 20 : 0;
+
+    const rawScore = Math.max(0, 100 - percentageError) * (1 + timeWeight + shortTermBonus) + accuracyBonus;
+
+    return {
+      score: Math.max(0, Math.min(100, rawScore)),
+      terms: {
+        percentage_error: percentageError,
+        horizon_days: horizonDays,
+        time_weight: timeWeight,
+        short_term_bonus: shortTermBonus,
+        accuracy_bonus: accuracyBonus,
+        raw_score: rawScore
+      }
+    };
+  }
+};
@@ -0,0 +1,28 @@
+// The formula as described on about.html: the horizon runs from the day the
+// prediction was recorded to its maturity date and is weighted
+// logarithmically, with no separate bonuses.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  name: 'philify',
+  version: 2,
+  description: 'Percentage error with a logarithmic weight on the horizon from recording to maturity, capped to 0-100',
+
+  score({ prediction, actualPrice }) {
+    const recordedOn = (prediction.created_at || prediction.date).slice(0, 10);
+    const horizonDays = Math.max(0, (new Date(prediction.date) - new Date(recordedOn)) / DAY_MS);
+    const percentageError = Math.abs(prediction.price - actualPrice) / actualPrice * 100;
+    const timeWeight = Math.log(horizonDays + 1) / Math.log(366);
+    const rawScore = Math.max(0, 100 - percentageError) * (1 + timeWeight);
+
+    return {
+      score: Math.max(0, Math.min(100, rawScore)),
+      terms: {
+        percentage_error: percentageError,
+        horizon_days: horizonDays,
+        time_weight: timeWeight,
+        raw_score: rawScore
+      }
+    };
+  }
+};
@@ -0,0 +1,34 @@
+// The original formula (philify@1) with its horizon fixed: days run from the
+// day the prediction was announced to its maturity date, instead of from the
+// maturity date to the day it happens to be scored. A call made a year out
+// earns the long-horizon weight, and the short-term bonuses only go to
+// predictions that really were short-term.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  name: 'philify',
+  version: 3,
+  description: 'philify@1 with the horizon measured from the announcement to maturity',
+
+  score({ prediction, actualPrice }) {
+    const announcedOn = (prediction.announced_at || prediction.created_at || prediction.date).slice(0, 10);
+    const horizonDays = Math.max(0, (new Date(prediction.date) - new Date(announcedOn)) / DAY_MS);
+    const percentageError = Math.abs(prediction.price - actualPrice) / actualPrice * 100;
+    const timeWeight = Math.pow(horizonDays + 1, 0.5) / Math.pow(365 + 1, 0.5);
+    const shortTermBonus = horizonDays <= 7 ? (7 - horizonDays) * 0.1 : 0;
+    const accuracyBonus = horizonDays <= 7 && percentageError < 5 ? 20 : 0;
+    const rawScore = Math.max(0, 100 - percentageError) * (1 + timeWeight + shortTermBonus) + accuracyBonus;
+
+    return {
+      score: Math.max(0, Math.min(100, rawScore)),
+      terms: {
+        percentage_error: percentageError,
+        horizon_days: horizonDays,
+        time_weight: timeWeight,
+        short_term_bonus: shortTermBonus,
+        accuracy_bonus: accuracyBonus,
+        raw_score: rawScore
+      }
+    };
+  }
+};
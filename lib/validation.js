@@ -0,0 +1,130 @@
+// Sanity checks on submitted predictions beyond what parsing needs, shared
+// by POST/PUT /api/predictions and the bulk import:
+//
+//   - targets within MAX_PRICE_MULTIPLE of the price when the prediction was
+//     announced, either way, and percentages (BTC.D) no higher than 100
+//   - announced no earlier than GENESIS and maturing within MAX_YEARS_AHEAD
+//   - a source, when given, that is an http(s) URL of sane length, stored in
+//     its normalized form so it is always safe to put in an href
+//   - a predictor name of sane length without control characters or markup
+//
+// Each check throws a 400 error with the problem in plain words.
+const GENESIS = '2009-01-03T00:00:00Z';
+const MAX_YEARS_AHEAD = 50;
+const MAX_PRICE_MULTIPLE = 1000;
+const MAX_SOURCE_LENGTH = 2048;
+const MAX_NAME_LENGTH = 100;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Query parameters that only track where a link was shared
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|igshid|si|s|t|ref|ref_src|ref_url|feature)$/i;
+// Hosts that serve the same posts under another name
+const HOST_ALIASES = { 'twitter.com': 'x.com', 'mobile.twitter.com': 'x.com', 'mobile.x.com': 'x.com', 'm.youtube.com': 'youtube.com', 'youtu.be': 'youtube.com' };
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function validateName(name) {
+  const cleaned = String(name || '').trim().replace(/\s+/g, ' ');
+  if (/[\u0000-\u001f\u007f]/.test(cleaned)) {
+    throw badRequest('name must not contain control characters');
+  }
+  if (/[<>]/.test(cleaned)) {
+    throw badRequest('name must not contain < or >');
+  }
+  if (cleaned.length > MAX_NAME_LENGTH) {
+    throw badRequest(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return cleaned;
+}
+
+// The source as a normalized URL (quotes and the like percent-encoded), or
+// null when none was given
+function validateSource(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const source = String(value).trim();
+  let url;
+  try {
+    url = new URL(source);
+  } catch (error) {
+    throw badRequest('source must be an http:// or https:// URL');
+  }
+  if ((url.protocol !== 'http:' && url.protocol !== 'https:') || !url.hostname || /\s/.test(source)) {
+    throw badRequest('source must be an http:// or https:// URL');
+  }
+  if (url.username || url.password) {
+    throw badRequest('source must not contain a username or password');
+  }
+  if (url.href.length > MAX_SOURCE_LENGTH) {
+    throw badRequest(`source must be at most ${MAX_SOURCE_LENGTH} characters`);
+  }
+  return url.href;
+}
+
+// A source in a form that compares equal for the same page: no scheme,
+// www., fragment, tracking parameters or trailing slash, and one name per host
+function sourceKey(source) {
+  const url = new URL(source);
+  let host = url.hostname.toLowerCase().replace(/^www\./, '');
+  host = HOST_ALIASES[host] || host;
+  let path = url.pathname.replace(/\/+$/, '');
+  if (url.hostname.toLowerCase() === 'youtu.be' && path) {
+    url.searchParams.set('v', path.slice(1));
+    path = '/watch';
+  }
+  if (host === 'x.com') {
+    path = path.toLowerCase();
+  }
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+  return `${host}${path}${query}`;
+}
+
+function targetPrices(target) {
+  return target.type === 'range' ? [target.price_low, target.price_high] : [target.price];
+}
+
+// Checks that need no price lookup
+function validateTarget(target, market) {
+  if (market.quote_currency === 'PCT' && targetPrices(target).some(price => price > 100)) {
+    throw badRequest('A percentage target cannot be above 100');
+  }
+}
+
+// Targets in a believable range of the price when the prediction was made
+function validatePrice(target, referencePrice) {
+  if (!referencePrice) {
+    return;
+  }
+  const low = referencePrice / MAX_PRICE_MULTIPLE;
+  const high = referencePrice * MAX_PRICE_MULTIPLE;
+  if (targetPrices(target).some(price => price < low || price > high)) {
+    throw badRequest(`Target must be within ${MAX_PRICE_MULTIPLE}x of the price when it was announced (${referencePrice})`);
+  }
+}
+
+function validateDates({ announced_at: announcedAt, matures_at: maturesAt }, now = Date.now()) {
+  if (announcedAt && announcedAt < GENESIS) {
+    throw badRequest('announced_at is before Bitcoin existed');
+  }
+  if (Date.parse(maturesAt) > now + MAX_YEARS_AHEAD * YEAR_MS) {
+    throw badRequest(`Predictions can mature at most ${MAX_YEARS_AHEAD} years ahead`);
+  }
+}
+
+module.exports = {
+  GENESIS,
+  MAX_YEARS_AHEAD,
+  MAX_PRICE_MULTIPLE,
+  validateName,
+  validateSource,
+  sourceKey,
+  validateTarget,
+  validatePrice,
+  validateDates
+};
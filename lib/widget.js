@@ -0,0 +1,245 @@
+// Embeddable widgets for other sites, as plain server-rendered pages meant
+// for an iframe:
+//
+//   GET /embed/scoreboard       - the top `limit` (default 10) of the
+//                                 scoreboard, ranked by `method`, optionally
+//                                 for one `asset`
+//   GET /embed/predictor/:slug  - one predictor's record and their latest
+//                                 `limit` (default 5) predictions
+//
+// Both take theme=light|dark and size=small|medium|large. The pages post
+// their height to the parent window so the iframe can fit them.
+//
+// GET /embed.js is the script-tag variant: it replaces itself with the
+// iframe, taking the same options from data- attributes (data-predictor
+// picks the predictor widget) plus data-width and data-height, and resizes
+// the iframe as the page reports its height unless data-height is set.
+const express = require('express');
+const { describeTarget } = require('./prediction-types');
+
+const THEMES = {
+  light: { background: '#ffffff', text: '#222222', muted: '#666666', border: '#dddddd', accent: '#ff8c00', link: '#457b9d' },
+  dark: { background: '#1d1f21', text: '#eeeeee', muted: '#999999', border: '#3a3d41', accent: '#ff8c00', link: '#8ecae6' }
+};
+const SIZES = { small: 13, medium: 15, large: 18 };
+const MAX_LIMIT = 50;
+const CACHE_CONTROL = 'public, max-age=300';
+
+const EMBED_SCRIPT = `(function () {
+  var script = document.currentScript;
+  if (!script) {
+    return;
+  }
+  var origin = new URL(script.src).origin;
+  var data = script.dataset;
+  var path = data.predictor ? '/embed/predictor/' + encodeURIComponent(data.predictor) : '/embed/scoreboard';
+  var params = new URLSearchParams();
+  ['limit', 'theme', 'size', 'method', 'asset'].forEach(function (name) {
+    if (data[name]) {
+      params.set(name, data[name]);
+    }
+  });
+  var query = params.toString();
+  var iframe = document.createElement('iframe');
+  iframe.src = origin + path + (query ? '?' + query : '');
+  iframe.title = 'Philify';
+  iframe.loading = 'lazy';
+  iframe.style.border = '0';
+  iframe.style.width = data.width || '100%';
+  iframe.style.height = data.height || '400px';
+  script.parentNode.insertBefore(iframe, script.nextSibling);
+  if (!data.height) {
+    window.addEventListener('message', function (event) {
+      if (event.origin === origin && event.source === iframe.contentWindow &&
+          event.data && event.data.philify === 'resize') {
+        iframe.style.height = event.data.height + 'px';
+      }
+    });
+  }
+})();
+`;
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseWidgetOptions(query, defaultLimit) {
+  const theme = query.theme || 'light';
+  if (!THEMES[theme]) {
+    throw badRequest(`theme must be one of: ${Object.keys(THEMES).join(', ')}`);
+  }
+  const size = query.size || 'medium';
+  if (!SIZES[size]) {
+    throw badRequest(`size must be one of: ${Object.keys(SIZES).join(', ')}`);
+  }
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT);
+  return { theme, size, limit };
+}
+
+function formatScore(score) {
+  return score === null || score === undefined ? '-' : score.toFixed(1);
+}
+
+function page({ title, body, theme, size, baseUrl }) {
+  const colors = THEMES[theme];
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+    body {
+      margin: 0;
+      padding: 10px;
+      background: ${colors.background};
+      color: ${colors.text};
+      font: ${SIZES[size]}px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', helvetica, sans-serif;
+    }
+    h1 {
+      font-size: 1.15em;
+      margin: 0 0 0.5em;
+    }
+    h1 span {
+      color: ${colors.accent};
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th, td {
+      padding: 0.3em 0.4em;
+      border-bottom: 1px solid ${colors.border};
+      text-align: left;
+    }
+    th {
+      color: ${colors.muted};
+      font-weight: normal;
+    }
+    .number {
+      text-align: right;
+    }
+    .muted, footer {
+      color: ${colors.muted};
+    }
+    footer {
+      margin-top: 0.5em;
+      font-size: 0.85em;
+    }
+    a {
+      color: ${colors.link};
+      text-decoration: none;
+    }
+    </style>
+  </head>
+  <body>
+    ${body}
+    <footer><a href="${escapeHtml(baseUrl)}/" target="_blank" rel="noopener">Philify</a>: don't trust, verify.</footer>
+    <script>
+      function reportHeight() {
+        parent.postMessage({ philify: 'resize', height: document.documentElement.scrollHeight }, '*');
+      }
+      window.addEventListener('load', reportHeight);
+      window.addEventListener('resize', reportHeight);
+    </script>
+  </body>
+</html>
+`;
+}
+
+function renderScoreboardWidget(board, baseUrl) {
+  const rows = board.entries.map(entry => `
+      <tr>
+        <td>${entry.rank}</td>
+        <td><a href="${escapeHtml(baseUrl)}/predictor/${encodeURIComponent(entry.slug)}" target="_blank" rel="noopener">${escapeHtml(entry.name)}</a></td>
+        <td class="number">${formatScore(entry.score)}</td>
+        <td class="number muted">${entry.scored_count}</td>
+      </tr>`).join('');
+  return `
+    <h1><span>Philify</span> scoreboard${board.asset ? ` (${escapeHtml(board.asset)})` : ''}</h1>
+    <table>
+      <thead><tr><th>#</th><th>Predictor</th><th class="number">Score</th><th class="number">Scored</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="4" class="muted">Nothing scored yet</td></tr>'}
+      </tbody>
+    </table>`;
+}
+
+function renderPredictorWidget(profile, limit, baseUrl) {
+  const { predictor, stats } = profile;
+  const latest = profile.predictions.slice(0, limit).map(prediction => `
+      <tr>
+        <td>${escapeHtml(prediction.asset)} ${escapeHtml(describeTarget(prediction))}</td>
+        <td>${escapeHtml(prediction.matures_at.slice(0, 10))}</td>
+        <td class="number">${prediction.status === 'completed' ? formatScore(prediction.score) : '<span class="muted">pending</span>'}</td>
+      </tr>`).join('');
+  const hitRate = stats.hit_rate_10 === null ? '-' : `${Math.round(stats.hit_rate_10 * 100)}%`;
+  const bias = stats.bias_pct === null ? '-' : `${stats.bias_pct > 0 ? '+' : ''}${stats.bias_pct.toFixed(1)}%`;
+  return `
+    <h1><a href="${escapeHtml(baseUrl)}/predictor/${encodeURIComponent(predictor.slug)}" target="_blank" rel="noopener">${escapeHtml(predictor.display_name)}</a> <span>on Philify</span></h1>
+    <p>
+      Average score <strong>${formatScore(stats.average_score)}</strong> over ${stats.scored_count} scored,
+      ${stats.pending_count} pending. Within 10%: <strong>${hitRate}</strong>. Bias: <strong>${bias}</strong>.
+    </p>
+    <table>
+      <thead><tr><th>Prediction</th><th>Matures</th><th class="number">Score</th></tr></thead>
+      <tbody>${latest || '<tr><td colspan="3" class="muted">No predictions yet</td></tr>'}
+      </tbody>
+    </table>`;
+}
+
+function createWidgetRouter({ scoreboard, profiles, publicUrl = process.env.PUBLIC_URL || null }) {
+  const router = express.Router();
+  const baseUrlOf = req => (publicUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+  const handle = (label, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error(`Widget error (${label}):`, error.message);
+      res.status(error.status || 500).type('text/plain').send(error.message);
+    }
+  };
+
+  router.get('/embed.js', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('application/javascript').send(EMBED_SCRIPT);
+  });
+
+  router.get('/embed/scoreboard', handle('scoreboard', async (req, res) => {
+    const options = parseWidgetOptions(req.query, 10);
+    const board = await scoreboard.getScoreboard({ method: req.query.method, asset: req.query.asset, limit: options.limit });
+    const baseUrl = baseUrlOf(req);
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.type('html').send(page({ ...options, baseUrl, title: 'Philify scoreboard', body: renderScoreboardWidget(board, baseUrl) }));
+  }));
+
+  router.get('/embed/predictor/:slug', handle('predictor', async (req, res) => {
+    const options = parseWidgetOptions(req.query, 5);
+    const profile = await profiles.load(req.params.slug);
+    if (!profile) {
+      throw Object.assign(new Error('Predictor not found'), { status: 404 });
+    }
+    const baseUrl = baseUrlOf(req);
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.type('html').send(page({
+      ...options,
+      baseUrl,
+      title: `${profile.predictor.display_name} on Philify`,
+      body: renderPredictorWidget(profile, options.limit, baseUrl)
+    }));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  THEMES,
+  SIZES,
+  createWidgetRouter
+};
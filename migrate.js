@@ -1,72 +1,72 @@
-const sqlite3 = require('sqlite3').verbose();
-const fetch = require('node-fetch');
+// Database migrations.
+// Usage:
+//   node migrate.js [up]                 apply pending migrations
+//   node migrate.js status               list applied and pending migrations
+//   node migrate.js fill-current-prices  set current_price on rows that lack it
+const { openDatabase, all, run, close } = require('./lib/db');
+const { migrate, getStatus, assertSchemaCurrent } = require('./lib/migrator');
+const { createPriceService } = require('./lib/price-providers');
+const { createPriceStore } = require('./lib/price-store');
+const { marketOf } = require('./lib/assets');
 require('dotenv').config();
 
-const db = new sqlite3.Database('predictions.db', (err) => {
-  if (err) {
-    console.error('Error opening database:', err);
-    process.exit(1);
+async function showStatus(db) {
+  const status = await getStatus(db);
+  console.log(`Schema version ${status.current}, latest ${status.latest}`);
+  if (status.pending.length) {
+    console.log('Pending migrations:');
+    status.pending.forEach(m => console.log(`  ${m.id}`));
+    process.exitCode = 1;
+  } else {
+    console.log('Schema is up to date');
   }
-  console.log('Connected to database');
-});
+}
 
-// Add current_price column if it doesn't exist
-db.run(`ALTER TABLE predictions ADD COLUMN current_price REAL`, (err) => {
-  if (err && !err.message.includes('duplicate column name')) {
-    console.error('Error adding column:', err);
-    process.exit(1);
-  }
-  console.log('Column added or already exists');
-});
-
-// Update existing records with current price
-db.all('SELECT id, date FROM predictions WHERE current_price IS NULL', [], async (err, rows) => {
-  if (err) {
-    console.error('Error fetching records:', err);
-    process.exit(1);
-  }
+async function applyMigrations(db) {
+  const applied = await migrate(db);
+  console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+}
 
+// Older rows were saved before current_price existed
+async function fillCurrentPrices(db) {
+  await assertSchemaCurrent(db);
+  const priceStore = createPriceStore(db, createPriceService());
+  const rows = await all(db, 'SELECT id, date, asset, quote_currency FROM predictions WHERE current_price IS NULL');
   console.log(`Found ${rows.length} records to update`);
 
   for (const row of rows) {
     try {
-      const [year, month, day] = row.date.split('-');
-      const formattedDate = `${day}-${month}-${year}`;
-      
-      const response = await fetch(`https://api.coingecko.com/api/v3/coins/bitcoin/history?date=${formattedDate}`, {
-        headers: {
-          'x-cg-pro-api-key': process.env.COINGECKO_API_KEY
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error('Failed to fetch price');
-      }
-      
-      const data = await response.json();
-      const price = data.market_data.current_price.usd;
-
-      db.run('UPDATE predictions SET current_price = ? WHERE id = ?', [price, row.id], (err) => {
-        if (err) {
-          console.error(`Error updating record ${row.id}:`, err);
-        } else {
-          console.log(`Updated record ${row.id}`);
-        }
-      });
+      const price = await priceStore.getDailyPrice(row.date, marketOf(row));
+      await run(db, 'UPDATE predictions SET current_price = ? WHERE id = ?', [price, row.id]);
+      console.log(`Updated record ${row.id}`);
     } catch (error) {
-      console.error(`Error processing record ${row.id}:`, error);
+      console.error(`Error processing record ${row.id}:`, error.message);
     }
   }
-});
+}
 
-// Close database connection after all updates
-setTimeout(() => {
-  db.close((err) => {
-    if (err) {
-      console.error('Error closing database:', err);
-    } else {
-      console.log('Database connection closed');
-    }
-    process.exit(0);
-  });
-}, 10000); // Wait 10 seconds to allow updates to complete 
\ No newline at end of file
+const commands = {
+  up: applyMigrations,
+  status: showStatus,
+  'fill-current-prices': fillCurrentPrices
+};
+
+async function main() {
+  const command = process.argv[2] || 'up';
+  if (!commands[command]) {
+    console.error(`Unknown command '${command}'. Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  const db = openDatabase();
+  try {
+    await commands[command](db);
+  } finally {
+    await close(db);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+// Nostr tools.
+// Usage:
+//   node nostr.js keygen                           print a new key pair for NOSTR_SECRET_KEY
+//   node nostr.js whoami                           show the configured key and relays
+//   node nostr.js relay [port]                     run a local relay stand-in (default 7447) that
+//                                                  checks and prints every event it receives
+//   node nostr.js publish <prediction id> [created|scored]
+//                                                  publish a prediction's note now
+// To try the integration locally, run the stand-in and start the server with
+// NOSTR_RELAYS=ws://localhost:7447.
+const { openDatabase, close } = require('./lib/db');
+const { assertSchemaCurrent } = require('./lib/migrator');
+const { WebSocketServer } = require('ws');
+const {
+  generateSecretKey, getPublicKey, bech32Encode, parseSecretKey, parseRelays, verifyEvent, createNostrPublisher
+} = require('./lib/nostr');
+require('dotenv').config();
+
+function keygen() {
+  const secretKey = generateSecretKey();
+  const pubkey = getPublicKey(secretKey);
+  console.log(`NOSTR_SECRET_KEY=${secretKey.toString('hex')}`);
+  console.log(`nsec: ${bech32Encode('nsec', secretKey)}`);
+  console.log(`npub: ${bech32Encode('npub', pubkey)}`);
+}
+
+function whoami() {
+  if (!process.env.NOSTR_SECRET_KEY) {
+    throw new Error('NOSTR_SECRET_KEY is not set, run `node nostr.js keygen`');
+  }
+  const pubkey = getPublicKey(parseSecretKey(process.env.NOSTR_SECRET_KEY));
+  console.log(`npub: ${bech32Encode('npub', pubkey)} (${pubkey.toString('hex')})`);
+  const relays = parseRelays(process.env.NOSTR_RELAYS);
+  console.log(relays.length ? `relays: ${relays.join(', ')}` : 'No NOSTR_RELAYS set, publishing is off');
+}
+
+// Accepts events with a valid id and signature, like a real relay would,
+// and answers REQ subscriptions with what it has seen
+function relay(port = 7447) {
+  const events = [];
+  const server = new WebSocketServer({ port }, () => console.log(`Relay stand-in listening on ws://localhost:${port}`));
+  server.on('connection', (connection, req) => {
+    console.log(`Connection from ${req.socket.remoteAddress}`);
+    connection.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        connection.send(JSON.stringify(['NOTICE', 'invalid JSON']));
+        return;
+      }
+      if (message[0] === 'EVENT' && message[1]) {
+        const event = message[1];
+        const valid = verifyEvent(event);
+        const duplicate = events.some(seen => seen.id === event.id);
+        if (valid && !duplicate) {
+          events.push(event);
+        }
+        console.log(`${valid ? 'EVENT' : 'INVALID EVENT'} ${event.id} from ${event.pubkey}${duplicate ? ' (duplicate)' : ''}`);
+        console.log(JSON.stringify(event.tags));
+        console.log(event.content);
+        console.log('');
+        connection.send(JSON.stringify(['OK', event.id, valid, valid ? (duplicate ? 'duplicate: already have it' : '') : 'invalid: bad id or signature']));
+      } else if (message[0] === 'REQ') {
+        events.forEach(event => connection.send(JSON.stringify(['EVENT', message[1], event])));
+        connection.send(JSON.stringify(['EOSE', message[1]]));
+      }
+    });
+    connection.on('error', error => console.error('Connection error:', error.message));
+  });
+}
+
+async function publish(id, purpose = 'created') {
+  if (!id) {
+    throw new Error('Prediction id is required');
+  }
+  const db = openDatabase();
+  try {
+    await assertSchemaCurrent(db);
+    const nostr = createNostrPublisher({ db, jobs: null });
+    if (!nostr) {
+      throw new Error('Set NOSTR_SECRET_KEY and NOSTR_RELAYS first');
+    }
+    const result = await nostr.publishPrediction({ purpose, prediction_id: Number(id) });
+    console.log(result);
+  } finally {
+    await close(db);
+  }
+}
+
+const commands = {
+  keygen,
+  whoami,
+  relay: port => relay(Number(port) || undefined),
+  publish
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(`Unknown command '${command || ''}'. Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+  await commands[command](...args);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+// Bulk import and export of predictions, the CLI side of lib/prediction-io.js.
+// Usage:
+//   node predictions.js import <file.csv|file.json> [--dry-run] [--owner <username>]
+//   node predictions.js export [--format csv|json] [--status S] [--asset A] [--quote Q] [--type T]
+//                              [--predictor slug] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--out file]
+// Imports print the per-row report and exit with 1 when any row was rejected.
+// Exports go to stdout unless --out is given.
+const fs = require('fs');
+const path = require('path');
+const { openDatabase, get, close } = require('./lib/db');
+const { assertSchemaCurrent } = require('./lib/migrator');
+const { createPriceService } = require('./lib/price-providers');
+const { createPriceStore } = require('./lib/price-store');
+const { createPredictorService } = require('./lib/predictors');
+const { FORMATS, parseImport, exportRecord, toCsv, createPredictionIO } = require('./lib/prediction-io');
+require('dotenv').config();
+
+const FLAGS = ['format', 'status', 'asset', 'quote', 'type', 'predictor', 'from', 'to', 'out', 'owner'];
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i].startsWith('--') && FLAGS.includes(argv[i].slice(2))) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      rest.push(argv[i]);
+    }
+  }
+  options.args = rest;
+  return options;
+}
+
+async function importFile(io, db, file, options) {
+  if (!file) {
+    throw new Error('A CSV or JSON file is required');
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  const isJson = path.extname(file).toLowerCase() === '.json';
+  const rows = parseImport(isJson ? JSON.parse(text) : text, isJson ? 'json' : 'csv');
+
+  let ownerId = null;
+  if (options.owner) {
+    const owner = await get(db, 'SELECT id FROM users WHERE username = ?', [options.owner]);
+    if (!owner) {
+      throw new Error(`No user named '${options.owner}'`);
+    }
+    ownerId = owner.id;
+  }
+
+  const report = await io.importRows(rows, { ownerId, dryRun: options.dryRun });
+  report.rows.forEach(entry => {
+    const detail = entry.status === 'accepted'
+      ? (entry.id ? `id ${entry.id}` : `price ${entry.current_price}`)
+      : entry.status === 'duplicate'
+        ? (entry.duplicate_of ? `of prediction ${entry.duplicate_of}` : `of row ${entry.duplicate_of_row}`)
+        : entry.errors.join('; ');
+    console.log(`Row ${entry.row}: ${entry.status} (${detail})`);
+  });
+  console.log(`${report.accepted} accepted, ${report.duplicates} duplicate, ${report.rejected} rejected${report.dry_run ? ', dry run so nothing was saved' : ''}`);
+  return report.rejected ? 1 : 0;
+}
+
+async function exportFile(io, options) {
+  const format = options.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+  const rows = await io.exportRows({ ...options, quote_currency: options.quote });
+  const output = format === 'csv'
+    ? toCsv(rows)
+    : `${JSON.stringify(rows.map(exportRecord), null, 2)}\n`;
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error(`Exported ${rows.length} prediction(s) to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [command, file] = options.args;
+  if (command !== 'import' && command !== 'export') {
+    console.error(`Unknown command '${command || ''}'. Use one of: import, export`);
+    process.exit(1);
+  }
+
+  const db = openDatabase();
+  const io = createPredictionIO({
+    db,
+    predictors: createPredictorService(db),
+    priceStore: createPriceStore(db, createPriceService())
+  });
+  let exitCode;
+  try {
+    await assertSchemaCurrent(db);
+    exitCode = command === 'import' ? await importFile(io, db, file, options) : await exportFile(io, options);
+  } finally {
+    await close(db);
+  }
+  process.exit(exitCode);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+// Re-score matured predictions under a scoring model.
+// Usage: node rescore.js <model> [--activate] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+// `model` is name@version (e.g. philify@2) or a bare name for its latest
+// version. Only matured predictions of the types the model scores are
+// included, and ones that can't be settled yet are skipped. New scores are
+// added to prediction_scores next to the old ones; with --activate they also
+// become the predictions' current scores.
+const { openDatabase, all, close } = require('./lib/db');
+const { assertSchemaCurrent } = require('./lib/migrator');
+const { createPriceService } = require('./lib/price-providers');
+const { createPriceStore, todayUTC } = require('./lib/price-store');
+const { createScorer, getModel, modelId } = require('./lib/scoring');
+const { toUTCString } = require('./lib/maturity');
+require('dotenv').config();
+
+const USAGE = 'Usage: node rescore.js <model> [--activate] [--from YYYY-MM-DD] [--to YYYY-MM-DD]';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseArgs(argv) {
+  const options = { activate: false, from: null, to: todayUTC() };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--activate') {
+      options.activate = true;
+    } else if (argv[i] === '--from' || argv[i] === '--to') {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      rest.push(argv[i]);
+    }
+  }
+  options.model = rest[0];
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.model || [options.from, options.to].some(date => date !== null && !DATE_PATTERN.test(date || ''))) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const model = getModel(options.model);
+
+  const db = openDatabase();
+  const scorer = createScorer({ db, priceStore: createPriceStore(db, createPriceService()) });
+
+  try {
+    await assertSchemaCurrent(db);
+    const rows = await all(db,
+      `SELECT * FROM predictions
+       WHERE date <= ? AND date >= ? AND (matures_at <= ? OR type = 'touch')
+         AND type IN (${model.types.map(() => '?').join(', ')})
+       ORDER BY matures_at`,
+      [options.to, options.from || '0000-00-00', toUTCString(Date.now()), ...model.types]);
+    console.log(`Re-scoring ${rows.length} prediction(s) with ${modelId(model)}${options.activate ? ' and activating the results' : ''}...`);
+
+    let failed = 0;
+    let unsettled = 0;
+    for (const row of rows) {
+      try {
+        const result = await scorer.score(row, model);
+        if (!result) {
+          unsettled++;
+          continue;
+        }
+        await scorer.record(row.id, result, { activate: options.activate });
+        console.log(`${row.id}\t${row.date}\t${row.score === null ? '-' : row.score.toFixed(2)} -> ${result.score.toFixed(2)}`);
+      } catch (error) {
+        failed++;
+        console.error(`Error re-scoring prediction ${row.id}:`, error.message);
+      }
+    }
+    console.log(`Done, ${rows.length - failed - unsettled} scored, ${unsettled} not settled yet, ${failed} failed`);
+    if (failed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await close(db);
+  }
+}
+
+main().catch(error => {
+  console.error('Re-scoring failed:', error.message);
+  process.exit(1);
+});
@@ -1,14 +1,45 @@
 // v0.0.5
 const express = require('express');
 const cors = require('cors');
-const sqlite3 = require('sqlite3').verbose();
+const { openDatabase, run, get, all } = require('./lib/db');
 const path = require('path');
-const fetch = require('node-fetch');
+const { assertSchemaCurrent } = require('./lib/migrator');
+const { createPriceService } = require('./lib/price-providers');
+const { createPriceStore, todayUTC, addDays } = require('./lib/price-store');
+const { createAuth, canModify, isAdmin } = require('./lib/auth');
+const { createAdminRouter } = require('./lib/admin');
+const { recordAudit } = require('./lib/audit');
+const { createPredictorService, createPredictorsRouter } = require('./lib/predictors');
+const { createScoreboard, DEFAULTS: SCOREBOARD_DEFAULTS } = require('./lib/scoreboard');
+const { createScorer, listModels } = require('./lib/scoring');
+const { parseTarget } = require('./lib/prediction-types');
+const { parseMarket, marketOf, marketKey, listAssets } = require('./lib/assets');
+const { parseMaturity, parseAnnouncement, isMatured, toUTCString } = require('./lib/maturity');
+const { createJobQueue } = require('./lib/jobs');
+const { createMailer } = require('./lib/mail');
+const { createNotifier, createNotificationsRouter } = require('./lib/notifications');
+const { createNostrPublisher } = require('./lib/nostr');
+const { createPredictionIO, createPredictionIORouter, importBodyParsers } = require('./lib/prediction-io');
+const { createEvidenceArchiver, createEvidenceRouter } = require('./lib/evidence');
+const { validateName, validateSource, validateTarget, validatePrice, validateDates } = require('./lib/validation');
+const { createModeration, createModerationRouter } = require('./lib/moderation');
+const { createPredictorProfiles, createPredictorProfileRouter } = require('./lib/predictor-profile');
+const { createChartRouter } = require('./lib/chart');
+const { createCardRouter } = require('./lib/cards');
+const { createWidgetRouter } = require('./lib/widget');
+const { createFeedRouter } = require('./lib/feeds');
+const { createConsensus, createConsensusRouter } = require('./lib/consensus');
+const { createBaselines, skillScore, NAIVE_BASELINE } = require('./lib/baselines');
+const { createMarks, createMarksRouter } = require('./lib/marks');
 require('dotenv').config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Price providers, tried in PRICE_PROVIDERS order (default: coingecko,coinbase,local)
+const priceService = createPriceService();
+console.log('Price providers:', priceService.providers.join(', '));
+
 // Add request logging middleware
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
@@ -26,7 +57,7 @@ const limiter = rateLimit({
 // Middleware
 app.use(cors({
   origin: '*', // Allow all origins during development
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   credentials: true,
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
   exposedHeaders: ['Content-Type', 'Authorization'],
@@ -43,334 +74,797 @@ app.use((err, req, res, next) => {
   }
 });
 
+// Bulk imports may be CSV and larger than other requests, see lib/prediction-io.js
+app.use('/api/predictions/import', importBodyParsers());
 app.use(express.json());
-app.use(express.static('.'));
+
+// Only the HTML pages are served statically; the database, .env, scripts and
+// price files live in the same directory and must stay private
+const PUBLIC_FILE = /^\/([\w-]+\.html)?$/;
+const serveStatic = express.static('.');
+app.use((req, res, next) => (PUBLIC_FILE.test(req.path) ? serveStatic(req, res, next) : next()));
 app.use('/api/', limiter); // Apply rate limiting to all API routes
 
-// Database setup
-const db = new sqlite3.Database('predictions.db', (err) => {
+// Database setup, the schema itself is managed by migrate.js
+const db = openDatabase(undefined, (err) => {
   if (err) {
     console.error('Error opening database:', err);
-  } else {
-    console.log('Connected to SQLite database');
-    // Create predictions table if it doesn't exist
-    db.run(`CREATE TABLE IF NOT EXISTS predictions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      price REAL NOT NULL,
-      date TEXT NOT NULL,
-      status TEXT NOT NULL,
-      score REAL,
-      current_price REAL,
-      source TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`, (err) => {
-      if (err) {
-        console.error('Error creating table:', err);
-      } else {
-        console.log('Table creation/verification completed');
-        // Check if source column exists and add it if it doesn't
-        db.all("PRAGMA table_info(predictions)", (err, columns) => {
-          if (err) {
-            console.error('Error getting table columns:', err);
-            return;
-          }
-          
-          console.log('Current table columns:', columns.map(col => col.name));
-          
-          const hasSourceColumn = columns.some(col => col.name === 'source');
-          console.log('Has source column:', hasSourceColumn);
-          
-          if (!hasSourceColumn) {
-            console.log('Adding source column to predictions table...');
-            db.run("ALTER TABLE predictions ADD COLUMN source TEXT", (err) => {
-              if (err) {
-                console.error('Error adding source column:', err);
-              } else {
-                console.log('Successfully added source column');
-              }
-            });
-          }
-        });
-      }
-    });
+    process.exit(1);
+  }
+  console.log('Connected to SQLite database');
+});
+
+// Historical prices are persisted in predictions.db so restarts and re-scoring don't refetch them
+const priceStore = createPriceStore(db, priceService);
+
+// Scores with their model and breakdown, see lib/scoring
+const scorer = createScorer({ db, priceStore });
+
+// Due predictions are resolved through the persistent job queue, so failures
+// are retried with backoff and several server instances can share the work
+const jobs = createJobQueue(db, {
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || undefined,
+  backoffBase: parseInt(process.env.JOB_BACKOFF_MS) || undefined
+});
+const JOB_POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 60 * 1000;
+
+// Baseline predictors every point prediction is compared with, see lib/baselines.js
+const baselines = createBaselines({ db, priceStore, scorer, jobs });
+
+// Accounts and bearer tokens, see lib/auth.js
+const auth = createAuth(db);
+app.use('/api/', auth.authenticate);
+app.use('/api/auth', auth.router);
+
+// Canonical predictor identities, see lib/predictors.js
+const predictors = createPredictorService(db);
+app.use('/api/predictors', createPredictorsRouter({ db, auth, predictors }));
+
+// Predictor track records, see lib/predictor-profile.js
+const profiles = createPredictorProfiles({ db, predictors });
+app.use('/api/predictors', createPredictorProfileRouter({ profiles }));
+// Slugs of merged predictors redirect to the predictor they were merged into
+app.get('/predictor/:slug', async (req, res) => {
+  try {
+    const predictor = await predictors.findBySlug(req.params.slug);
+    if (predictor && predictor.slug !== req.params.slug) {
+      res.redirect(301, `/predictor/${encodeURIComponent(predictor.slug)}`);
+      return;
+    }
+  } catch (error) {
+    console.error('Error looking up predictor page:', error.message);
   }
+  res.sendFile(path.join(__dirname, 'predictor.html'));
 });
 
-// Add a debug endpoint to view database contents
-app.get('/api/debug/db', (req, res) => {
-  console.log('Fetching all database contents...');
-  db.all('SELECT * FROM predictions ORDER BY created_at DESC', [], (err, rows) => {
+// Ranked predictors, see lib/scoreboard.js for the ranking methods
+const scoreboard = createScoreboard(db, { baselines });
+app.use('/api/scoreboard', scoreboard.router);
+
+// The predictor a submission refers to, by id or else by (possibly new) name
+async function resolvePredictor({ predictor_id: predictorId, name }) {
+  if (predictorId) {
+    const predictor = await predictors.findById(predictorId);
+    if (!predictor) {
+      throw Object.assign(new Error('Unknown predictor_id'), { status: 400 });
+    }
+    return predictor;
+  }
+  return predictors.findOrCreateByName(name);
+}
+
+// Price of a market at a prediction's announced_at: the live price for new
+// predictions, the stored or provider price at that moment for older ones
+async function priceAtAnnouncement(announcedAt, market) {
+  const priceMarket = marketOf(market);
+  const pair = marketKey(priceMarket);
+  console.log(`Fetching ${pair} price as of ${announcedAt}...`);
+  try {
+    const price = await priceStore.getPriceAsOf(Date.parse(announcedAt), priceMarket);
+    console.log(`${pair} price as of ${announcedAt}:`, price);
+    return price;
+  } catch (error) {
+    console.error(`Failed to fetch ${pair} price as of ${announcedAt}:`, error.message);
+    throw Object.assign(new Error(`${pair} price data for ${announcedAt} is unavailable, please try again later`), { status: 503 });
+  }
+}
+
+// Predictions with their predictor, owner's username and latest archived
+// copy of their source; owner_id is NULL for anonymous submissions. `name`
+// keeps the spelling that was submitted.
+const PREDICTION_SELECT = `SELECT predictions.*, users.username AS owner,
+    predictors.slug AS predictor_slug, predictors.display_name AS predictor_name,
+    (SELECT MAX(id) FROM evidence WHERE evidence.prediction_id = predictions.id AND evidence.status = 'captured') AS evidence_id,
+    (SELECT percentage_error FROM prediction_scores WHERE prediction_scores.prediction_id = predictions.id
+      AND prediction_scores.is_active = 1) AS percentage_error,
+    (SELECT percentage_error FROM baseline_predictions WHERE baseline_predictions.prediction_id = predictions.id
+      AND baseline_predictions.baseline = '${NAIVE_BASELINE}') AS baseline_error
+  FROM predictions
+  LEFT JOIN users ON users.id = predictions.owner_id
+  LEFT JOIN predictors ON predictors.id = predictions.predictor_id`;
+
+function formatPrediction(row) {
+  return { ...row, anonymous: row.owner_id === null, skill_score: skillScore(row.percentage_error, row.baseline_error) };
+}
+
+// Admins changing someone else's prediction leave an audit trail
+function auditIfAdminAction(user, action, prediction, details) {
+  if (user.role !== 'admin' || prediction.owner_id === user.id) {
+    return Promise.resolve();
+  }
+  return recordAudit(db, user, action, 'prediction', prediction.id, details)
+    .catch(err => console.error('Error writing audit log:', err));
+}
+
+// Loads a prediction and checks that the current user may change it
+function loadModifiablePrediction(req, res, callback) {
+  db.get(`${PREDICTION_SELECT} WHERE predictions.id = ?`, [req.params.id], (err, row) => {
     if (err) {
-      console.error('Database error:', err);
+      console.error('Database error loading prediction:', err);
       res.status(500).json({ error: err.message });
-      return;
+    } else if (!row) {
+      res.status(404).json({ error: 'Prediction not found' });
+    } else if (!canModify(req.user, row)) {
+      res.status(403).json({ error: 'Only the owner or an admin can change this prediction' });
+    } else {
+      callback(row);
     }
-    // Format the response to be more readable
-    const formattedRows = rows.map(row => ({
-      id: row.id,
-      name: row.name,
-      price: row.price,
-      date: row.date,
-      status: row.status,
-      score: row.score,
-      current_price: row.current_price,
-      source: row.source,
-      created_at: row.created_at
-    }));
-    res.json(formattedRows);
   });
-});
+}
 
 // Routes
 app.get('/api/predictions', (req, res) => {
   console.log('Fetching predictions from database...');
-  db.all('SELECT * FROM predictions ORDER BY date DESC', [], (err, rows) => {
+  db.all(`${PREDICTION_SELECT} WHERE predictions.hidden_at IS NULL ORDER BY matures_at DESC`, [], (err, rows) => {
     if (err) {
       console.error('Database error:', err);
       res.status(500).json({ error: err.message });
       return;
     }
     console.log('Found predictions:', rows);
-    res.json(rows);
+    res.json(rows.map(formatPrediction));
   });
 });
 
 app.post('/api/predictions', async (req, res) => {
   console.log('Received prediction request:', req.body);
-  const { name, price, date, source } = req.body;
+  let { name } = req.body;
   
-  if (!name || !price || !date) {
-    console.log('Missing required fields:', { name, price, date });
+  if ((!name && !req.body.predictor_id) || (!req.body.date && !req.body.matures_at)) {
+    console.log('Missing required fields:', { name, date: req.body.date, matures_at: req.body.matures_at });
     res.status(400).json({ error: 'Missing required fields' });
     return;
   }
 
   try {
-    console.log('Fetching current Bitcoin price...');
-    // Get current Bitcoin price at the time of prediction
-    const currentPriceResponse = await fetch('https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=1', {
-      headers: {
-        'x-cg-pro-api-key': process.env.COINGECKO_API_KEY || ''
-      }
-    });
-    
-    console.log('CoinGecko response status:', currentPriceResponse.status);
-    
-    if (!currentPriceResponse.ok) {
-      const errorText = await currentPriceResponse.text();
-      console.error('Failed to fetch current Bitcoin price for new prediction:', errorText);
-      throw new Error('Failed to fetch current Bitcoin price');
-    }
-    
-    const currentPriceData = await currentPriceResponse.json();
-    console.log('CoinGecko response data:', currentPriceData);
-    
-    // Ensure data format is correct for current price
-    if (!currentPriceData.prices || !currentPriceData.prices[0]) {
-      console.error('Unexpected data format for current price API on new prediction:', currentPriceData);
-      throw new Error('Unexpected data format from CoinGecko (current price)');
+    // Point, range or directional target, see lib/prediction-types.js
+    const target = parseTarget(req.body);
+    const { price } = target;
+    // BTC/USD unless another asset or quote currency is given, see lib/assets.js
+    const market = parseMarket(req.body);
+    // Exact UTC maturity and the timezone it was stated in, see lib/maturity.js
+    const maturity = parseMaturity(req.body);
+    // When it was actually said, now unless it is logged after the fact
+    const announcement = parseAnnouncement(req.body, maturity);
+    // Sane names, sources, dates and targets, see lib/validation.js
+    name = name ? validateName(name) : name;
+    const source = validateSource(req.body.source);
+    validateDates({ ...maturity, ...announcement });
+    validateTarget(target, market);
+
+    // The price when the prediction was announced
+    const priceAtPrediction = await priceAtAnnouncement(announcement.announced_at, market);
+    validatePrice(target, priceAtPrediction);
+
+    // Near-duplicates get the existing prediction back, see lib/moderation.js.
+    // Admins may add one anyway with allow_duplicate.
+    const known = req.body.predictor_id ? await resolvePredictor(req.body) : await predictors.findByName(name);
+    const duplicate = await moderation.findDuplicate({ ...market, ...target, ...maturity, source, predictor_id: known && known.id });
+    if (duplicate && !(req.body.allow_duplicate && req.user && isAdmin(req.user))) {
+      const existing = await get(db, `${PREDICTION_SELECT} WHERE predictions.id = ?`, [duplicate.id]);
+      console.log(`Submission duplicates prediction ${duplicate.id} (${duplicate.reason})`);
+      res.status(409).json({
+        error: `This looks like a duplicate of prediction ${duplicate.id} (${duplicate.reason})`,
+        duplicate_of: formatPrediction(existing)
+      });
+      return;
     }
-    const priceAtPrediction = currentPriceData.prices[0][1];
-    console.log('Current Bitcoin price:', priceAtPrediction);
 
-    const today = new Date().toISOString().split('T')[0];
-    const status = date <= today ? 'completed' : 'pending';
-    console.log('Prediction status:', status);
-    
-    // Calculate score only if the date is today or in the past
-    const score = date <= today ? await calculateScore(price, date) : null;
-    console.log('Calculated score:', score);
+    // Suspicious submissions wait hidden in the moderation queue
+    const submitterHash = req.user ? null : moderation.submitterHash(req.ip);
+    const reviewReasons = await moderation.assess({ user: req.user, hash: submitterHash, name, target, currentPrice: priceAtPrediction });
+    const held = reviewReasons.length > 0;
+
+    const predictor = known || await resolvePredictor({ name });
+    name = name || predictor.display_name;
+    console.log('Predictor:', predictor.slug);
+
+    // Logged-in users own what they submit, everyone else submits anonymously
+    const ownerId = req.user ? req.user.id : null;
 
     console.log('Saving prediction to database...');
-    db.run(
-      'INSERT INTO predictions (name, price, date, status, score, current_price, source) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [name, price, date, status, score, priceAtPrediction, source || null],
-      function(err) {
-        if (err) {
-          console.error('Database error saving prediction:', err);
-          res.status(500).json({ error: err.message });
-          return;
-        }
-        console.log('Prediction saved with ID:', this.lastID);
-        res.json({
-          id: this.lastID,
-          name,
-          price,
-          date,
-          status,
-          score,
-          current_price: priceAtPrediction,
-          source: source || null
-        });
+    const { lastID } = await run(db,
+      `INSERT INTO predictions (name, asset, quote_currency, type, price, price_low, price_high, date, matures_at, timezone,
+         announced_at, status, current_price, source, owner_id, predictor_id, submitter_hash, review_status, review_reasons,
+         hidden_at, hidden_reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${held ? 'CURRENT_TIMESTAMP' : 'NULL'}, ?)`,
+      [name, market.asset, market.quote_currency, target.type, price, target.price_low, target.price_high,
+        maturity.date, maturity.matures_at, maturity.timezone, announcement.announced_at, 'pending', priceAtPrediction,
+        source, ownerId, predictor.id, submitterHash, held ? 'pending' : null, held ? JSON.stringify(reviewReasons) : null,
+        held ? 'Awaiting review' : null]);
+    console.log('Prediction saved with ID:', lastID);
+    if (held) {
+      console.log(`Prediction ${lastID} held for review: ${reviewReasons.join(', ')}`);
+    } else {
+      await notifyPrediction('prediction.created', lastID);
+    }
+    if (source) {
+      await archiveSource(lastID);
+    }
+    await forecastBaselines(lastID);
+
+    // Score right away when it has already matured. If no price is
+    // available yet it stays pending and the resolution queue retries.
+    let result = null;
+    if (isMatured(maturity)) {
+      result = await calculateScore({
+        id: lastID, ...market, ...target, ...maturity, ...announcement, current_price: priceAtPrediction
+      });
+      if (result) {
+        await recordScore(lastID, result);
       }
-    );
+    }
+    console.log('Calculated score:', result ? result.score : null);
+
+    res.status(held ? 202 : 200).json({
+      id: lastID,
+      name,
+      ...market,
+      ...target,
+      ...maturity,
+      ...announcement,
+      status: result ? 'completed' : 'pending',
+      score: result ? result.score : null,
+      score_model: result ? `${result.model}@${result.model_version}` : null,
+      current_price: priceAtPrediction,
+      source,
+      owner_id: ownerId,
+      owner: req.user ? req.user.username : null,
+      anonymous: ownerId === null,
+      predictor_id: predictor.id,
+      predictor_slug: predictor.slug,
+      predictor_name: predictor.display_name,
+      review_status: held ? 'pending' : null,
+      ...(held ? { message: 'Thanks! Your prediction will appear once a moderator has reviewed it.' } : {})
+    });
   } catch (error) {
     console.error('Error adding prediction:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-app.delete('/api/predictions/:id', (req, res) => {
+app.put('/api/predictions/:id', auth.requireUser, (req, res) => {
+  console.log('Updating prediction with ID:', req.params.id, req.body);
+  loadModifiablePrediction(req, res, async (existing) => {
+    let name = req.body.name !== undefined ? req.body.name : existing.name;
+
+    if (!name) {
+      res.status(400).json({ error: 'Missing required fields' });
+      return;
+    }
+
+    try {
+      name = validateName(name);
+      const source = req.body.source !== undefined ? validateSource(req.body.source) : existing.source;
+      const target = parseTarget(req.body, existing);
+      const market = parseMarket(req.body, existing);
+      const maturity = parseMaturity(req.body, existing);
+      const announcement = parseAnnouncement(req.body, maturity, existing);
+      validateDates({ ...maturity, ...announcement });
+      validateTarget(target, market);
+
+      // Renaming or picking another predictor re-resolves the identity
+      let predictor = { id: existing.predictor_id, slug: existing.predictor_slug, display_name: existing.predictor_name };
+      if (req.body.predictor_id || name !== existing.name) {
+        predictor = await resolvePredictor({ predictor_id: req.body.predictor_id, name });
+      }
+
+      // A different announcement or market needs the price as of then
+      let currentPrice = existing.current_price;
+      if (announcement.announced_at !== existing.announced_at || market.asset !== existing.asset ||
+          market.quote_currency !== existing.quote_currency) {
+        currentPrice = await priceAtAnnouncement(announcement.announced_at, market);
+      }
+      validatePrice(target, currentPrice);
+
+      // Changing the maturity corrects a legacy date, see 021-flag-legacy-maturities.js
+      const legacyMaturity = maturity.matures_at === existing.matures_at ? existing.legacy_maturity : 0;
+      await run(db,
+        `UPDATE predictions SET name = ?, asset = ?, quote_currency = ?, type = ?, price = ?, price_low = ?, price_high = ?,
+           date = ?, matures_at = ?, timezone = ?, announced_at = ?, current_price = ?, source = ?, predictor_id = ?,
+           legacy_maturity = ? WHERE id = ?`,
+        [name, market.asset, market.quote_currency, target.type, target.price, target.price_low, target.price_high,
+          maturity.date, maturity.matures_at, maturity.timezone, announcement.announced_at, currentPrice, source, predictor.id,
+          legacyMaturity, existing.id]);
+
+      // A new target, maturity or announcement means the old score no longer
+      // applies. Earlier scores stay in prediction_scores but are no longer active.
+      let { status, score, score_model: scoreModel } = existing;
+      const updated = { ...market, ...target, ...maturity, ...announcement, current_price: currentPrice };
+      if (Object.keys(updated).some(field => field !== 'timezone' && updated[field] !== existing[field])) {
+        await run(db, 'UPDATE prediction_scores SET is_active = 0 WHERE prediction_id = ?', [existing.id]);
+        await run(db,
+          "UPDATE predictions SET status = 'pending', score = NULL, score_model = NULL, resolve_attempts = 0, last_error = NULL WHERE id = ?",
+          [existing.id]);
+        status = 'pending';
+        score = null;
+        scoreModel = null;
+        await forecastBaselines(existing.id, { replace: true });
+        await marks.clear(existing.id);
+
+        const result = isMatured(maturity) || target.type === 'touch' ? await calculateScore({ ...existing, ...updated }) : null;
+        if (result) {
+          await recordScore(existing.id, result);
+          status = 'completed';
+          score = result.score;
+          scoreModel = `${result.model}@${result.model_version}`;
+        }
+      }
+
+      console.log('Prediction updated with ID:', existing.id);
+      if (source && source !== existing.source) {
+        await archiveSource(existing.id);
+      }
+      auditIfAdminAction(req.user, 'edit', existing, {
+        previous: {
+          name: existing.name, asset: existing.asset, quote_currency: existing.quote_currency, type: existing.type,
+          price: existing.price, price_low: existing.price_low, price_high: existing.price_high,
+          date: existing.date, matures_at: existing.matures_at, timezone: existing.timezone,
+          announced_at: existing.announced_at, current_price: existing.current_price,
+          source: existing.source, predictor_id: existing.predictor_id
+        },
+        current: { name, ...updated, source, predictor_id: predictor.id }
+      });
+      res.json(formatPrediction({
+        ...existing, name, ...updated, source, status, score, score_model: scoreModel, legacy_maturity: legacyMaturity,
+        predictor_id: predictor.id, predictor_slug: predictor.slug, predictor_name: predictor.display_name
+      }));
+    } catch (error) {
+      console.error('Error updating prediction:', error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+});
+
+// Scores, baselines, marks and the like go with the prediction through their
+// ON DELETE CASCADE; archived evidence and Nostr events have no cascade and
+// are removed first
+app.delete('/api/predictions/:id', auth.requireUser, (req, res) => {
   console.log('Deleting prediction with ID:', req.params.id);
-  db.run('DELETE FROM predictions WHERE id = ?', req.params.id, function(err) {
-    if (err) {
+  loadModifiablePrediction(req, res, async (existing) => {
+    try {
+      await run(db, 'DELETE FROM evidence WHERE prediction_id = ?', [existing.id]);
+      await run(db, 'DELETE FROM nostr_events WHERE prediction_id = ?', [existing.id]);
+      await run(db, 'DELETE FROM predictions WHERE id = ?', [existing.id]);
+    } catch (err) {
       console.error('Database error deleting prediction:', err);
       res.status(500).json({ error: err.message });
       return;
     }
-    console.log('Prediction deleted with ID:', req.params.id);
+    console.log('Prediction deleted with ID:', existing.id);
+    auditIfAdminAction(req.user, 'delete', existing, { prediction: existing });
     res.json({ message: 'Prediction deleted' });
   });
 });
 
-// Bitcoin price calculation helper with caching
-const priceCache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+// Re-score a prediction with the active model, used by the admin console.
+// Predictions that can't be settled yet are simply reset to pending.
+async function rescorePrediction(prediction) {
+  const resetToPending = async () => {
+    await run(db, 'UPDATE prediction_scores SET is_active = 0 WHERE prediction_id = ?', [prediction.id]);
+    await run(db, "UPDATE predictions SET status = 'pending', score = NULL, score_model = NULL WHERE id = ?", [prediction.id]);
+    return { status: 'pending', score: null };
+  };
 
-async function calculateScore(predictedPrice, predictionDate) {
+  if (!isMatured(prediction) && prediction.type !== 'touch') {
+    return resetToPending();
+  }
+  let result;
   try {
-    const [year, month, day] = predictionDate.split('-');
-    const formattedDate = `${day}-${month}-${year}`;
-    const today = new Date().toISOString().split('T')[0];
-    const todayDateObj = new Date(today);
-    const predictionDateObj = new Date(predictionDate);
-    const daysDiff = Math.max(0, (todayDateObj - predictionDateObj) / (1000 * 60 * 60 * 24));
-
-    console.log(`Calculating score for prediction on ${predictionDate} (days difference: ${daysDiff})`);
-
-    // Check cache first
-    const cacheKey = predictionDate === today ? 'current' : formattedDate;
-    const cachedPrice = priceCache.get(cacheKey);
-    const now = Date.now();
-    
-    let actualPrice;
-    if (cachedPrice && (now - cachedPrice.timestamp) < CACHE_DURATION) {
-      console.log(`Using cached price for ${cacheKey}`);
-      actualPrice = cachedPrice.price;
-    } else {
-      const apiUrl = predictionDate === today
-        ? 'https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=1'
-        : `https://api.coingecko.com/api/v3/coins/bitcoin/history?date=${formattedDate}`;
-
-      console.log(`Fetching price from CoinGecko API for score calculation: ${apiUrl}`);
-      const response = await fetch(apiUrl, {
-        headers: {
-          'x-cg-pro-api-key': process.env.COINGECKO_API_KEY || ''
-        }
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`CoinGecko API for score calculation returned non-ok status: ${response.status} - ${response.statusText}. Body: ${errorText}`);
-        throw new Error('Failed to fetch Bitcoin price from CoinGecko for score calculation');
-      }
-      
-      const data = await response.json();
-      
-      if (predictionDate === today) {
-           if (!data.prices || !data.prices[0]) {
-               console.error('Unexpected data format for current price API (score calc):', data);
-               throw new Error('Unexpected data format from CoinGecko (current price for score calc)');
-           }
-           actualPrice = data.prices[0][1];
-      } else {
-           if (!data.market_data || !data.market_data.current_price || !data.market_data.current_price.usd) {
-               console.error('Unexpected data format for historical price API (score calc):', data);
-               throw new Error('Unexpected data format from CoinGecko (historical price for score calc)');
-           }
-           actualPrice = data.market_data.current_price.usd;
-      }
+    result = await scorer.score(prediction);
+  } catch (error) {
+    console.error('Error re-scoring prediction:', error);
+    throw Object.assign(new Error('Score could not be calculated, price data unavailable'), { status: 503 });
+  }
+  if (!result) {
+    return resetToPending();
+  }
+  await recordScore(prediction.id, result);
+  return { status: 'completed', score: result.score, score_model: `${result.model}@${result.model_version}` };
+}
 
-      console.log(`Successfully fetched actual price for ${formattedDate} (score calc): ${actualPrice}`);
-      
-      // Update cache
-      priceCache.set(cacheKey, {
-        price: actualPrice,
-        timestamp: now
-      });
+// Webhook and email notifications of lifecycle events, see lib/notifications.js
+const notifier = createNotifier({ db, jobs, mailer: createMailer() });
+app.use('/api/admin/notifications', createNotificationsRouter({ db, auth, notifier }));
+
+// Optional Nostr notes for added and scored predictions, see lib/nostr.js
+const nostr = createNostrPublisher({ db, jobs });
+if (nostr) {
+  console.log(`Publishing to Nostr as ${nostr.npub} on ${nostr.relays.join(', ')}`);
+}
+
+// Archived copies of prediction sources, see lib/evidence.js
+const evidence = createEvidenceArchiver({ db, jobs });
+app.use('/api', createEvidenceRouter({ db, auth, evidence }));
+
+// Duplicate and spam checks on submissions and the review queue, see lib/moderation.js
+const moderation = createModeration({ db });
+app.use('/api/admin/moderation', createModerationRouter({
+  auth,
+  moderation,
+  onApprove: id => notifyPrediction('prediction.created', id)
+}));
+
+// CSV/JSON import and export, see lib/prediction-io.js
+const predictionIO = createPredictionIO({ db, predictors, priceStore, evidence });
+app.use('/api/predictions', createPredictionIORouter({ auth, io: predictionIO }));
+
+app.get('/api/nostr', (req, res) => {
+  res.json(nostr ? { enabled: true, pubkey: nostr.pubkey, npub: nostr.npub, relays: nostr.relays } : { enabled: false });
+});
+
+// A prediction by id, or null when it is missing or hidden and the request
+// isn't an admin's
+async function findVisiblePrediction(req, id) {
+  const prediction = await get(db, 'SELECT id, hidden_at FROM predictions WHERE id = ?', [id]);
+  if (!prediction || (prediction.hidden_at && !(req.user && isAdmin(req.user)))) {
+    return null;
+  }
+  return prediction;
+}
+
+app.get('/api/predictions/:id/nostr', async (req, res) => {
+  try {
+    const prediction = await findVisiblePrediction(req, req.params.id);
+    if (!prediction) {
+      res.status(404).json({ error: 'Prediction not found' });
+      return;
+    }
+    res.json(nostr ? await nostr.listEvents(prediction.id) : []);
+  } catch (error) {
+    console.error('Error fetching Nostr events:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tell subscribers about a prediction, as the API shows it, and post it to
+// Nostr. Hidden predictions stay quiet.
+async function notifyPrediction(event, predictionId, extra = {}) {
+  const row = await get(db, `${PREDICTION_SELECT} WHERE predictions.id = ?`, [predictionId]);
+  if (!row || row.hidden_at) {
+    return;
+  }
+  const { hidden_at, hidden_reason, resolve_attempts, last_error, ...prediction } = formatPrediction(row);
+  await notifier.emit(event, { prediction, ...extra });
+  if (nostr) {
+    try {
+      await nostr.queue(event === 'prediction.created' ? 'created' : 'scored', predictionId);
+    } catch (error) {
+      console.error('Error queueing Nostr note:', error.message);
     }
+  }
+}
 
-    // Calculate percentage error
-    const percentageError = Math.abs(predictedPrice - actualPrice) / actualPrice * 100;
-    console.log(`Predicted: ${predictedPrice}, Actual: ${actualPrice}, Percentage Error: ${percentageError.toFixed(2)}%`);
-
-    // Base time weight with exponential growth
-    const timeWeight = Math.pow(daysDiff + 1, 0.5) / Math.pow(365 + 1, 0.5);
-    console.log(`Base Time Weight: ${timeWeight.toFixed(4)} (Days Difference: ${daysDiff})`);
-    
-    // Short-term bonus (up to 0.7x for very short predictions)
-    const shortTermBonus = daysDiff <= 7 ? (7 - daysDiff) * 0.1 : 0;
-    console.log(`Short-term Bonus: ${shortTermBonus.toFixed(4)}`);
-    
-    // Accuracy bonus for short-term predictions
-    const accuracyBonus = daysDiff <= 7 && percentageError < 5 ? 20 : 0;
-    console.log(`Accuracy Bonus: ${accuracyBonus}`);
-    
-    // Calculate final score
-    let score = Math.max(0, 100 - percentageError) * (1 + timeWeight + shortTermBonus) + accuracyBonus;
-    score = Math.max(0, Math.min(100, score)); // Cap between 0 and 100
-
-    console.log(`Calculated Score: ${score.toFixed(2)}`);
-
-    return score;
+// Queue a copy of a prediction's source for the evidence archive
+async function archiveSource(predictionId) {
+  try {
+    await evidence.queue(predictionId);
   } catch (error) {
-    console.error('Error calculating score:', error);
-    return null;
+    console.error('Error queueing evidence capture:', error.message);
   }
 }
 
-// Function to update scores for due predictions
-async function updateDuePredictions() {
-  const today = new Date().toISOString().split('T')[0];
-  
-  console.log(`Checking for due predictions on ${today}...`);
+// Queue the forecasts of the baseline predictors for a new or changed
+// prediction; the submission doesn't wait for the prices they need
+async function forecastBaselines(predictionId, options) {
+  try {
+    await baselines.queue(predictionId, options);
+  } catch (error) {
+    console.error('Error queueing baselines:', error.message);
+  }
+}
 
-  db.all('SELECT * FROM predictions WHERE date <= ? AND status = ?', [today, 'pending'], async (err, rows) => {
-    if (err) {
-      console.error('Database error fetching due predictions:', err);
+// Store a score as the prediction's active one, score its baselines with the
+// same model and tell subscribers
+async function recordScore(predictionId, result) {
+  await scorer.record(predictionId, result);
+  try {
+    await baselines.score(predictionId, `${result.model}@${result.model_version}`);
+  } catch (error) {
+    console.error('Error scoring baselines:', error.message);
+  }
+  await notifyPrediction('prediction.scored', predictionId, {
+    score: result.score,
+    score_model: `${result.model}@${result.model_version}`,
+    actual_price: result.actual_price,
+    terms: result.terms
+  });
+}
+
+// Admin console API, see lib/admin.js
+app.use('/api/admin', createAdminRouter({ db, auth, rescorePrediction, jobs }));
+
+// Price history with predictions drawn over it, see lib/chart.js
+app.use('/api/chart', createChartRouter({ db, priceStore }));
+
+// Shareable prediction cards and embeddable widgets, see lib/cards.js and lib/widget.js
+app.use(createCardRouter({ db }));
+app.use(createWidgetRouter({ scoreboard, profiles }));
+
+// RSS, Atom and JSON feeds, see lib/feeds.js
+app.use('/feeds', createFeedRouter({ db, predictors }));
+
+// Crowd consensus of pending predictions, scored once its date passes, see lib/consensus.js
+const consensus = createConsensus({ db, scorer });
+app.use('/api/consensus', createConsensusRouter({ consensus }));
+
+// Provisional marks of pending predictions, see lib/marks.js
+const marks = createMarks({ db, priceStore });
+app.use('/api/marks', createMarksRouter({ marks }));
+
+// Assets and the quote currencies each can be predicted in
+app.get('/api/assets', (req, res) => {
+  res.json(listAssets());
+});
+
+// Scoring models and each prediction's full score history
+app.get('/api/scoring/models', (req, res) => {
+  res.json(listModels());
+});
+
+app.get('/api/predictions/:id/scores', async (req, res) => {
+  try {
+    const prediction = await findVisiblePrediction(req, req.params.id);
+    if (!prediction) {
+      res.status(404).json({ error: 'Prediction not found' });
+      return;
+    }
+    res.json(await scorer.history(prediction.id));
+  } catch (error) {
+    console.error('Error fetching score history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What the baseline predictors said instead, and how the prediction compares
+app.get('/api/predictions/:id/baselines', async (req, res) => {
+  try {
+    const prediction = await get(db, 'SELECT * FROM predictions WHERE id = ? AND hidden_at IS NULL', [req.params.id]);
+    if (!prediction) {
+      res.status(404).json({ error: 'Prediction not found' });
       return;
     }
+    const rows = await baselines.list(prediction.id);
+    const naive = rows.find(row => row.baseline === NAIVE_BASELINE);
+    res.json({
+      prediction_id: prediction.id,
+      score: prediction.score,
+      skill_score: naive ? naive.skill_score : null,
+      baselines: rows
+    });
+  } catch (error) {
+    console.error('Error fetching baselines:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Score a prediction with the active model (see lib/scoring), prices are read
+// from the prices table first. Resolves with null when no price is
+// available or the prediction can't be settled yet.
+async function calculateScore(prediction) {
+  try {
+    console.log(`Calculating score for ${prediction.type || 'point'} prediction maturing ${prediction.matures_at || prediction.date}`);
+    const result = await scorer.score(prediction);
+    if (result) {
+      console.log(`Predicted: ${prediction.price}, Actual: ${result.actual_price}, Terms:`, result.terms);
+    }
+    return result;
+  } catch (error) {
+    console.error('Error calculating score:', error);
+    return null;
+  }
+}
+
+// Job handler: settle one prediction. Every attempt is counted on the
+// prediction and its last error kept there; throwing hands the job back to
+// the queue for a retry.
+async function resolvePrediction({ prediction_id: predictionId }) {
+  const prediction = await get(db, 'SELECT * FROM predictions WHERE id = ?', [predictionId]);
+  if (!prediction || prediction.status !== 'pending') {
+    return { skipped: prediction ? prediction.status : 'deleted' };
+  }
+  console.log(`Resolving prediction ${prediction.id}, matures ${prediction.matures_at}`);
+  let result;
+  try {
+    result = await scorer.score(prediction);
+  } catch (error) {
+    await run(db, 'UPDATE predictions SET resolve_attempts = resolve_attempts + 1, last_error = ? WHERE id = ?',
+      [error.message, prediction.id]);
+    throw error;
+  }
+  // An unmatured touch prediction whose price hasn't been hit yet
+  if (!result) {
+    return { settled: false };
+  }
+  await recordScore(prediction.id, result);
+  await run(db, 'UPDATE predictions SET resolve_attempts = resolve_attempts + 1, last_error = NULL WHERE id = ?', [prediction.id]);
+  console.log(`Updated prediction ${prediction.id} with score ${result.score.toFixed(2)}`);
+  return { settled: true, score: result.score };
+}
 
-    console.log(`Found ${rows.length} due predictions to update`);
+jobs.register('resolve-prediction', resolvePrediction);
 
+// Queue a resolution for every pending prediction that has matured, plus the
+// unmatured touch predictions with `includeTouch` (they can settle early, as
+// soon as the price hits). Predictions whose job already failed for good wait
+// for an admin to retry it.
+async function enqueueDuePredictions({ includeTouch = false } = {}) {
+  const now = toUTCString(Date.now());
+  try {
+    const rows = await all(db,
+      `SELECT id FROM predictions
+       WHERE status = 'pending' AND (matures_at <= ? ${includeTouch ? "OR type = 'touch'" : ''})
+       AND NOT EXISTS (
+         SELECT 1 FROM jobs WHERE jobs.type = 'resolve-prediction'
+         AND jobs.key = CAST(predictions.id AS TEXT) AND jobs.status = 'failed'
+       )`,
+      [now]);
+    let queued = 0;
     for (const row of rows) {
-      try {
-        console.log(`Processing due prediction ID: ${row.id}, Date: ${row.date}, Status: ${row.status}`);
-        const score = await calculateScore(row.price, row.date);
-        
-        if (score !== null) {
-             db.run(
-               'UPDATE predictions SET status = ?, score = ? WHERE id = ?',
-               ['completed', score, row.id],
-               (err) => {
-                 if (err) {
-                   console.error(`Database error updating prediction ${row.id}:`, err);
-                 } else {
-                   console.log(`Updated prediction ${row.id} with score ${score.toFixed(2)}`);
-                 }
-               }
-             );
-        } else {
-             console.log(`Score calculation returned null for prediction ${row.id}. Skipping update.`);
-        }
+      if (await jobs.enqueue('resolve-prediction', row.id, { prediction_id: row.id }, { reuse: true })) {
+        queued++;
+      }
+    }
+    if (queued) {
+      console.log(`Queued ${queued} of ${rows.length} due predictions for resolution`);
+    }
+  } catch (error) {
+    console.error('Error queueing due predictions:', error.message);
+  }
+}
+
+async function resolveDuePredictions(options) {
+  await enqueueDuePredictions(options);
+  try {
+    await jobs.drain();
+  } catch (error) {
+    console.error('Error running jobs:', error.message);
+  }
+}
 
+// Store the closing price of the last settled day so it's only fetched once,
+// for every market that has predictions
+async function recordSettledPrice() {
+  const yesterday = addDays(todayUTC(), -1);
+  try {
+    const markets = await all(db, 'SELECT DISTINCT asset, quote_currency FROM predictions');
+    if (!markets.length) {
+      markets.push({});
+    }
+    for (const market of markets.map(marketOf)) {
+      try {
+        await priceStore.getDailyPrice(yesterday, market);
       } catch (error) {
-        console.error(`Error processing due prediction ${row.id}:`, error);
+        console.error(`Error recording settled ${marketKey(market)} price for ${yesterday}:`, error.message);
       }
     }
-  });
+  } catch (error) {
+    console.error('Error listing markets:', error.message);
+  }
 }
 
-// Check for due predictions every hour (60 * 60 * 1000 ms)
-setInterval(updateDuePredictions, 60 * 60 * 1000);
-console.log('Scheduled hourly prediction score updates.');
+// Index markets (BTC.D) have no history at the providers, so their value is
+// recorded every hour, see lib/price-store.js
+async function snapshotIndexPrices() {
+  try {
+    await priceStore.recordIndexSnapshots();
+  } catch (error) {
+    console.error('Error recording index snapshots:', error.message);
+  }
+}
 
-// Start server
-app.listen(port, '0.0.0.0', () => {
-  console.log(`Server running at http://0.0.0.0:${port}`);
-  // Run initial check for due predictions on startup
-  updateDuePredictions();
-});
+// Keep today's scoreboard snapshot current so tomorrow can show rank
+// movement, and tell subscribers how the default ranking changed since the
+// last snapshot
+async function snapshotScoreboard() {
+  try {
+    const report = await scoreboard.snapshotStandardMethods();
+    const changed = report.find(entry => entry.method === SCOREBOARD_DEFAULTS.method);
+    if (!changed) {
+      return;
+    }
+    const predictorOf = entry => ({ id: entry.predictor_id, slug: entry.slug, name: entry.name });
+    for (const entry of changed.changes) {
+      await notifier.emit('predictor.rank_changed', {
+        method: changed.method,
+        predictor: predictorOf(entry),
+        previous_rank: entry.previous_rank,
+        rank: entry.rank,
+        score: entry.score
+      });
+    }
+    if (changed.leader) {
+      await notifier.emit('scoreboard.leader_changed', {
+        method: changed.method,
+        previous: changed.leader.previous ? predictorOf(changed.leader.previous) : null,
+        current: { ...predictorOf(changed.leader.current), score: changed.leader.current.score }
+      });
+    }
+  } catch (error) {
+    console.error('Error saving scoreboard snapshot:', error.message);
+  }
+}
+
+// Baselines for predictions that don't have them yet, see lib/baselines.js
+async function catchUpBaselines() {
+  try {
+    await baselines.catchUp();
+  } catch (error) {
+    console.error('Error catching up baselines:', error.message);
+  }
+}
+
+// Provisional scores of pending predictions at today's price
+async function markPendingPredictions() {
+  try {
+    await marks.refresh();
+  } catch (error) {
+    console.error('Error marking pending predictions:', error.message);
+  }
+}
+
+// Give the crowd consensus of every date that has passed its score
+async function scoreConsensus() {
+  try {
+    await consensus.scoreDue();
+  } catch (error) {
+    console.error('Error scoring consensus:', error.message);
+  }
+}
+
+// Start server, refusing to run against an out of date schema
+assertSchemaCurrent(db)
+  .then(() => {
+    // Hourly housekeeping (60 * 60 * 1000 ms); touch predictions are checked
+    // for an early hit here rather than on every poll
+    setInterval(() => {
+      snapshotIndexPrices();
+      recordSettledPrice();
+      resolveDuePredictions({ includeTouch: true });
+      snapshotScoreboard();
+      scoreConsensus();
+      catchUpBaselines();
+      markPendingPredictions();
+    }, 60 * 60 * 1000);
+    // Matured predictions are queued and resolved on every poll
+    setInterval(() => resolveDuePredictions(), JOB_POLL_INTERVAL);
+    console.log(`Resolving due predictions every ${JOB_POLL_INTERVAL / 1000}s as worker ${jobs.workerId}.`);
+
+    app.listen(port, '0.0.0.0', () => {
+      console.log(`Server running at http://0.0.0.0:${port}`);
+      // Run initial check for due predictions on startup
+      snapshotIndexPrices();
+      recordSettledPrice();
+      resolveDuePredictions({ includeTouch: true });
+      snapshotScoreboard();
+      scoreConsensus();
+      catchUpBaselines();
+      markPendingPredictions();
+    });
+  })
+  .catch(error => {
+    console.error('Refusing to start:', error.message);
+    process.exit(1);
+  });
 console.log('Server starting...'); 
 // v0.0.5
\ No newline at end of file
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fetch = require('node-fetch');
+const { openDatabase, run, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createAuth } = require('../lib/auth');
+const { createJobQueue } = require('../lib/jobs');
+const { createAdminRouter } = require('../lib/admin');
+
+// Re-scoring always lands on 80 so the audit entry has a known outcome
+async function fakeRescore(db, prediction) {
+  await run(db, "UPDATE predictions SET status = 'completed', score = 80, score_model = 'philify@3' WHERE id = ?", [prediction.id]);
+  return { status: 'completed', score: 80, score_model: 'philify@3' };
+}
+
+async function adminOf() {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const auth = createAuth(db);
+  const admin = await auth.createUser('bob', 'password123', 'admin');
+  await auth.createUser('alice', 'password123');
+  const tokens = {
+    admin: (await auth.login('bob', 'password123')).token,
+    user: (await auth.login('alice', 'password123')).token
+  };
+  const app = express();
+  app.use(express.json());
+  app.use(auth.authenticate);
+  app.use('/api/admin', createAdminRouter({
+    db,
+    auth,
+    rescorePrediction: prediction => fakeRescore(db, prediction),
+    jobs: createJobQueue(db, { workerId: 'test' })
+  }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const request = (method, path, { token = tokens.admin, body } = {}) =>
+    fetch(`http://127.0.0.1:${server.address().port}/api/admin${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body && JSON.stringify(body)
+    });
+  return { db, server, admin, tokens, request };
+}
+
+async function addPrediction(db, name, { reviewStatus = null } = {}) {
+  const { lastID } = await run(db,
+    `INSERT INTO predictions (name, price, date, status, review_status, hidden_at)
+     VALUES (?, 100000, '2030-12-31', 'pending', ?, ?)`,
+    [name, reviewStatus, reviewStatus === 'pending' ? '2026-01-01 00:00:00' : null]);
+  return lastID;
+}
+
+test('only admins reach the admin API', async () => {
+  const { db, server, tokens, request } = await adminOf();
+
+  assert.equal((await request('GET', '/audit-log', { token: null })).status, 401);
+  assert.equal((await request('GET', '/audit-log', { token: tokens.user })).status, 403);
+  assert.equal((await request('GET', '/audit-log')).status, 200);
+  await close(db);
+  server.close();
+});
+
+test('hiding, restoring and re-scoring are written to the audit log with their details', async () => {
+  const { db, server, admin, request } = await adminOf();
+  const id = await addPrediction(db, 'Plan B');
+
+  const hidden = await (await request('POST', `/predictions/${id}/hide`, { body: { reason: 'spam' } })).json();
+  assert.equal(hidden.hidden_reason, 'spam');
+  assert.equal((await request('POST', `/predictions/${id}/restore`)).status, 200);
+  const rescored = await (await request('POST', `/predictions/${id}/rescore`)).json();
+  assert.equal(rescored.score, 80);
+
+  const log = await (await request('GET', '/audit-log')).json();
+  assert.equal(log.total, 3);
+  assert.deepEqual(log.entries.map(entry => [entry.action, entry.user_id, entry.username, entry.target_type, entry.target_id]), [
+    ['rescore', admin.id, 'bob', 'prediction', String(id)],
+    ['restore', admin.id, 'bob', 'prediction', String(id)],
+    ['hide', admin.id, 'bob', 'prediction', String(id)]
+  ]);
+  assert.deepEqual(log.entries[0].details, {
+    previous: { status: 'pending', score: null, score_model: null },
+    current: { status: 'completed', score: 80, score_model: 'philify@3' }
+  });
+  assert.deepEqual(log.entries[1].details, { hidden_reason: 'spam' });
+
+  const hides = await (await request('GET', '/audit-log?action=hide&limit=1')).json();
+  assert.deepEqual([hides.total, hides.limit, hides.entries[0].details], [1, 1, { reason: 'spam' }]);
+  await close(db);
+  server.close();
+});
+
+test('failed actions leave no audit entry', async () => {
+  const { db, server, request } = await adminOf();
+  const held = await addPrediction(db, 'Held', { reviewStatus: 'pending' });
+
+  const restore = await request('POST', `/predictions/${held}/restore`);
+  assert.equal(restore.status, 409);
+  assert.match((await restore.json()).error, /awaiting review/);
+  assert.equal((await request('POST', '/predictions/999/hide')).status, 404);
+  assert.equal((await request('POST', '/jobs/999/retry')).status, 404);
+
+  assert.equal((await (await request('GET', '/audit-log')).json()).total, 0);
+  await close(db);
+  server.close();
+});
+
+test('prediction search filters by text and visibility', async () => {
+  const { db, server, request } = await adminOf();
+  const planB = await addPrediction(db, 'Plan B');
+  const held = await addPrediction(db, 'Held', { reviewStatus: 'pending' });
+  await addPrediction(db, 'Someone else');
+
+  const search = async query => (await (await request('GET', `/predictions?${query}`)).json()).predictions.map(row => row.id);
+  assert.deepEqual(await search('q=plan'), [planB]);
+  assert.deepEqual(await search('hidden=true'), [held]);
+  assert.equal((await (await request('GET', '/predictions?hidden=false&limit=1')).json()).total, 2);
+  await close(db);
+  server.close();
+});
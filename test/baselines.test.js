@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, all, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createJobQueue } = require('../lib/jobs');
+const { bitcoinSupply, stockToFlowPrice, skillScore, createBaselines } = require('../lib/baselines');
+
+// A stand-in price store whose daily prices only arrive once released,
+// like a slow provider
+function heldPriceStore() {
+  let release;
+  const arrived = new Promise(resolve => {
+    release = resolve;
+  });
+  return {
+    release: () => release(50000),
+    getDailyPrice: () => arrived
+  };
+}
+
+async function baselinesOf(priceStore) {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const jobs = createJobQueue(db, { workerId: 'test' });
+  const baselines = createBaselines({ db, priceStore, scorer: null, jobs: { ...jobs, drain: async () => {} } });
+  return { db, jobs, baselines };
+}
+
+async function addPrediction(db, { date = '2026-01-10', maturesAt = '2026-01-10T23:59:59Z' } = {}) {
+  const { lastID } = await run(db,
+    `INSERT INTO predictions (name, asset, quote_currency, type, price, date, matures_at, announced_at, status, current_price)
+     VALUES ('Plan B', 'BTC', 'USD', 'point', 100000, ?, ?, '2025-06-01T00:00:00Z', 'pending', 60000)`,
+    [date, maturesAt]);
+  return lastID;
+}
+
+test('forecasts are queued instead of waiting for prices', async () => {
+  const priceStore = heldPriceStore();
+  const { db, jobs, baselines } = await baselinesOf(priceStore);
+  const id = await addPrediction(db);
+
+  await baselines.queue(id);
+  assert.equal((await all(db, 'SELECT * FROM baseline_predictions')).length, 0);
+
+  priceStore.release();
+  await jobs.drain();
+  const rows = await all(db, 'SELECT baseline, price FROM baseline_predictions ORDER BY baseline');
+  assert.deepEqual(rows.map(row => row.baseline), ['stock-to-flow', 'trend', 'unchanged']);
+  assert.equal(rows[2].price, 60000);
+  assert.equal((await all(db, "SELECT status FROM jobs WHERE type = 'forecast-baselines'"))[0].status, 'done');
+  await close(db);
+});
+
+test('replacing drops the old forecasts right away', async () => {
+  const priceStore = heldPriceStore();
+  const { db, jobs, baselines } = await baselinesOf(priceStore);
+  const id = await addPrediction(db);
+  priceStore.release();
+  await baselines.create(id);
+
+  await run(db, 'UPDATE predictions SET current_price = 70000 WHERE id = ?', [id]);
+  await baselines.queue(id, { replace: true });
+  assert.equal((await all(db, 'SELECT * FROM baseline_predictions')).length, 0);
+
+  await jobs.drain();
+  assert.equal((await all(db, "SELECT price FROM baseline_predictions WHERE baseline = 'unchanged'"))[0].price, 70000);
+  await close(db);
+});
+
+test('the skill score compares errors with the naive baseline', () => {
+  assert.equal(skillScore(0, 10), 1);
+  assert.equal(skillScore(5, 10), 0.5);
+  assert.equal(skillScore(10, 10), 0);
+  assert.equal(skillScore(20, 10), -1);
+  assert.equal(skillScore(5, 0), null);
+  assert.equal(skillScore(null, 10), null);
+});
+
+test('stock-to-flow follows the halvings', () => {
+  assert.deepEqual(bitcoinSupply('2024-04-20'), { supply: 19687500, subsidy: 3.125 });
+  assert.equal(bitcoinSupply('2009-01-03').supply, 0);
+  // Supply over a year's issuance, to the 3.36th power, times e^-1.84
+  const sf = 19687500 / (3.125 * 144 * 365);
+  assert.equal(Math.round(stockToFlowPrice('2024-04-20')), Math.round(Math.exp(-1.84) * Math.pow(sf, 3.36)));
+});
+
+test('the trend baseline carries the 30 days before the announcement on to maturity', async () => {
+  const priceStore = heldPriceStore();
+  priceStore.release();
+  const { db, baselines } = await baselinesOf(priceStore);
+  // Up 20% (50000 to 60000) in the 30 days before, 30 days to go
+  const id = await addPrediction(db, { date: '2025-07-01', maturesAt: '2025-07-01T00:00:00Z' });
+
+  await baselines.create(id);
+  const { price } = (await all(db, "SELECT price FROM baseline_predictions WHERE baseline = 'trend'"))[0];
+  assert.equal(Math.round(price), 72000);
+  await close(db);
+});
+
+test("baselines are scored with the prediction's model and listed with its skill against each", async () => {
+  const priceStore = heldPriceStore();
+  priceStore.release();
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const models = [];
+  // A stand-in scorer settling at 80000, the error being the distance to it
+  const scorer = {
+    async score(prediction, model) {
+      models.push(`${model.name}@${model.version}`);
+      const error = Math.abs(prediction.price - 80000) / 80000 * 100;
+      return { score: 100 - error, model: model.name, model_version: model.version, actual_price: 80000, terms: { percentage_error: error } };
+    }
+  };
+  const baselines = createBaselines({ db, priceStore, scorer });
+  const id = await addPrediction(db);
+  await run(db,
+    "INSERT INTO prediction_scores (prediction_id, model, model_version, score, percentage_error, is_active) VALUES (?, 'philify', 3, 95, 5, 1)",
+    [id]);
+
+  await baselines.score(id, 'philify@2');
+  const unchanged = (await baselines.list(id)).find(row => row.baseline === 'unchanged');
+
+  assert.deepEqual(models, ['philify@2', 'philify@2', 'philify@2']);
+  assert.equal(unchanged.percentage_error, 25);
+  assert.equal(unchanged.score_model, 'philify@2');
+  assert.equal(unchanged.skill_score, 0.8);
+  await close(db);
+});
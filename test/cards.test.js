@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fetch = require('node-fetch');
+const { openDatabase, run, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { cardModel, cardTitle, cardDescription, renderCardSvg, renderCardPng, createCardRouter } = require('../lib/cards');
+
+const SCORED = {
+  id: 7,
+  name: 'Plan B',
+  predictor_name: 'PlanB',
+  asset: 'BTC',
+  quote_currency: 'USD',
+  type: 'point',
+  price: 100000,
+  price_low: null,
+  price_high: null,
+  date: '2026-01-10',
+  matures_at: '2026-01-10T23:59:59Z',
+  announced_at: '2025-06-01T00:00:00Z',
+  current_price: 60000,
+  status: 'completed',
+  score: 82.345,
+  actual_price: 95000
+};
+const PENDING = { ...SCORED, status: 'pending', score: null, actual_price: null, current_price: null };
+
+test('a card names the predictor, target, outcome and score', () => {
+  const model = cardModel(SCORED);
+  assert.equal(cardTitle(model), 'PlanB: BTC/USD at 100,000 USD by 2026-01-10');
+  assert.equal(cardDescription(model), 'Announced 2025-06-01 at 60,000 USD. Actual: 95,000 USD. Score 82.3 / 100');
+  assert.equal(model.color, '#2a9d8f');
+  assert.equal(cardModel({ ...SCORED, score: 20 }).color, '#e63946');
+
+  const pending = cardModel(PENDING);
+  assert.deepEqual([pending.scoreText, pending.score, pending.color], ['PENDING', null, '#888888']);
+  assert.equal(cardDescription(pending), 'Announced 2025-06-01. Pending until 2026-01-10');
+});
+
+test('the SVG escapes text and cuts lines that would run off the card', () => {
+  const escaped = renderCardSvg(cardModel({ ...SCORED, predictor_name: '<b>&</b>' }));
+  assert.match(escaped, />&lt;b&gt;&amp;&lt;\/b&gt;<\/text>/);
+  assert.doesNotMatch(escaped, /<b>/);
+
+  const long = renderCardSvg(cardModel({ ...SCORED, predictor_name: 'A very long name '.repeat(5) }));
+  assert.match(long, /font-size="64" font-weight="bold" fill="#222222">A very long name\.\.\.<\/text>/);
+  assert.match(long, />82\.3<\/text>/);
+});
+
+test('the PNG is a 1200x630 image', () => {
+  const png = renderCardPng(cardModel(SCORED));
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  assert.deepEqual([png.readUInt32BE(16), png.readUInt32BE(20)], [1200, 630]);
+});
+
+test('the share page carries Open Graph tags and hidden predictions have no card', async () => {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const insert = hidden => run(db,
+    `INSERT INTO predictions (name, price, date, matures_at, announced_at, status, hidden_at)
+     VALUES ('Plan B', 100000, '2026-01-10', '2026-01-10T23:59:59Z', '2025-06-01T00:00:00Z', 'pending', ?)`,
+    [hidden ? '2025-07-01 00:00:00' : null]);
+  const { lastID: visible } = await insert(false);
+  const { lastID: hidden } = await insert(true);
+  const app = express();
+  app.use(createCardRouter({ db, publicUrl: 'https://philify.example/' }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = path => `http://127.0.0.1:${server.address().port}${path}`;
+
+  const page = await fetch(url(`/prediction/${visible}`));
+  const html = await page.text();
+  assert.equal(page.headers.get('cache-control'), 'public, max-age=300');
+  assert.match(html, new RegExp(`<meta property="og:image" content="https://philify.example/api/predictions/${visible}/card.png">`));
+  assert.match(html, /<meta property="og:title" content="Plan B: BTC\/USD at 100,000 USD by 2026-01-10">/);
+  assert.equal((await fetch(url(`/api/predictions/${visible}/card.svg`))).headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+  assert.equal((await fetch(url(`/api/predictions/${hidden}/card.png`))).status, 404);
+  await close(db);
+  server.close();
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fetch = require('node-fetch');
+const { openDatabase, run, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { MAX_POINTS, createChartRouter } = require('../lib/chart');
+
+// A stand-in price store with `count` daily prices from 2020-01-01,
+// recording the windows asked for
+function fakePriceStore(count = 3) {
+  const windows = [];
+  return {
+    windows,
+    async getStoredHistory(from, to, market) {
+      windows.push({ from, to, market });
+      return Array.from({ length: count }, (_, day) => ({
+        date: new Date(Date.UTC(2020, 0, 1 + day)).toISOString().slice(0, 10),
+        price: 10000 + day
+      }));
+    }
+  };
+}
+
+async function chartOf(priceStore = fakePriceStore()) {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const app = express();
+  app.use('/api/chart', createChartRouter({ db, priceStore }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const get = async query => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/chart${query}`);
+    return { status: response.status, body: await response.json() };
+  };
+  return { db, server, priceStore, get };
+}
+
+async function addPrediction(db, slug, { asset = 'BTC', quote = 'USD', announced, matures, hidden = false, actual }) {
+  const predictor = await run(db, 'INSERT OR IGNORE INTO predictors (slug, display_name) VALUES (?, ?)', [slug, slug]);
+  const predictorId = predictor.changes ? predictor.lastID : null;
+  const { lastID } = await run(db,
+    `INSERT INTO predictions (name, asset, quote_currency, price, current_price, date, matures_at, announced_at, status, predictor_id, hidden_at)
+     VALUES (?, ?, ?, 100000, 50000, ?, ?, ?, ?, COALESCE(?, (SELECT id FROM predictors WHERE slug = ?)), ?)`,
+    [slug, asset, quote, matures.slice(0, 10), matures, announced, actual ? 'completed' : 'pending', predictorId, slug,
+      hidden ? '2025-01-01 00:00:00' : null]);
+  if (actual) {
+    await run(db,
+      "INSERT INTO prediction_scores (prediction_id, model, model_version, score, actual_price, is_active) VALUES (?, 'philify', 3, 50, ?, 1)",
+      [lastID, actual]);
+  }
+  return lastID;
+}
+
+test("a market's visible predictions come with the prices of their whole window", async () => {
+  const { db, server, priceStore, get } = await chartOf();
+  await addPrediction(db, 'plan-b', { announced: '2021-03-01T00:00:00Z', matures: '2022-01-01T00:00:00Z', actual: 47000 });
+  await addPrediction(db, 'saylor', { announced: '2020-06-01T00:00:00Z', matures: '2030-01-01T00:00:00Z' });
+  await addPrediction(db, 'saylor', { announced: '2019-01-01T00:00:00Z', matures: '2040-01-01T00:00:00Z', hidden: true });
+  await addPrediction(db, 'vitalik', { asset: 'ETH', announced: '2018-01-01T00:00:00Z', matures: '2019-01-01T00:00:00Z' });
+
+  const { status, body } = await get('');
+
+  assert.equal(status, 200);
+  assert.deepEqual([body.asset, body.quote_currency, body.from, body.to], ['BTC', 'USD', '2020-06-01', '2030-01-01']);
+  assert.deepEqual(priceStore.windows[0].market, { asset: 'BTC', quote: 'USD' });
+  assert.equal(body.prices.length, 3);
+  assert.deepEqual(body.predictions.map(row => [row.predictor_slug, row.actual_price]), [['saylor', null], ['plan-b', 47000]]);
+  assert.deepEqual(body.predictors.map(row => [row.slug, row.prediction_count]), [['plan-b', 1], ['saylor', 1]]);
+  await close(db);
+  server.close();
+});
+
+test('predictions are filtered by predictor and by the window they overlap', async () => {
+  const { db, server, get } = await chartOf();
+  await addPrediction(db, 'plan-b', { announced: '2021-03-01T00:00:00Z', matures: '2022-01-01T00:00:00Z' });
+  await addPrediction(db, 'plan-b', { announced: '2023-03-01T00:00:00Z', matures: '2024-01-01T00:00:00Z' });
+  await addPrediction(db, 'saylor', { announced: '2021-06-01T00:00:00Z', matures: '2030-01-01T00:00:00Z' });
+
+  const byPredictor = await get('?predictor=plan-b');
+  assert.deepEqual(byPredictor.body.predictions.map(row => row.announced_at.slice(0, 4)), ['2021', '2023']);
+  const windowed = await get('?from=2022-06-01&to=2022-12-31');
+  assert.deepEqual([windowed.body.from, windowed.body.to], ['2022-06-01', '2022-12-31']);
+  assert.deepEqual(windowed.body.predictions.map(row => row.predictor_slug), ['saylor']);
+  await close(db);
+  server.close();
+});
+
+test('long windows are thinned, keeping the latest price', async () => {
+  const { db, server, get } = await chartOf(fakePriceStore(4000));
+  const { body } = await get('?from=2020-01-01&to=2030-12-31');
+  assert.ok(body.prices.length <= MAX_POINTS + 1);
+  assert.deepEqual(body.prices[0], { date: '2020-01-01', price: 10000 });
+  assert.equal(body.prices[body.prices.length - 1].price, 13999);
+  await close(db);
+  server.close();
+});
+
+test('bad queries are rejected', async () => {
+  const { db, server, get } = await chartOf();
+  assert.equal((await get('?asset=DOGE')).status, 400);
+  assert.equal((await get('?from=01/02/2026')).status, 400);
+  assert.equal((await get('?from=2026-02-01&to=2026-01-01')).status, 400);
+  await close(db);
+  server.close();
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, get, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createConsensus } = require('../lib/consensus');
+
+// A stand-in scorer settling every consensus at 50000, recording what it scored
+function fakeScorer() {
+  const scored = [];
+  return {
+    scored,
+    async score(prediction) {
+      scored.push(prediction);
+      return { actual_price: 50000, score: 80, model: 'philify', model_version: 3, terms: {} };
+    }
+  };
+}
+
+async function consensusOf() {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const scorer = fakeScorer();
+  return { db, scorer, consensus: createConsensus({ db, scorer }) };
+}
+
+async function addPrediction(db, slug, price) {
+  const { lastID: predictorId } = await run(db, 'INSERT INTO predictors (slug, display_name) VALUES (?, ?)', [slug, slug]);
+  await run(db,
+    `INSERT INTO predictions (name, price, date, matures_at, announced_at, status, predictor_id)
+     VALUES (?, ?, '2026-01-10', '2026-01-10T23:59:59Z', '2025-06-01T00:00:00Z', 'pending', ?)`,
+    [slug, price, predictorId]);
+}
+
+test('a date with too few predictors is skipped once, not recomputed every run', async () => {
+  const { db, scorer, consensus } = await consensusOf();
+  await addPrediction(db, 'plan-b', 100000);
+
+  assert.equal(await consensus.scoreDue(), 0);
+  const skip = await get(db, 'SELECT * FROM consensus_skips');
+  assert.equal(skip.date, '2026-01-10');
+  assert.equal(skip.prediction_count, 1);
+
+  await run(db, "UPDATE consensus_skips SET skipped_at = '2099-01-01 00:00:00'");
+  assert.equal(await consensus.scoreDue(), 0);
+  assert.equal((await get(db, 'SELECT skipped_at FROM consensus_skips')).skipped_at, '2099-01-01 00:00:00');
+  assert.equal(scorer.scored.length, 0);
+  await close(db);
+});
+
+test('a skipped date is scored once another predictor is added for it', async () => {
+  const { db, scorer, consensus } = await consensusOf();
+  await addPrediction(db, 'plan-b', 100000);
+  assert.equal(await consensus.scoreDue(), 0);
+  await run(db, "UPDATE consensus_skips SET skipped_at = '2000-01-01 00:00:00'");
+
+  await addPrediction(db, 'saylor', 60000);
+
+  assert.equal(await consensus.scoreDue(), 1);
+  assert.equal(scorer.scored[0].date, '2026-01-10');
+  assert.equal((await get(db, 'SELECT prediction_count FROM consensus_scores')).prediction_count, 2);
+  assert.equal(await consensus.scoreDue(), 0);
+  await close(db);
+});
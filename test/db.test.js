@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, get, transaction, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+
+async function migratedDatabase() {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  return db;
+}
+
+async function count(db, table) {
+  return (await get(db, `SELECT COUNT(*) AS count FROM ${table}`)).count;
+}
+
+test('foreign keys are enforced on every connection', async () => {
+  const db = await migratedDatabase();
+  assert.equal((await get(db, 'PRAGMA foreign_keys')).foreign_keys, 1);
+  await assert.rejects(
+    run(db, "INSERT INTO prediction_scores (prediction_id, model, model_version, score) VALUES (999, 'philify', 3, 50)"),
+    /FOREIGN KEY constraint failed/);
+  await close(db);
+});
+
+test('deleting a scored prediction removes its scores, baselines and marks', async () => {
+  const db = await migratedDatabase();
+  const { lastID: predictionId } = await run(db,
+    "INSERT INTO predictions (name, price, date, status, score, score_model) VALUES ('Plan B', 100000, '2026-01-01', 'completed', 80, 'philify@3')");
+  await run(db,
+    "INSERT INTO prediction_scores (prediction_id, model, model_version, score, is_active) VALUES (?, 'philify', 3, 80, 1)",
+    [predictionId]);
+  await run(db,
+    "INSERT INTO baseline_predictions (prediction_id, baseline, price, score) VALUES (?, 'unchanged', 90000, 60)",
+    [predictionId]);
+  await run(db,
+    "INSERT INTO provisional_scores (prediction_id, date, price, progress, distance_percent) VALUES (?, '2025-12-01', 95000, 0.9, 5)",
+    [predictionId]);
+
+  await run(db, 'DELETE FROM predictions WHERE id = ?', [predictionId]);
+
+  assert.equal(await count(db, 'prediction_scores'), 0);
+  assert.equal(await count(db, 'baseline_predictions'), 0);
+  assert.equal(await count(db, 'provisional_scores'), 0);
+  await close(db);
+});
+
+test('deleting a predictor removes its aliases and scoreboard snapshots', async () => {
+  const db = await migratedDatabase();
+  const { lastID: predictorId } = await run(db, "INSERT INTO predictors (slug, display_name) VALUES ('plan-b', 'Plan B')");
+  await run(db, "INSERT INTO predictor_aliases (predictor_id, alias, normalized) VALUES (?, 'PlanB', 'planb')", [predictorId]);
+  await run(db,
+    "INSERT INTO scoreboard_snapshots (date, method_key, predictor_id, rank, score) VALUES ('2026-01-01', 'average', ?, 1, 80)",
+    [predictorId]);
+
+  await run(db, 'DELETE FROM predictors WHERE id = ?', [predictorId]);
+
+  assert.equal(await count(db, 'predictor_aliases'), 0);
+  assert.equal(await count(db, 'scoreboard_snapshots'), 0);
+  await close(db);
+});
+
+test('a transaction is not joined by writes queued while it runs', async () => {
+  const db = await migratedDatabase();
+  await run(db, "INSERT INTO predictors (slug, display_name) VALUES ('plan-b', 'Plan B')");
+
+  const failing = transaction(db, [
+    "UPDATE predictors SET display_name = 'PlanB' WHERE slug = 'plan-b'",
+    "INSERT INTO predictors (slug, display_name) VALUES ('plan-b', 'Duplicate')"
+  ]);
+  const concurrent = run(db, "INSERT INTO predictors (slug, display_name) VALUES ('saylor', 'Saylor')");
+
+  await assert.rejects(failing, /UNIQUE constraint failed/);
+  await concurrent;
+  assert.equal((await get(db, "SELECT display_name FROM predictors WHERE slug = 'plan-b'")).display_name, 'Plan B');
+  assert.equal(await count(db, 'predictors'), 2);
+
+  await transaction(db, ["UPDATE predictors SET display_name = 'PlanB' WHERE slug = 'plan-b'"]);
+  assert.equal((await get(db, "SELECT display_name FROM predictors WHERE slug = 'plan-b'")).display_name, 'PlanB');
+  await close(db);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const defaultFetch = require('node-fetch');
+const { openDatabase, run, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createAuth } = require('../lib/auth');
+const { createEvidenceArchiver, createEvidenceRouter } = require('../lib/evidence');
+
+const PAGE = '<html><head><title>Plan B</title><meta name="description" content="BTC $1M by 2030"></head>' +
+  '<body><p>Bitcoin will be worth a million.</p></body></html>';
+
+// A stand-in for the sites sources point at, recording the paths asked for
+function fixtureServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/old') {
+      res.writeHead(301, { Location: '/page' });
+      res.end();
+    } else if (req.url === '/page') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(PAGE);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('gone');
+    }
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port }));
+  });
+}
+
+// A stand-in DNS resolving every host to loopback, recording each lookup
+function loopbackLookup(hosts) {
+  return (hostname, options, callback) => {
+    hosts.push(hostname);
+    if (options.all) {
+      callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    } else {
+      callback(null, '127.0.0.1', 4);
+    }
+  };
+}
+
+async function archiver(options) {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  return { db, evidence: createEvidenceArchiver({ db, jobs: null, ...options }) };
+}
+
+test('a page is archived from a fixture server, following redirects', async () => {
+  const { server, requests, port } = await fixtureServer();
+  const { db, evidence } = await archiver({ allowPrivate: true });
+
+  const row = await evidence.capture(1, `http://127.0.0.1:${port}/old`);
+
+  assert.equal(row.status, 'captured');
+  assert.equal(row.final_url, `http://127.0.0.1:${port}/page`);
+  assert.equal(row.title, 'Plan B');
+  assert.match(row.text, /^BTC \$1M by 2030\nBitcoin will be worth a million\.$/);
+  assert.equal(row.content_hash, crypto.createHash('sha256').update(PAGE).digest('hex'));
+  assert.deepEqual(requests, ['/old', '/page']);
+  await close(db);
+  server.close();
+});
+
+test('sources that are gone are recorded as failed captures', async () => {
+  const { server, port } = await fixtureServer();
+  const { db, evidence } = await archiver({ allowPrivate: true });
+
+  const row = await evidence.capture(1, `http://127.0.0.1:${port}/deleted`);
+
+  assert.equal(row.status, 'failed');
+  assert.equal(row.http_status, 404);
+  await close(db);
+  server.close();
+});
+
+test('connections go through the injected lookup', async () => {
+  const { server, port } = await fixtureServer();
+  const hosts = [];
+  const { db, evidence } = await archiver({ allowPrivate: true, lookup: loopbackLookup(hosts) });
+
+  const row = await evidence.capture(1, `http://fixture.test:${port}/page`);
+
+  assert.equal(row.status, 'captured');
+  assert.deepEqual(hosts, ['fixture.test']);
+  await close(db);
+  server.close();
+});
+
+test('a host resolving to a private address is refused when connecting, after one lookup', async () => {
+  const { server, requests, port } = await fixtureServer();
+  const hosts = [];
+  const { db, evidence } = await archiver({ lookup: loopbackLookup(hosts) });
+
+  const row = await evidence.capture(1, `http://rebind.test:${port}/page`);
+
+  assert.equal(row.status, 'failed');
+  assert.match(row.error, /rebind\.test:\d+ is a private address/);
+  assert.deepEqual(hosts, ['rebind.test']);
+  assert.deepEqual(requests, []);
+  await close(db);
+  server.close();
+});
+
+test('redirects to private addresses are refused', async () => {
+  const { server, requests, port } = await fixtureServer();
+  const hosts = [];
+  // public.test answers with a redirect, everything else is fetched for real
+  const fetch = async (url, options) => {
+    if (!url.startsWith('http://public.test/')) {
+      return defaultFetch(url, options);
+    }
+    const location = url.endsWith('/literal') ? 'http://10.0.0.1/' : `http://internal.test:${port}/page`;
+    return { status: 302, statusText: 'Found', headers: new Map([['location', location]]) };
+  };
+  const { db, evidence } = await archiver({ fetch, lookup: loopbackLookup(hosts) });
+
+  const byName = await evidence.capture(1, 'http://public.test/name');
+  const byAddress = await evidence.capture(1, 'http://public.test/literal');
+
+  assert.match(byName.error, /internal\.test:\d+ is a private address/);
+  assert.match(byAddress.error, /10\.0\.0\.1 is a private address/);
+  assert.deepEqual(hosts, ['internal.test']);
+  assert.deepEqual(requests, []);
+  await close(db);
+  server.close();
+});
+
+test('snapshots are sandboxed, only cached privately and gone once the prediction is hidden', async () => {
+  const { server, port } = await fixtureServer();
+  const { db, evidence } = await archiver({ allowPrivate: true });
+  const { lastID: predictionId } = await run(db,
+    "INSERT INTO predictions (name, price, date, status) VALUES ('Plan B', 100000, '2030-12-31', 'pending')");
+  const row = await evidence.capture(predictionId, `http://127.0.0.1:${port}/page`);
+  const app = express();
+  app.use('/api', createEvidenceRouter({ db, auth: createAuth(db), evidence }));
+  const api = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const content = () => defaultFetch(`http://127.0.0.1:${api.address().port}/api/evidence/${row.id}/content`);
+
+  const response = await content();
+  assert.equal(await response.text(), PAGE);
+  assert.match(response.headers.get('content-security-policy'), /sandbox/);
+  assert.equal(response.headers.get('cache-control'), 'private, max-age=300');
+
+  await run(db, 'UPDATE predictions SET hidden_at = CURRENT_TIMESTAMP WHERE id = ?', [predictionId]);
+  assert.equal((await content()).status, 404);
+  await close(db);
+  api.close();
+  server.close();
+});
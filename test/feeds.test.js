@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fetch = require('node-fetch');
+const { openDatabase, run, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createPredictorService } = require('../lib/predictors');
+const { createFeedRouter } = require('../lib/feeds');
+
+async function feedsOf() {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const predictors = createPredictorService(db);
+  const app = express();
+  app.use('/feeds', createFeedRouter({ db, predictors, publicUrl: 'https://philify.example' }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const get = (path, headers = {}) => fetch(`http://127.0.0.1:${server.address().port}/feeds${path}`, { headers });
+  return { db, server, predictors, get };
+}
+
+// Added at `createdAt`; each of `scoredAt` records a score, the last one active
+async function addPrediction(db, predictor, { createdAt, scoredAt = [], hidden = false, source = null }) {
+  const { lastID } = await run(db,
+    `INSERT INTO predictions (name, price, date, matures_at, announced_at, status, score, predictor_id, source, created_at, hidden_at)
+     VALUES (?, 100000, '2026-01-10', '2026-01-10T23:59:59Z', '2025-06-01T00:00:00Z', ?, ?, ?, ?, ?, ?)`,
+    [predictor.display_name, scoredAt.length ? 'completed' : 'pending', scoredAt.length ? 75 : null, predictor.id, source,
+      createdAt, hidden ? createdAt : null]);
+  for (const [index, time] of scoredAt.entries()) {
+    await run(db,
+      `INSERT INTO prediction_scores (prediction_id, model, model_version, score, actual_price, is_active, scored_at)
+       VALUES (?, 'philify', ?, 75, 95000, ?, ?)`,
+      [lastID, index + 1, index === scoredAt.length - 1 ? 1 : 0, time]);
+  }
+  return lastID;
+}
+
+test('the new predictions feed lists visible predictions newest first', async () => {
+  const { db, server, predictors, get } = await feedsOf();
+  const planB = await predictors.create({ display_name: 'Plan B' });
+  const older = await addPrediction(db, planB, { createdAt: '2025-06-01 10:00:00' });
+  const newer = await addPrediction(db, planB, { createdAt: '2025-06-02 10:00:00', scoredAt: ['2026-01-11 00:00:00'] });
+  await addPrediction(db, planB, { createdAt: '2025-06-03 10:00:00', hidden: true });
+
+  const response = await get('/predictions.json');
+  const feed = await response.json();
+
+  assert.equal(response.headers.get('content-type'), 'application/feed+json; charset=utf-8');
+  assert.equal(feed.feed_url, 'https://philify.example/feeds/predictions.json');
+  assert.deepEqual(feed.items.map(item => item.url), [newer, older].map(id => `https://philify.example/prediction/${id}`));
+  assert.equal(feed.items[0].title, 'Plan B: BTC/USD at 100,000 USD by 2026-01-10 (score 75.0)');
+  assert.deepEqual([feed.items[0]._philify.actual_price, feed.items[1]._philify.status], [95000, 'pending']);
+  assert.equal(feed.items[0].authors[0].url, 'https://philify.example/predictor/plan-b');
+  await close(db);
+  server.close();
+});
+
+test('the resolved feed orders by first score, so re-scoring does not bump an entry', async () => {
+  const { db, server, predictors, get } = await feedsOf();
+  const planB = await predictors.create({ display_name: 'Plan B' });
+  const rescored = await addPrediction(db, planB, { createdAt: '2025-06-01 10:00:00', scoredAt: ['2026-01-01 00:00:00', '2026-03-01 00:00:00'] });
+  const later = await addPrediction(db, planB, { createdAt: '2025-06-01 11:00:00', scoredAt: ['2026-02-01 00:00:00'] });
+  await addPrediction(db, planB, { createdAt: '2025-06-01 12:00:00' });
+
+  const feed = await (await get('/resolved.json')).json();
+
+  assert.deepEqual(feed.items.map(item => item._philify.prediction_id), [later, rescored]);
+  assert.deepEqual(feed.items.map(item => [item.date_published, item.date_modified]),
+    [['2026-02-01T00:00:00Z', '2026-02-01T00:00:00Z'], ['2026-01-01T00:00:00Z', '2026-03-01T00:00:00Z']]);
+  await close(db);
+  server.close();
+});
+
+test('RSS and Atom escape names and sources, and readers get 304s until something changes', async () => {
+  const { db, server, predictors, get } = await feedsOf();
+  const planB = await predictors.create({ display_name: 'Plan B & Co' });
+  await addPrediction(db, planB, { createdAt: '2025-06-01 10:00:00', source: 'https://example.com/?a=1&b=2' });
+
+  const rss = await get('/predictors/plan-b-co.xml');
+  const xml = await rss.text();
+  assert.equal(rss.headers.get('last-modified'), 'Sun, 01 Jun 2025 10:00:00 GMT');
+  assert.match(xml, /<dc:creator>Plan B &amp; Co<\/dc:creator>/);
+  assert.match(xml, /a=1&amp;amp;b=2/);
+  assert.match(xml, /<link>https:\/\/philify\.example\/predictor\/plan-b-co<\/link>/);
+
+  const atom = await (await get('/predictors/plan-b-co.atom')).text();
+  assert.match(atom, /<link rel="related" href="https:\/\/example\.com\/\?a=1&amp;b=2"\/>/);
+  assert.match(atom, /<updated>2025-06-01T10:00:00Z<\/updated>/);
+
+  assert.equal((await get('/predictions.xml', { 'If-Modified-Since': 'Sun, 01 Jun 2025 10:00:00 GMT' })).status, 304);
+  assert.equal((await get('/predictors/nobody.json')).status, 404);
+  await close(db);
+  server.close();
+});
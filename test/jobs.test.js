@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, all, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createJobQueue } = require('../lib/jobs');
+
+async function setup() {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const jobs = createJobQueue(db, { workerId: 'test' });
+  const seen = [];
+  jobs.register('check', async payload => {
+    seen.push(payload);
+    return { settled: false };
+  });
+  return { db, jobs, seen };
+}
+
+test('a job already queued for the same key is not queued twice', async () => {
+  const { db, jobs } = await setup();
+  assert.equal(await jobs.enqueue('check', 1), true);
+  assert.equal(await jobs.enqueue('check', 1), false);
+  assert.equal((await all(db, 'SELECT * FROM jobs')).length, 1);
+  await close(db);
+});
+
+test('repeated checks reuse the finished job instead of adding rows', async () => {
+  const { db, jobs, seen } = await setup();
+  for (let hour = 0; hour < 24; hour++) {
+    assert.equal(await jobs.enqueue('check', 7, { hour }, { reuse: true }), true);
+    await jobs.drain();
+  }
+
+  const rows = await all(db, 'SELECT * FROM jobs');
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, 'done');
+  assert.equal(rows[0].attempts, 1);
+  assert.deepEqual(JSON.parse(rows[0].payload), { hour: 23 });
+  assert.equal(seen.length, 24);
+  await close(db);
+});
+
+test('reuse leaves a queued job alone and failed jobs for an admin', async () => {
+  const { db, jobs } = await setup();
+  jobs.register('broken', async () => {
+    throw new Error('no price');
+  });
+  await jobs.enqueue('broken', 3, null, { maxAttempts: 1 });
+  await jobs.drain();
+  assert.equal(await jobs.enqueue('broken', 3, null, { reuse: true }), true);
+  assert.equal(await jobs.enqueue('broken', 3, null, { reuse: true }), false);
+
+  const rows = await all(db, 'SELECT status FROM jobs ORDER BY id');
+  assert.deepEqual(rows.map(row => row.status), ['failed', 'queued']);
+  await close(db);
+});
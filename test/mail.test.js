@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createMailer, createSmtpTransport } = require('../lib/mail');
+
+// A stand-in SMTP server without STARTTLS, recording every command and the
+// message data. `replies` overrides the reply to a command by its verb.
+function smtpServer(replies = {}) {
+  const commands = [];
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (replies[verb]) {
+          socket.write(`${replies[verb]}\r\n`);
+        } else if (verb === 'EHLO') {
+          socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 accepted\r\n');
+        } else if (verb === 'DATA') {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, commands, messages, port: server.address().port }));
+  });
+}
+
+test('messages are sent over SMTP with auth, encoded headers and dot-stuffing', async () => {
+  const { server, commands, messages, port } = await smtpServer();
+  const mailer = createMailer({
+    transport: createSmtpTransport({ host: '127.0.0.1', port, user: 'philify', pass: 'secret' }),
+    from: 'notifications@philify.test'
+  });
+
+  await mailer.send({ to: 'admin@example.com', subject: 'Plan B\r\nBcc: x@example.com scored 80 ✓', text: 'Score\n.\nend' });
+
+  assert.deepEqual(commands.slice(1), [
+    `AUTH PLAIN ${Buffer.from('\0philify\0secret').toString('base64')}`,
+    'MAIL FROM:<notifications@philify.test>',
+    'RCPT TO:<admin@example.com>',
+    'DATA',
+    'QUIT'
+  ]);
+  const [headers, body] = messages[0].split('\r\n\r\n');
+  assert.match(headers, /^From: notifications@philify\.test\r\nTo: admin@example\.com\r\n/);
+  const subject = headers.match(/^Subject: =\?UTF-8\?B\?(.+)\?=$/m)[1];
+  assert.equal(Buffer.from(subject, 'base64').toString(), 'Plan B Bcc: x@example.com scored 80 ✓');
+  assert.doesNotMatch(headers, /^Bcc:/m);
+  assert.equal(body, 'Score\r\n..\r\nend');
+  server.close();
+});
+
+test('a rejected command fails the send', async () => {
+  const { server, messages, port } = await smtpServer({ RCPT: '550 no such user' });
+  const transport = createSmtpTransport({ host: '127.0.0.1', port });
+
+  await assert.rejects(transport.send({ from: 'a@philify.test', to: 'nobody@example.com', subject: 'x', text: 'x' }),
+    /SMTP RCPT TO:<nobody@example.com> failed: 550 no such user/);
+  assert.equal(messages.length, 0);
+  server.close();
+});
+
+test('email is disabled without a transport and needs a valid sender', () => {
+  assert.equal(createMailer({ transport: undefined }), null);
+  assert.throws(() => createMailer({ transport: 'log', from: 'not an address' }), /is not an email address/);
+  assert.throws(() => createMailer({ transport: 'carrier-pigeon' }), /Unknown mail transport/);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, all, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { todayUTC } = require('../lib/price-store');
+const { SPARKLINE_POINTS, markPrediction, createMarks } = require('../lib/marks');
+
+// Announced at 50000 for 200000 two years later
+const POINT = {
+  type: 'point',
+  asset: 'BTC',
+  quote_currency: 'USD',
+  price: 200000,
+  price_low: null,
+  price_high: null,
+  current_price: 50000,
+  date: '2027-01-01',
+  matures_at: '2027-01-01T00:00:00Z',
+  announced_at: '2025-01-01T00:00:00Z',
+  created_at: '2025-01-01 00:00:00'
+};
+const HALFWAY = Date.UTC(2026, 0, 1);
+
+test('halfway through, a prediction is on track at the compounded midpoint', () => {
+  const mark = markPrediction(POINT, 100000, HALFWAY);
+  assert.equal(mark.progress, 0.5);
+  assert.equal(mark.on_track_price, 100000);
+  assert.equal(mark.distance_percent, 100);
+  assert.equal(mark.terms.percentage_error, 0);
+  assert.match(mark.score_model, /^philify@/);
+
+  const behind = markPrediction(POINT, 40000, HALFWAY);
+  assert.equal(behind.terms.percentage_error, 150);
+  assert.deepEqual([mark.score, behind.score], [100, 0]);
+});
+
+test('progress runs from 0 at the announcement to 1 at maturity', () => {
+  assert.deepEqual(
+    [markPrediction(POINT, 50000, Date.UTC(2024, 0, 1)), markPrediction(POINT, 200000, Date.UTC(2028, 0, 1))]
+      .map(mark => [mark.progress, mark.on_track_price]),
+    [[0, 50000], [1, 200000]]);
+  // Without an announcement price it is judged against the target itself
+  assert.equal(markPrediction({ ...POINT, current_price: null }, 100000, HALFWAY).on_track_price, 200000);
+});
+
+test('ranges and thresholds move along the path with the target', () => {
+  const range = { ...POINT, type: 'range', price_low: 150000, price_high: 250000 };
+  // The range is 75000 to 125000 halfway there
+  const inside = markPrediction(range, 110000, HALFWAY);
+  assert.deepEqual([inside.terms.hit, Number(inside.distance_percent.toFixed(2))], [true, 36.36]);
+  assert.equal(markPrediction(range, 130000, HALFWAY).terms.hit, false);
+  assert.equal(markPrediction(range, 200000, HALFWAY).distance_percent, 0);
+
+  const above = { ...POINT, type: 'above' };
+  assert.equal(markPrediction(above, 110000, HALFWAY).terms.hit, true);
+  assert.equal(markPrediction(above, 210000, HALFWAY).distance_percent, 0);
+  assert.equal(markPrediction({ ...POINT, type: 'below', price: 40000 }, 45000, HALFWAY).distance_percent, -100 / 9);
+});
+
+test('touch predictions only get their distance', () => {
+  const mark = markPrediction({ ...POINT, type: 'touch' }, 160000, HALFWAY);
+  assert.deepEqual([mark.score, mark.score_model, mark.distance_percent], [null, null, 25]);
+});
+
+// A stand-in price store with a current price per asset and no history
+function fakePriceStore(prices, history = []) {
+  return {
+    async getCurrentPrice({ market }) {
+      if (!prices[market.asset]) {
+        throw new Error(`no ${market.asset} price`);
+      }
+      return prices[market.asset];
+    },
+    async getStoredHistory() {
+      return history;
+    }
+  };
+}
+
+async function addPrediction(db, fields = {}) {
+  const prediction = { ...POINT, date: '2099-01-01', matures_at: '2099-01-01T00:00:00Z', status: 'pending', ...fields };
+  const { lastID } = await run(db,
+    `INSERT INTO predictions (name, asset, quote_currency, type, price, current_price, date, matures_at, announced_at, status, hidden_at)
+     VALUES ('Plan B', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [prediction.asset, prediction.quote_currency, prediction.type, prediction.price, prediction.current_price, prediction.date,
+      prediction.matures_at, prediction.announced_at, prediction.status, prediction.hidden_at || null]);
+  return lastID;
+}
+
+test('refresh marks visible pending predictions once a day per market with a price', async () => {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const marks = createMarks({ db, priceStore: fakePriceStore({ BTC: 100000 }) });
+  const pending = await addPrediction(db);
+  await addPrediction(db, { hidden_at: '2026-01-01 00:00:00' });
+  await addPrediction(db, { matures_at: '2026-01-01T00:00:00Z', date: '2026-01-01' });
+  await addPrediction(db, { status: 'completed' });
+  await addPrediction(db, { asset: 'ETH', price: 10000, current_price: 3000 });
+
+  assert.equal(await marks.refresh(), 1);
+  assert.equal(await marks.refresh(), 1);
+  const rows = await all(db, 'SELECT prediction_id, date, price FROM provisional_scores');
+  assert.deepEqual(rows.map(row => ({ ...row })), [{ prediction_id: pending, date: todayUTC(), price: 100000 }]);
+
+  await marks.clear(pending);
+  assert.equal((await all(db, 'SELECT * FROM provisional_scores')).length, 0);
+  await close(db);
+});
+
+test('the sparkline starts at the announcement and fills days without a stored price from marks', async () => {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const history = [{ date: '2024-12-31', price: 49000 }];
+  for (let day = 1; day <= 60; day++) {
+    history.push({ date: new Date(Date.UTC(2025, 0, day)).toISOString().slice(0, 10), price: 50000 + day });
+  }
+  const marks = createMarks({ db, priceStore: fakePriceStore({ BTC: 100000 }, history) });
+  const id = await addPrediction(db);
+  await run(db,
+    "INSERT INTO provisional_scores (prediction_id, date, price, progress, distance_percent) VALUES (?, '2025-01-10', 1, 0.1, 0), (?, '2025-06-01', 70000, 0.2, 0)",
+    [id, id]);
+
+  const { marks: rows, sparkline } = await marks.history(id);
+  assert.equal(rows.length, 2);
+  assert.ok(sparkline.length <= SPARKLINE_POINTS + 1);
+  assert.deepEqual(sparkline[0], { date: '2025-01-01', price: 50000 });
+  assert.deepEqual(sparkline[sparkline.length - 1], { date: '2025-06-01', price: 70000 });
+  assert.ok(!sparkline.some(point => point.price === 1 || point.date < '2025-01-01'));
+  await close(db);
+});
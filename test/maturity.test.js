@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { zonedTimeToUtc, parseMaturity, parseAnnouncement } = require('../lib/maturity');
+
+const utc = (date, time, timeZone) => new Date(zonedTimeToUtc(date, time, timeZone)).toISOString();
+
+test('a time skipped by clocks going forward moves forward by the gap', () => {
+  // New York: 02:00 EST jumps to 03:00 EDT
+  assert.equal(utc('2026-03-08', '02:30:00', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+  // Berlin: 02:00 CET jumps to 03:00 CEST
+  assert.equal(utc('2026-03-29', '02:30:00', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+});
+
+test('a time repeated by clocks going back is its first occurrence', () => {
+  // New York: 01:30 EDT comes before 01:30 EST
+  assert.equal(utc('2026-11-01', '01:30:00', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+  // Berlin: 02:30 CEST comes before 02:30 CET
+  assert.equal(utc('2026-10-25', '02:30:00', 'Europe/Berlin'), '2026-10-25T00:30:00.000Z');
+});
+
+test('times just around a DST change keep their own offset', () => {
+  assert.equal(utc('2026-03-08', '01:59:59', 'America/New_York'), '2026-03-08T06:59:59.000Z');
+  assert.equal(utc('2026-03-08', '03:00:00', 'America/New_York'), '2026-03-08T07:00:00.000Z');
+});
+
+test('zones east of UTC land on the previous UTC day', () => {
+  assert.equal(utc('2026-06-01', '09:00:00', 'Asia/Tokyo'), '2026-06-01T00:00:00.000Z');
+  assert.equal(utc('2026-12-31', '00:30:00', 'Pacific/Auckland'), '2026-12-30T11:30:00.000Z');
+});
+
+test('the end of the year west of UTC matures in the next UTC year', () => {
+  const maturity = parseMaturity({ date: '2026-12-31', timezone: 'America/Los_Angeles' });
+  assert.deepEqual(maturity, { matures_at: '2027-01-01T07:59:59Z', timezone: 'America/Los_Angeles', date: '2027-01-01' });
+});
+
+test('impossible dates are rejected instead of rolled over', () => {
+  assert.throws(() => parseMaturity({ date: '2026-02-30' }), { status: 400, message: /date must be a real day/ });
+  assert.throws(() => parseMaturity({ date: '2026-04-31' }), { status: 400 });
+  assert.throws(() => parseMaturity({ matures_at: '2026-02-30T12:00:00Z' }), { status: 400 });
+  assert.deepEqual(parseMaturity({ date: '2028-02-29' }).date, '2028-02-29');
+
+  const maturity = parseMaturity({ date: '2030-12-31' });
+  const now = Date.UTC(2026, 5, 1);
+  assert.throws(() => parseAnnouncement({ announced_at: '2026-02-29' }, maturity, {}, now), { status: 400 });
+  assert.throws(() => parseAnnouncement({ announced_at: '2026-02-30T10:00:00+02:00' }, maturity, {}, now), { status: 400 });
+  assert.throws(() => parseAnnouncement({ announced_at: '2026-02-10T24:30' }, maturity, {}, now), { status: 400 });
+  assert.deepEqual(parseAnnouncement({ announced_at: '2026-02-28T10:00' }, maturity, {}, now),
+    { announced_at: '2026-02-28T10:00:00Z' });
+});
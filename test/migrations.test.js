@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, all, close } = require('../lib/db');
+const { loadMigrations, migrate } = require('../lib/migrator');
+
+test('predictions with a date from before 011 are flagged as legacy maturities', async () => {
+  const db = openDatabase(':memory:');
+  const migrations = loadMigrations();
+  await migrate(db, migrations.filter(migration => migration.version < 11));
+  await run(db,
+    "INSERT INTO predictions (name, price, date, status, created_at) VALUES ('Old', 100000, '2025-01-01', 'pending', '2024-06-01 12:00:00')");
+  await migrate(db, migrations);
+  await run(db,
+    `INSERT INTO predictions (name, price, date, matures_at, timezone, status, created_at)
+     VALUES ('New', 100000, '2026-01-01', '2026-01-01T23:59:59Z', 'UTC', 'pending', '2999-01-01 00:00:00')`);
+
+  const rows = await all(db, 'SELECT name, matures_at, legacy_maturity FROM predictions ORDER BY id');
+  assert.deepEqual(rows.map(row => ({ ...row })), [
+    { name: 'Old', matures_at: '2025-01-01T23:59:59Z', legacy_maturity: 1 },
+    { name: 'New', matures_at: '2026-01-01T23:59:59Z', legacy_maturity: 0 }
+  ]);
+  await close(db);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createModeration } = require('../lib/moderation');
+
+async function moderation() {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  return { db, moderation: createModeration({ db, secret: 'test' }) };
+}
+
+async function addPrediction(db, source) {
+  const { lastID } = await run(db,
+    "INSERT INTO predictions (name, price, date, status, source) VALUES ('Plan B', 100000, '2030-12-31', 'pending', ?)",
+    [source]);
+  return lastID;
+}
+
+const submission = source => ({ name: 'Someone else', type: 'point', price: 5, date: '2040-01-01', source });
+
+test('sources with LIKE wildcards in them are matched literally', async () => {
+  const { db, moderation: { findDuplicate } } = await moderation();
+  const id = await addPrediction(db, 'https://example.com/posts/btc_100%25_2030');
+  await addPrediction(db, 'https://example.com/posts/btcx100x25x2030');
+
+  assert.deepEqual(await findDuplicate(submission('https://example.com/posts/btc_100%25_2030')),
+    { id, reason: 'same source' });
+  assert.equal(await findDuplicate(submission('https://example.com/posts/btc_100%25_2031')), null);
+  await close(db);
+});
+
+test('youtu.be and youtube.com links to the same video are duplicates either way round', async () => {
+  const { db, moderation: { findDuplicate } } = await moderation();
+  const short = await addPrediction(db, 'https://youtu.be/dQw4w9WgXcQ?si=share');
+  const long = await addPrediction(db, 'https://www.youtube.com/watch?v=aBcDeFgHiJk&t=42');
+
+  assert.deepEqual(await findDuplicate(submission('https://www.youtube.com/watch?v=dQw4w9WgXcQ')),
+    { id: short, reason: 'same source' });
+  assert.deepEqual(await findDuplicate(submission('https://youtu.be/aBcDeFgHiJk')), { id: long, reason: 'same source' });
+  assert.equal(await findDuplicate(submission('https://www.youtube.com/watch?v=zzzzzzzzzzz')), null);
+  await close(db);
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WebSocketServer } = require('ws');
+const { openDatabase, run, get, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createJobQueue } = require('../lib/jobs');
+const {
+  generateSecretKey, getPublicKey, parseSecretKey, bech32Encode, bech32Decode,
+  finalizeEvent, verifyEvent, publishToRelay, buildNote, createNostrPublisher
+} = require('../lib/nostr');
+
+// A relay stand-in on a free port. `answer(event)` gives the OK message's
+// [accepted, message], or null to stay silent.
+function stubRelay(answer = () => [true, '']) {
+  return new Promise(resolve => {
+    const received = [];
+    const server = new WebSocketServer({ port: 0 }, () => {
+      resolve({
+        url: `ws://127.0.0.1:${server.address().port}`,
+        received,
+        close: () => new Promise(done => {
+          server.clients.forEach(client => client.terminate());
+          server.close(done);
+        })
+      });
+    });
+    server.on('connection', socket => {
+      socket.on('message', data => {
+        const [type, event] = JSON.parse(data.toString());
+        if (type !== 'EVENT') {
+          return;
+        }
+        received.push(event);
+        const reply = answer(event);
+        if (reply) {
+          socket.send(JSON.stringify(['OK', event.id, ...reply]));
+        }
+      });
+    });
+  });
+}
+
+const prediction = {
+  id: 12,
+  name: 'Plan B',
+  asset: 'BTC',
+  quote_currency: 'USD',
+  type: 'point',
+  price: 150000,
+  matures_at: '2026-12-31T23:59:59Z',
+  current_price: 100000,
+  source: 'https://example.com/plan-b'
+};
+
+test('keys round-trip through hex and nsec', () => {
+  const key = generateSecretKey();
+  assert.equal(key.length, 32);
+  assert.deepEqual(parseSecretKey(key.toString('hex')), key);
+  assert.deepEqual(parseSecretKey(bech32Encode('nsec', key)), key);
+  const npub = bech32Encode('npub', getPublicKey(key));
+  assert.match(npub, /^npub1/);
+  assert.deepEqual(bech32Decode(npub).bytes, getPublicKey(key));
+  assert.throws(() => parseSecretKey('0'.repeat(64)), /out of range/);
+  assert.throws(() => parseSecretKey('not a key'), /64 hex characters or an nsec/);
+});
+
+test('signed events verify and tampering is caught', () => {
+  const key = generateSecretKey();
+  const event = finalizeEvent({ kind: 1, content: 'hello', tags: [], created_at: 1700000000 }, key);
+  assert.equal(event.pubkey, getPublicKey(key).toString('hex'));
+  assert.equal(verifyEvent(event), true);
+  assert.equal(verifyEvent({ ...event, content: 'goodbye' }), false);
+  assert.equal(verifyEvent({ ...event, sig: event.sig.replace(/^./, c => (c === '0' ? '1' : '0')) }), false);
+});
+
+test('notes link to the prediction page', () => {
+  const note = buildNote('created', prediction, { publicUrl: 'https://philify.example/' });
+  assert.match(note.content, /Plan B: BTC\/USD at 150,000 USD/);
+  assert.match(note.content, /Verify: https:\/\/philify\.example\/prediction\/12$/m);
+  assert.deepEqual(note.tags, [['t', 'philify'], ['t', 'bitcoin'], ['r', 'https://example.com/plan-b']]);
+});
+
+test('publishToRelay resolves with the relay\'s answer', async () => {
+  const relay = await stubRelay(event => (event.content === 'dup' ? [false, 'duplicate: have it'] : [false, 'blocked: no']));
+  const key = generateSecretKey();
+  try {
+    assert.deepEqual(await publishToRelay(relay.url, finalizeEvent({ kind: 1, content: 'dup' }, key)),
+      { accepted: true, message: 'duplicate: have it' });
+    assert.deepEqual(await publishToRelay(relay.url, finalizeEvent({ kind: 1, content: 'spam' }, key)),
+      { accepted: false, message: 'blocked: no' });
+  } finally {
+    await relay.close();
+  }
+});
+
+test('publishToRelay gives up on a silent relay and on one that is down', async () => {
+  const relay = await stubRelay(() => null);
+  const event = finalizeEvent({ kind: 1, content: 'hello' }, generateSecretKey());
+  try {
+    await assert.rejects(publishToRelay(relay.url, event, { timeout: 200 }), /did not answer/);
+  } finally {
+    await relay.close();
+  }
+  await assert.rejects(publishToRelay(relay.url, event, { timeout: 1000 }));
+});
+
+test('the publisher signs, sends and records notes through the job queue', async () => {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const jobs = createJobQueue(db, { workerId: 'test' });
+  const good = await stubRelay();
+  const bad = await stubRelay(() => [false, 'blocked: no']);
+  try {
+    const { lastID: id } = await run(db,
+      `INSERT INTO predictions (name, asset, quote_currency, type, price, date, matures_at, current_price, source, status)
+       VALUES ('Plan B', 'BTC', 'USD', 'point', 150000, '2026-12-31', '2026-12-31T23:59:59Z', 100000, 'https://example.com/plan-b', 'pending')`);
+    const secretKey = generateSecretKey();
+    const nostr = createNostrPublisher({
+      db, jobs, secretKey, relays: [good.url, bad.url], publicUrl: 'https://philify.example', timeout: 1000
+    });
+    assert.equal(nostr.pubkey, getPublicKey(secretKey).toString('hex'));
+
+    await nostr.queue('created', id);
+    await jobs.drain();
+
+    assert.equal(good.received.length, 1);
+    const [event] = good.received;
+    assert.equal(verifyEvent(event), true);
+    assert.match(event.content, new RegExp(`/prediction/${id}$`, 'm'));
+    const stored = await get(db, 'SELECT * FROM nostr_events WHERE prediction_id = ?', [id]);
+    assert.equal(stored.event_id, event.id);
+    assert.deepEqual(JSON.parse(stored.relays), [good.url]);
+    assert.ok(stored.published_at);
+
+    const [listed] = await nostr.listEvents(id);
+    assert.equal(listed.purpose, 'created');
+    assert.match(listed.note, /^note1/);
+  } finally {
+    await good.close();
+    await bad.close();
+    await close(db);
+  }
+});
+
+test('a note no relay accepts is retried with the same event', async () => {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  let accept = false;
+  const relay = await stubRelay(() => [accept, accept ? '' : 'blocked: try later']);
+  try {
+    const { lastID: id } = await run(db,
+      `INSERT INTO predictions (name, asset, quote_currency, type, price, date, matures_at, status)
+       VALUES ('Plan B', 'BTC', 'USD', 'point', 150000, '2026-12-31', '2026-12-31T23:59:59Z', 'pending')`);
+    const nostr = createNostrPublisher({ db, jobs: null, secretKey: generateSecretKey(), relays: [relay.url], timeout: 1000 });
+
+    await assert.rejects(nostr.publishPrediction({ purpose: 'created', prediction_id: id }), /No relay accepted/);
+    accept = true;
+    const result = await nostr.publishPrediction({ purpose: 'created', prediction_id: id });
+
+    assert.equal(relay.received.length, 2);
+    assert.equal(relay.received[0].id, relay.received[1].id);
+    assert.equal(result.event_id, relay.received[0].id);
+  } finally {
+    await relay.close();
+    await close(db);
+  }
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { openDatabase, all, get, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createJobQueue } = require('../lib/jobs');
+const { createNotifier } = require('../lib/notifications');
+
+// A stand-in webhook receiver answering every POST with `status`, recording
+// the headers and raw body of each request
+function fixtureServer(status = 204) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` }));
+  });
+}
+
+// Deliveries only run when the test drains the queue itself, not when emit()
+// kicks off a pass
+async function notifierOf(options = {}) {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const jobs = createJobQueue(db, { workerId: 'test', backoffBase: 0, ...options });
+  const notifier = createNotifier({ db, jobs: { ...jobs, drain: async () => {} } });
+  return { db, jobs, notifier };
+}
+
+test('webhooks are signed with the subscription secret over the exact body', async () => {
+  const { server, requests, url } = await fixtureServer();
+  const { db, jobs, notifier } = await notifierOf();
+  const { id, secret } = await notifier.createSubscription({ address: url });
+
+  assert.equal(await notifier.emit('ping', { message: 'hello' }), 1);
+  await jobs.drain();
+
+  assert.equal(requests.length, 1);
+  const { headers, body } = requests[0];
+  const expected = crypto.createHmac('sha256', secret).update(`${headers['x-philify-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-philify-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-philify-event'], 'ping');
+  assert.deepEqual(JSON.parse(body).data, { message: 'hello' });
+
+  const delivery = await get(db, 'SELECT * FROM notification_deliveries WHERE subscription_id = ?', [id]);
+  assert.equal(headers['x-philify-delivery'], String(delivery.id));
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.response_status, 204);
+  await close(db);
+  server.close();
+});
+
+test('failed deliveries are retried with the same id, then marked failed', async () => {
+  const { server, requests, url } = await fixtureServer(500);
+  const { db, jobs, notifier } = await notifierOf({ maxAttempts: 3 });
+  await notifier.createSubscription({ address: url });
+
+  await notifier.emit('ping', {});
+  await jobs.drain();
+
+  assert.equal(requests.length, 3);
+  assert.equal(new Set(requests.map(request => request.headers['x-philify-delivery'])).size, 1);
+  const delivery = await get(db, 'SELECT * FROM notification_deliveries');
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.response_status, 500);
+  assert.match(delivery.last_error, /returned 500/);
+  assert.equal((await get(db, "SELECT status FROM jobs WHERE type = 'deliver-notification'")).status, 'failed');
+  await close(db);
+  server.close();
+});
+
+test('paused subscriptions get nothing new and their queued deliveries are cancelled', async () => {
+  const { server, requests, url } = await fixtureServer();
+  const { db, jobs, notifier } = await notifierOf();
+  const { id } = await notifier.createSubscription({ address: url });
+
+  assert.equal(await notifier.emit('ping', {}), 1);
+  await notifier.updateSubscription(id, { active: false });
+  assert.equal(await notifier.emit('prediction.scored', {}), 0);
+  await jobs.drain();
+
+  assert.equal(requests.length, 0);
+  const deliveries = await all(db, 'SELECT event, status, attempts FROM notification_deliveries');
+  assert.deepEqual(deliveries.map(row => ({ ...row })), [{ event: 'ping', status: 'cancelled', attempts: 0 }]);
+  await close(db);
+  server.close();
+});
+
+test('subscriptions only get the events they asked for', async () => {
+  const { server, requests, url } = await fixtureServer();
+  const { db, jobs, notifier } = await notifierOf();
+  await notifier.createSubscription({ address: url, events: 'prediction.scored' });
+
+  assert.equal(await notifier.emit('prediction.created', {}), 0);
+  assert.equal(await notifier.emit('prediction.scored', {}), 1);
+  await jobs.drain();
+
+  assert.deepEqual(requests.map(request => request.headers['x-philify-event']), ['prediction.scored']);
+  await close(db);
+  server.close();
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createPriceStore } = require('../lib/price-store');
+const { createPredictorService } = require('../lib/predictors');
+const { createPredictionIO } = require('../lib/prediction-io');
+
+// A stand-in price service recording every call made to it
+function fakePriceService() {
+  const calls = [];
+  return {
+    calls,
+    async getHistoricalQuote(date) {
+      calls.push(['getHistoricalQuote', date]);
+      return { price: 50000, source: 'fake' };
+    },
+    async getQuoteAt(timestamp) {
+      calls.push(['getQuoteAt', timestamp]);
+      return { price: 60000, source: 'fake' };
+    },
+    async getCurrentQuote() {
+      calls.push(['getCurrentQuote']);
+      return { price: 70000, source: 'fake' };
+    }
+  };
+}
+
+async function importer() {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const priceService = fakePriceService();
+  const io = createPredictionIO({
+    db,
+    predictors: createPredictorService(db),
+    priceStore: createPriceStore(db, priceService)
+  });
+  return { db, io, priceService };
+}
+
+const row = (price, announcedAt) => ({ name: 'Plan B', price, date: '2030-12-31', announced_at: announcedAt });
+
+test('backdated rows use the stored daily price instead of asking the providers', async () => {
+  const { db, io, priceService } = await importer();
+  await run(db,
+    `INSERT INTO prices (asset, quote_currency, date, timestamp, price, source, is_daily)
+     VALUES ('BTC', 'USD', '2024-03-01', ?, 62000, 'backfill', 1)`,
+    [Date.UTC(2024, 2, 1)]);
+
+  const result = await io.importRows([
+    row(100000, '2024-03-01T09:15:00Z'),
+    row(110000, '2024-03-01T17:40:00Z')
+  ], { dryRun: true });
+
+  assert.deepEqual(result.rows.map(entry => entry.current_price), [62000, 62000]);
+  assert.deepEqual(priceService.calls, []);
+  await close(db);
+});
+
+test('a past day without a stored price is fetched once for all its rows', async () => {
+  const { db, io, priceService } = await importer();
+
+  const result = await io.importRows([
+    row(100000, '2024-03-02T09:15:00Z'),
+    row(110000, '2024-03-02T17:40:00Z'),
+    row(120000, '2024-03-02T23:00:00Z')
+  ], { dryRun: true });
+
+  assert.deepEqual(result.rows.map(entry => entry.current_price), [50000, 50000, 50000]);
+  assert.deepEqual(priceService.calls, [['getHistoricalQuote', '2024-03-02']]);
+  await close(db);
+});
+
+test('a stored intraday price near the announcement wins over the daily one', async () => {
+  const { db, io, priceService } = await importer();
+  await run(db,
+    `INSERT INTO prices (asset, quote_currency, date, timestamp, price, source, is_daily)
+     VALUES ('BTC', 'USD', '2024-03-01', ?, 62000, 'backfill', 1), ('BTC', 'USD', '2024-03-01', ?, 61500, 'fake', 0)`,
+    [Date.UTC(2024, 2, 1), Date.UTC(2024, 2, 1, 9, 14)]);
+
+  const result = await io.importRows([row(100000, '2024-03-01T09:15:00Z')], { dryRun: true });
+
+  assert.equal(result.rows[0].current_price, 61500);
+  assert.deepEqual(priceService.calls, []);
+  await close(db);
+});
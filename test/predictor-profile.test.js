@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createPredictorService } = require('../lib/predictors');
+const { createPredictorProfiles } = require('../lib/predictor-profile');
+
+const round = value => (value === null ? null : Number(value.toFixed(2)));
+
+// Announced on 2025-01-01, maturing `days` later. `actual` settles it with
+// `score`; `baselineError` is the naive baseline's percentage error.
+async function addPrediction(db, predictorId, { type = 'point', price, low = null, high = null, days, actual, score, baselineError, hidden = false }) {
+  const maturesAt = new Date(Date.UTC(2025, 0, 1 + days)).toISOString().replace('.000', '');
+  const settled = actual !== undefined;
+  const { lastID } = await run(db,
+    `INSERT INTO predictions (name, type, price, price_low, price_high, date, matures_at, announced_at, status, score, predictor_id, hidden_at)
+     VALUES ('Plan B', ?, ?, ?, ?, ?, ?, '2025-01-01T00:00:00Z', ?, ?, ?, ?)`,
+    [type, price, low, high, maturesAt.slice(0, 10), maturesAt, settled ? 'completed' : 'pending', settled ? score : null,
+      predictorId, hidden ? '2025-06-01 00:00:00' : null]);
+  if (settled) {
+    await run(db,
+      `INSERT INTO prediction_scores (prediction_id, model, model_version, score, actual_price, percentage_error, is_active)
+       VALUES (?, 'philify', 3, ?, ?, ?, 1)`,
+      [lastID, score, actual, Math.abs(price - actual) / actual * 100]);
+  }
+  if (baselineError !== undefined) {
+    await run(db, "INSERT INTO baseline_predictions (prediction_id, baseline, percentage_error) VALUES (?, 'unchanged', ?)",
+      [lastID, baselineError]);
+  }
+  return lastID;
+}
+
+async function profileOf(predictions) {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const predictors = createPredictorService(db);
+  const predictor = await predictors.create({ display_name: 'Plan B' });
+  for (const prediction of predictions) {
+    await addPrediction(db, predictor.id, prediction);
+  }
+  const profile = await createPredictorProfiles({ db, predictors }).load('plan-b');
+  await close(db);
+  return profile;
+}
+
+test('bias statistics come from the signed errors of scored point and range targets', async () => {
+  const { stats, predictions } = await profileOf([
+    { price: 110, actual: 100, score: 80, days: 30, baselineError: 20 },
+    { price: 95, actual: 100, score: 90, days: 60 },
+    // Measured to the nearest end of the range: 110 against 120
+    { type: 'range', price: 100, low: 90, high: 110, actual: 120, score: 30, days: 90 },
+    { type: 'above', price: 100, actual: 150, score: 70, days: 120 },
+    { price: 200, days: 365 },
+    { price: 1, actual: 100, score: 0, days: 10, hidden: true }
+  ]);
+
+  assert.deepEqual(predictions.map(row => round(row.error_pct)), [null, null, -8.33, -5, 10]);
+  assert.deepEqual({
+    prediction_count: stats.prediction_count,
+    scored_count: stats.scored_count,
+    pending_count: stats.pending_count,
+    price_target_count: stats.price_target_count,
+    average_score: stats.average_score,
+    bias_pct: round(stats.bias_pct),
+    average_absolute_error_pct: round(stats.average_absolute_error_pct),
+    average_overshoot_pct: stats.average_overshoot_pct,
+    average_undershoot_pct: round(stats.average_undershoot_pct),
+    hit_rate_5: round(stats.hit_rate_5),
+    hit_rate_10: stats.hit_rate_10,
+    average_skill_score: stats.average_skill_score,
+    median_horizon_days: stats.median_horizon_days,
+    average_horizon_days: stats.average_horizon_days
+  }, {
+    prediction_count: 5,
+    scored_count: 4,
+    pending_count: 1,
+    price_target_count: 3,
+    average_score: 67.5,
+    bias_pct: -1.11,
+    average_absolute_error_pct: 7.78,
+    average_overshoot_pct: 10,
+    average_undershoot_pct: -6.67,
+    hit_rate_5: 0.33,
+    hit_rate_10: 1,
+    // 1 - 10% / 20%, the only prediction with a baseline
+    average_skill_score: 0.5,
+    median_horizon_days: 90,
+    average_horizon_days: 133
+  });
+});
+
+test('the score history runs in maturity order with a running average', async () => {
+  const { score_history: history } = await profileOf([
+    { price: 100, actual: 100, score: 90, days: 60 },
+    { price: 100, actual: 100, score: 60, days: 30 },
+    { price: 100, days: 10 }
+  ]);
+  assert.deepEqual(history.map(entry => [entry.matures_at.slice(0, 10), entry.score, entry.running_average]),
+    [['2025-01-31', 60, 60], ['2025-03-02', 90, 75]]);
+});
+
+test('a predictor without scored predictions has empty statistics', async () => {
+  const { stats } = await profileOf([{ price: 100, days: 10 }]);
+  assert.deepEqual([stats.average_score, stats.bias_pct, stats.hit_rate_5, stats.median_horizon_days], [null, null, null, 10]);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, all, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createPredictorService } = require('../lib/predictors');
+
+async function service() {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  return { db, predictors: createPredictorService(db) };
+}
+
+async function addPrediction(db, predictor) {
+  await run(db,
+    "INSERT INTO predictions (name, price, date, status, predictor_id) VALUES (?, 100000, '2026-01-10', 'pending', ?)",
+    [predictor.display_name, predictor.id]);
+}
+
+test('merging moves predictions and aliases, and old slugs resolve to the target', async () => {
+  const { db, predictors } = await service();
+  const saylor = await predictors.create({ display_name: 'Saylor' });
+  const duplicate = await predictors.create({ display_name: 'Michael Saylor' });
+  const typo = await predictors.create({ display_name: 'Saylr' });
+  await addPrediction(db, duplicate);
+  await addPrediction(db, typo);
+
+  const first = await predictors.merge(saylor.id, [typo.id]);
+  assert.deepEqual({ moved: first.moved, removed: first.removed }, { moved: 1, removed: 1 });
+  const result = await predictors.merge(saylor.id, [duplicate.id, duplicate.id, 'x']);
+
+  assert.deepEqual({ moved: result.moved, removed: result.removed }, { moved: 1, removed: 1 });
+  assert.deepEqual(result.predictor.aliases, ['Saylor', 'Michael Saylor', 'Saylr']);
+  assert.deepEqual((await all(db, 'SELECT DISTINCT predictor_id FROM predictions')).map(row => row.predictor_id), [saylor.id]);
+  assert.equal((await predictors.findBySlug('michael-saylor')).id, saylor.id);
+  assert.equal((await predictors.findBySlug('saylr')).slug, 'saylor');
+  assert.equal((await predictors.findByName('saylr')).id, saylor.id);
+  await close(db);
+});
+
+test('redirects follow a predictor merged again and keep their slugs taken', async () => {
+  const { db, predictors } = await service();
+  const first = await predictors.create({ display_name: 'Plan B' });
+  const second = await predictors.create({ display_name: 'PlanB Model' });
+  const third = await predictors.create({ display_name: '100trillionUSD' });
+
+  await predictors.merge(second.id, [first.id]);
+  await predictors.merge(third.id, [second.id]);
+
+  assert.equal((await predictors.findBySlug('plan-b')).id, third.id);
+  assert.equal((await predictors.findBySlug('planb-model')).id, third.id);
+  assert.equal((await predictors.create({ display_name: 'plan  b!' })).slug, 'plan-b-2');
+  await close(db);
+});
+
+test('a merge without other predictors is rejected', async () => {
+  const { db, predictors } = await service();
+  const saylor = await predictors.create({ display_name: 'Saylor' });
+
+  await assert.rejects(predictors.merge(saylor.id, [saylor.id, 'x']), { status: 400 });
+  await assert.rejects(predictors.merge(999, [saylor.id]), { status: 404 });
+  await close(db);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createPriceService,
+  createCoinbaseProvider,
+  createLocalProvider,
+  parseProviderOrder
+} = require('../lib/price-providers');
+
+// A stand-in provider answering with `price` (or throwing `error`) and
+// recording every call made to it
+function fakeProvider(name, { price = 100, error = null } = {}) {
+  const calls = [];
+  const answer = method => async (...args) => {
+    calls.push([method, ...args]);
+    if (error) {
+      throw new Error(error);
+    }
+    return price;
+  };
+  return {
+    name,
+    calls,
+    getCurrentPrice: answer('getCurrentPrice'),
+    getHistoricalPrice: answer('getHistoricalPrice'),
+    getPriceAt: answer('getPriceAt')
+  };
+}
+
+test('the first provider that answers wins and later ones are not asked', async () => {
+  const first = fakeProvider('first', { price: 101 });
+  const second = fakeProvider('second', { price: 202 });
+  const service = createPriceService({ providers: [first, second] });
+
+  assert.deepEqual(await service.getCurrentQuote(), { price: 101, source: 'first' });
+  assert.equal(first.calls.length, 1);
+  assert.equal(second.calls.length, 0);
+});
+
+test('a failing provider falls back to the next one in order', async () => {
+  const down = fakeProvider('down', { error: 'outage' });
+  const slow = fakeProvider('slow', { error: 'timeout' });
+  const up = fakeProvider('up', { price: 303 });
+  const service = createPriceService({ providers: [down, slow, up] });
+
+  assert.deepEqual(await service.getHistoricalQuote('2026-01-01'), { price: 303, source: 'up' });
+  assert.deepEqual(down.calls, [['getHistoricalPrice', '2026-01-01', { asset: 'BTC', quote: 'USD' }]]);
+  assert.equal(slow.calls.length, 1);
+  assert.equal(up.calls.length, 1);
+});
+
+test('every provider failing reports each failure', async () => {
+  const service = createPriceService({
+    providers: [fakeProvider('a', { error: 'rate limited' }), fakeProvider('b', { error: 'no such market' })]
+  });
+
+  await assert.rejects(service.getQuoteAt(Date.UTC(2026, 0, 1)),
+    /All price providers failed .*a: rate limited; b: no such market/);
+});
+
+test('historical quotes keep the high and low a provider reports', async () => {
+  const ranged = fakeProvider('ranged', { price: { price: 50, high: 55, low: 45 } });
+  const service = createPriceService({ providers: [ranged] });
+
+  assert.deepEqual(await service.getHistoricalQuote('2026-01-01'), { price: 50, high: 55, low: 45, source: 'ranged' });
+  assert.equal(await service.getHistoricalPrice('2026-01-01'), 50);
+});
+
+test('the market is passed through to the providers', async () => {
+  const provider = fakeProvider('fake');
+  const service = createPriceService({ providers: [provider] });
+
+  await service.getCurrentPrice({ asset: 'ETH', quote: 'EUR' });
+  assert.deepEqual(provider.calls, [['getCurrentPrice', { asset: 'ETH', quote: 'EUR' }]]);
+});
+
+test('providers are built by name with an injected fetch', async () => {
+  const urls = [];
+  const fetch = async url => {
+    urls.push(url);
+    return { ok: true, json: async () => ({ price: '123.45' }) };
+  };
+  const service = createPriceService({ providers: ['coinbase'], fetch });
+
+  assert.deepEqual(service.providers, ['coinbase']);
+  assert.deepEqual(await service.getCurrentQuote(), { price: 123.45, source: 'coinbase' });
+  assert.deepEqual(urls, ['https://api.exchange.coinbase.com/products/BTC-USD/ticker']);
+});
+
+test('an HTTP error from a provider counts as a failure', async () => {
+  const fetch = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable', text: async () => 'down' });
+  const backup = fakeProvider('backup', { price: 404.5 });
+  const service = createPriceService({ providers: [createCoinbaseProvider({ fetch }), backup] });
+
+  assert.deepEqual(await service.getCurrentQuote(), { price: 404.5, source: 'backup' });
+});
+
+test('unknown provider names and empty chains are rejected', () => {
+  assert.throws(() => createPriceService({ providers: ['nope'] }), /Unknown price provider 'nope'/);
+  assert.throws(() => createPriceService({ providers: [] }), /At least one price provider/);
+});
+
+test('PRICE_PROVIDERS is split, trimmed and lower-cased', () => {
+  assert.deepEqual(parseProviderOrder(' Coinbase , local,'), ['coinbase', 'local']);
+  assert.deepEqual(parseProviderOrder(''), ['coingecko', 'coinbase', 'local']);
+});
+
+test('the local provider reads daily prices and ranges from CSV', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'philify-prices-'));
+  const file = path.join(dir, 'prices.csv');
+  fs.writeFileSync(file, 'date,price,high,low\n2026-01-01,100\n2026-01-02,110,120,105\n');
+  const local = createLocalProvider({ file });
+
+  assert.equal(await local.getHistoricalPrice('2026-01-01'), 100);
+  assert.deepEqual(await local.getHistoricalPrice('2026-01-02'), { price: 110, high: 120, low: 105 });
+  assert.equal(await local.getCurrentPrice(), 110);
+  assert.equal(await local.getPriceAt(Date.UTC(2026, 0, 1, 12)), 100);
+  await assert.rejects(local.getHistoricalPrice('2026-01-03'), /No local price for 2026-01-03/);
+  fs.rmSync(dir, { recursive: true });
+});
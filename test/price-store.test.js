@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, get, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { createPriceStore } = require('../lib/price-store');
+
+const DOMINANCE = { asset: 'BTC.D', quote: 'PCT' };
+
+// A stand-in price service that, like the real providers for BTC.D, only
+// knows the current value
+function currentOnlyService(value) {
+  const fail = async () => {
+    throw new Error('All price providers failed: no history');
+  };
+  return {
+    getCurrentQuote: async () => ({ price: value, source: 'fake' }),
+    getHistoricalQuote: fail,
+    getQuoteAt: fail
+  };
+}
+
+async function store(value = 55.5) {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  return { db, priceStore: createPriceStore(db, currentOnlyService(value)) };
+}
+
+async function addSnapshot(db, timestamp, price) {
+  await run(db,
+    `INSERT INTO prices (asset, quote_currency, date, timestamp, price, source, is_daily)
+     VALUES ('BTC.D', 'PCT', ?, ?, ?, 'fake', 0)`,
+    [new Date(timestamp).toISOString().slice(0, 10), timestamp, price]);
+}
+
+test('index markets get an hourly snapshot of their current value', async () => {
+  const { db, priceStore } = await store(56.25);
+
+  assert.equal(await priceStore.recordIndexSnapshots(), 1);
+  const row = await get(db, "SELECT price, is_daily FROM prices WHERE asset = 'BTC.D'");
+  assert.deepEqual({ ...row }, { price: 56.25, is_daily: 0 });
+  await close(db);
+});
+
+test('an index market resolves at the nearest snapshot and keeps it for re-scoring', async () => {
+  const { db, priceStore } = await store();
+  const maturity = Date.UTC(2026, 0, 10, 23, 59, 59);
+  await addSnapshot(db, maturity - 40 * 60 * 1000, 54.1);
+  await addSnapshot(db, maturity + 20 * 60 * 1000, 54.3);
+
+  assert.equal(await priceStore.getPriceAt(maturity, DOMINANCE), 54.3);
+  assert.equal((await get(db, "SELECT source FROM prices WHERE timestamp = ?", [maturity])).source, 'snapshot');
+  await close(db);
+});
+
+test('an index market without a snapshot near the instant still fails', async () => {
+  const { db, priceStore } = await store();
+  const maturity = Date.UTC(2026, 0, 10, 12);
+  await addSnapshot(db, maturity - 3 * 60 * 60 * 1000, 54.1);
+
+  await assert.rejects(priceStore.getPriceAt(maturity, DOMINANCE), /All price providers failed/);
+  await close(db);
+});
+
+test("an index market's daily price is the day's last snapshot", async () => {
+  const { db, priceStore } = await store();
+  await addSnapshot(db, Date.UTC(2026, 0, 10, 8), 54.1);
+  await addSnapshot(db, Date.UTC(2026, 0, 10, 23, 30), 54.9);
+
+  assert.equal(await priceStore.getDailyPrice('2026-01-10', DOMINANCE), 54.9);
+  assert.equal((await get(db, "SELECT price FROM prices WHERE is_daily = 1 AND date = '2026-01-10'")).price, 54.9);
+  await close(db);
+});
+
+test('other markets never fall back to snapshots', async () => {
+  const { db, priceStore } = await store();
+  await run(db,
+    `INSERT INTO prices (asset, quote_currency, date, timestamp, price, source, is_daily)
+     VALUES ('BTC', 'USD', '2026-01-10', ?, 95000, 'fake', 0)`,
+    [Date.UTC(2026, 0, 10, 23, 30)]);
+
+  await assert.rejects(priceStore.getDailyPrice('2026-01-10'), /All price providers failed/);
+  await close(db);
+});
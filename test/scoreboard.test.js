@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, run, close } = require('../lib/db');
+const { migrate } = require('../lib/migrator');
+const { addDays, todayUTC } = require('../lib/price-store');
+const { DEFAULTS, parseOptions, methodKey, rankPredictors, createScoreboard } = require('../lib/scoreboard');
+
+const TODAY = '2026-06-01';
+
+function row(name, score, date = TODAY) {
+  return { predictor_id: name, predictor_slug: name.toLowerCase(), predictor_name: name, score, date };
+}
+
+function ranking(rows, query = {}) {
+  return rankPredictors(rows, parseOptions(query), TODAY)
+    .map(entry => [entry.name, entry.rank, Number(entry.score.toFixed(2))]);
+}
+
+// One lucky call against two steady records
+const ROWS = [
+  row('Lucky', 95),
+  ...[90, 90, 90, 90].map(score => row('Steady', score)),
+  ...[60, 60, 60, 60].map(score => row('Poor', score))
+];
+
+test('mean ranks by average score, ties by count and then name', () => {
+  assert.deepEqual(ranking(ROWS), [['Lucky', 1, 95], ['Steady', 2, 90], ['Poor', 3, 60]]);
+  assert.deepEqual(ranking([row('Bea', 80), row('Al', 80), row('Cy', 80), row('Cy', 80)]),
+    [['Cy', 1, 80], ['Al', 2, 80], ['Bea', 3, 80]]);
+});
+
+test('bayesian shrinks short records towards the overall mean', () => {
+  // Overall mean 695 / 9; Lucky (95 + 5 * mean) / 6, Steady (360 + 5 * mean) / 9
+  assert.deepEqual(ranking(ROWS, { method: 'bayesian' }), [['Steady', 1, 82.9], ['Lucky', 2, 80.19], ['Poor', 3, 69.57]]);
+  assert.deepEqual(ranking(ROWS, { method: 'bayesian', prior_weight: 0 }), ranking(ROWS));
+});
+
+test('recency halves the weight of a score every half-life', () => {
+  const rows = [row('Faded', 100, addDays(TODAY, -365)), row('Faded', 50), row('Fresh', 60)];
+  assert.deepEqual(ranking(rows), [['Faded', 1, 75], ['Fresh', 2, 60]]);
+  // (0.5 * 100 + 50) / 1.5
+  assert.deepEqual(ranking(rows, { method: 'recency' }), [['Faded', 1, 66.67], ['Fresh', 2, 60]]);
+  assert.deepEqual(ranking(rows, { method: 'recency', half_life_days: 30 }), [['Fresh', 1, 60], ['Faded', 2, 50.01]]);
+});
+
+test('predictors with too few scored predictions are left out', () => {
+  assert.deepEqual(ranking(ROWS, { min_predictions: 2 }).map(([name]) => name), ['Steady', 'Poor']);
+});
+
+test('options are validated and keyed by the parameters their method uses', () => {
+  assert.throws(() => parseOptions({ method: 'median' }), { status: 400 });
+  assert.throws(() => parseOptions({ prior_weight: '-1' }), { status: 400 });
+  assert.throws(() => parseOptions({ asset: 'DOGE' }), { status: 400 });
+  assert.equal(methodKey(parseOptions({ method: 'mean', prior_weight: 9 })), 'mean:min=1');
+  assert.equal(methodKey(parseOptions({ method: 'bayesian', asset: 'eth' })), `bayesian:prior=${DEFAULTS.prior_weight}:min=1:asset=ETH`);
+});
+
+async function boardOf(scores) {
+  const db = openDatabase(':memory:');
+  await migrate(db);
+  const ids = {};
+  for (const [name, score] of Object.entries(scores)) {
+    const { lastID } = await run(db, 'INSERT INTO predictors (slug, display_name) VALUES (?, ?)', [name.toLowerCase(), name]);
+    ids[name] = lastID;
+    await run(db,
+      "INSERT INTO predictions (name, price, date, status, score, predictor_id) VALUES (?, 100000, '2026-01-10', 'completed', ?, ?)",
+      [name, score, lastID]);
+  }
+  return { db, ids, scoreboard: createScoreboard(db) };
+}
+
+test("movement compares today's ranks with the previous day's snapshot", async () => {
+  const { db, ids, scoreboard } = await boardOf({ Alice: 90, Bob: 80, Carol: 70 });
+  assert.deepEqual(await scoreboard.snapshotStandardMethods(), []);
+  assert.equal((await scoreboard.getScoreboard()).movement_available, false);
+  await run(db, 'UPDATE scoreboard_snapshots SET date = ?', [addDays(todayUTC(), -1)]);
+
+  await run(db, 'UPDATE predictions SET score = 95 WHERE predictor_id = ?', [ids.Carol]);
+  const board = await scoreboard.getScoreboard();
+
+  assert.equal(board.movement_available, true);
+  assert.deepEqual(board.entries.map(entry => [entry.name, entry.rank, entry.previous_rank, entry.movement]),
+    [['Carol', 1, 3, 2], ['Alice', 2, 1, -1], ['Bob', 3, 2, -1]]);
+  assert.equal((await scoreboard.getScoreboard({ asset: 'BTC' })).movement_available, false);
+
+  const [mean] = await scoreboard.snapshotStandardMethods();
+  assert.equal(mean.method, 'mean');
+  assert.deepEqual(mean.changes.map(entry => [entry.name, entry.previous_rank, entry.rank]),
+    [['Carol', 3, 1], ['Alice', 1, 2], ['Bob', 2, 3]]);
+  assert.deepEqual([mean.leader.previous.name, mean.leader.current.name], ['Alice', 'Carol']);
+  await close(db);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getModel, getModelFor } = require('../lib/scoring');
+
+// Logged in 2026 for a call made on a podcast in 2025
+const backdated = {
+  type: 'point',
+  price: 100,
+  current_price: 80,
+  date: '2026-12-31',
+  created_at: '2026-06-30 12:00:00',
+  announced_at: '2025-12-31T12:00:00.000Z'
+};
+
+test('philify@2 keeps measuring its horizon from when the prediction was recorded', () => {
+  const { terms } = getModel('philify@2').score({ prediction: backdated, actualPrice: 100 });
+  assert.equal(terms.horizon_days, 184);
+});
+
+test('philify@3 measures its horizon from the announcement', () => {
+  const { terms } = getModel('philify@3').score({ prediction: backdated, actualPrice: 100 });
+  assert.equal(terms.horizon_days, 365);
+});
+
+test('philify-target@1 opens the touch window on recording, philify-target@2 on the announcement', () => {
+  const touch = { ...backdated, type: 'touch' };
+  assert.equal(getModel('philify-target@1').priceWindow(touch, '2027-01-01').from, '2026-06-30');
+  assert.equal(getModel('philify-target@2').priceWindow(touch, '2027-01-01').from, '2025-12-31');
+  assert.equal(getModelFor('touch'), getModel('philify-target@2'));
+});
+
+const target = getModel('philify-target@2');
+const scoreOf = (prediction, options) => target.score({ prediction: { ...backdated, ...prediction }, matured: true, ...options });
+const round = value => Number(value.toFixed(2));
+
+test('a range scores less the wider it is, and a miss by its distance from the nearest end', () => {
+  const range = { type: 'range', price: 100, price_low: 90, price_high: 110 };
+  assert.equal(scoreOf(range, { actualPrice: 105 }).score, 90);
+  assert.equal(scoreOf(range, { actualPrice: 90 }).terms.hit, true);
+  // 11 / 121 = 9.09% past the top keeps 90 * (0.5 - 9.09 / 40)
+  const miss = scoreOf(range, { actualPrice: 121 });
+  assert.deepEqual([miss.terms.hit, round(miss.terms.percentage_error), round(miss.score)], [false, 9.09, 24.55]);
+  assert.equal(scoreOf(range, { actualPrice: 50 }).score, 0);
+  assert.equal(scoreOf({ type: 'range', price: 500000, price_low: 0, price_high: 1000000 }, { actualPrice: 100000 }).score, 0);
+});
+
+test('above and below score 50 plus up to 50 for the move they needed', () => {
+  // From 80: 100 needs +25%, the full bonus; 90 needs +12.5%, half of it
+  assert.equal(scoreOf({ type: 'above', price: 100 }, { actualPrice: 100 }).score, 100);
+  assert.equal(scoreOf({ type: 'above', price: 90 }, { actualPrice: 120 }).score, 75);
+  assert.equal(round(scoreOf({ type: 'above', price: 100 }, { actualPrice: 95 }).score), 36.84);
+
+  const below = { type: 'below', price: 90, current_price: 100 };
+  assert.equal(scoreOf(below, { actualPrice: 85 }).score, 70);
+  assert.equal(round(scoreOf(below, { actualPrice: 99 }).score), 19.09);
+  // Already below when announced: no boldness
+  assert.equal(scoreOf({ type: 'below', price: 90, current_price: 80 }, { actualPrice: 85 }).score, 50);
+});
+
+test('a touch settles on the first daily high or low that reaches it', () => {
+  const up = { type: 'touch', price: 100 };
+  const days = highs => highs.map(high => ({ high, low: high - 10 }));
+  assert.equal(scoreOf(up, { matured: false, window: days([85, 101]) }).score, 100);
+  assert.equal(scoreOf(up, { matured: false, window: days([85, 95]) }), null);
+  const miss = scoreOf(up, { window: days([85, 95]) });
+  assert.deepEqual([miss.terms.closest_price, miss.terms.percentage_error, miss.score], [95, 5, 37.5]);
+
+  // Below the announcement price it watches the lows
+  const down = scoreOf({ type: 'touch', price: 80, current_price: 100 }, { window: [{ high: 100, low: 90 }, { high: 85, low: 79 }] });
+  assert.deepEqual([down.terms.direction, down.terms.hit, down.score], ['down', true, 90]);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fetch = require('node-fetch');
+const { createWidgetRouter } = require('../lib/widget');
+
+// Stand-ins for the scoreboard and profiles, recording the queries made
+function fakeScoreboard(entries) {
+  const queries = [];
+  return {
+    queries,
+    async getScoreboard(query) {
+      queries.push(query);
+      return { asset: query.asset || null, entries: entries.slice(0, query.limit) };
+    }
+  };
+}
+
+const PROFILE = {
+  predictor: { slug: 'plan-b', display_name: 'Plan B' },
+  stats: { average_score: 72.25, scored_count: 3, pending_count: 1, hit_rate_10: 2 / 3, bias_pct: 4.26 },
+  predictions: [
+    { asset: 'BTC', quote_currency: 'USD', type: 'point', price: 100000, matures_at: '2026-01-10T23:59:59Z', status: 'pending', score: null },
+    { asset: 'BTC', quote_currency: 'USD', type: 'above', price: 50000, matures_at: '2025-01-10T23:59:59Z', status: 'completed', score: 81.5 }
+  ]
+};
+
+async function widgetOf(entries = []) {
+  const scoreboard = fakeScoreboard(entries);
+  const profiles = { load: async slug => (slug === 'plan-b' ? PROFILE : null) };
+  const app = express();
+  app.use(createWidgetRouter({ scoreboard, profiles, publicUrl: 'https://philify.example/' }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const get = async path => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return { status: response.status, headers: response.headers, text: await response.text() };
+  };
+  return { server, scoreboard, get };
+}
+
+test('the scoreboard widget lists the top predictors with escaped names', async () => {
+  const entries = Array.from({ length: 12 }, (_, index) => ({
+    rank: index + 1, slug: `p-${index}`, name: index ? `Predictor ${index}` : '<i>Saylor</i>', score: 90 - index, scored_count: 3
+  }));
+  const { server, scoreboard, get } = await widgetOf(entries);
+
+  const { status, headers, text } = await get('/embed/scoreboard?theme=dark&method=bayesian&asset=BTC');
+
+  assert.equal(status, 200);
+  assert.equal(headers.get('cache-control'), 'public, max-age=300');
+  assert.deepEqual(scoreboard.queries[0], { method: 'bayesian', asset: 'BTC', limit: 10 });
+  assert.equal(text.match(/<tr>\s*<td>/g).length, 10);
+  assert.match(text, /href="https:\/\/philify\.example\/predictor\/p-0"[^>]*>&lt;i&gt;Saylor&lt;\/i&gt;<\/a>/);
+  assert.match(text, /background: #1d1f21/);
+  assert.match(text, /scoreboard \(BTC\)/);
+  server.close();
+});
+
+test('the predictor widget shows the record and latest predictions', async () => {
+  const { server, get } = await widgetOf();
+
+  const { text } = await get('/embed/predictor/plan-b?limit=1&size=large');
+
+  assert.match(text, /Average score <strong>72\.3<\/strong> over 3 scored,\s+1 pending\. Within 10%: <strong>67%<\/strong>\. Bias: <strong>\+4\.3%<\/strong>/);
+  assert.equal(text.match(/<tr>\s*<td>/g).length, 1);
+  assert.match(text, /font: 18px/);
+  assert.equal((await get('/embed/predictor/nobody')).status, 404);
+  server.close();
+});
+
+test('unknown themes and sizes are rejected, and limits are capped', async () => {
+  const { server, scoreboard, get } = await widgetOf();
+  assert.equal((await get('/embed/scoreboard?theme=neon')).status, 400);
+  assert.equal((await get('/embed/scoreboard?size=huge')).status, 400);
+  await get('/embed/scoreboard?limit=500');
+  assert.equal(scoreboard.queries[0].limit, 50);
+  server.close();
+});
+
+test('the embed script builds the iframe from its data attributes', async () => {
+  const { server, get } = await widgetOf();
+  const { headers, text } = await get('/embed.js');
+  assert.match(headers.get('content-type'), /^application\/javascript/);
+  assert.match(text, /'\/embed\/predictor\/' \+ encodeURIComponent\(data\.predictor\)/);
+  assert.doesNotThrow(() => new Function(text));
+  server.close();
+});
@@ -0,0 +1,54 @@
+// Manage user roles.
+// Usage:
+//   node users.js list                 list accounts and their roles
+//   node users.js promote <username>   give a registered user the admin role
+//   node users.js demote <username>    return an admin to the user role
+const { openDatabase, all, run, close } = require('./lib/db');
+const { assertSchemaCurrent } = require('./lib/migrator');
+require('dotenv').config();
+
+async function listUsers(db) {
+  const users = await all(db, 'SELECT id, username, role, created_at FROM users ORDER BY id');
+  if (!users.length) {
+    console.log('No users yet, register through the website first');
+  }
+  users.forEach(user => console.log(`${user.id}\t${user.username}\t${user.role}\t${user.created_at}`));
+}
+
+async function setRole(db, username, role) {
+  if (!username) {
+    throw new Error('Username is required');
+  }
+  const { changes } = await run(db, 'UPDATE users SET role = ? WHERE username = ? COLLATE NOCASE', [role, username]);
+  if (!changes) {
+    throw new Error(`No user named '${username}'`);
+  }
+  console.log(`${username} is now ${role === 'admin' ? 'an admin' : 'a regular user'}`);
+}
+
+const commands = {
+  list: listUsers,
+  promote: (db, username) => setRole(db, username, 'admin'),
+  demote: (db, username) => setRole(db, username, 'user')
+};
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(`Unknown command '${command}'. Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  const db = openDatabase();
+  try {
+    await assertSchemaCurrent(db);
+    await commands[command](db, ...args);
+  } finally {
+    await close(db);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});